@@ -0,0 +1,3 @@
+import { createApiHandler } from '../server/http.js';
+
+export default createApiHandler('ask');
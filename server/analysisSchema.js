@@ -0,0 +1,222 @@
+import { MAX_THEMES, QUOTES_PER_THEME } from '../shared/prompts.js';
+import { DEFAULT_THEMES } from '../shared/themes.js';
+
+const DEFAULT_THEME_NAMES = DEFAULT_THEMES.map(theme => theme.name);
+
+// Words that don't help tell themes apart ("Identity and Self" vs "Identity & Self")
+const STOP_WORDS = new Set(['and', 'the', 'of', 'a', 'an']);
+
+// Share of matching words a near-miss needs before it is mapped to a theme
+const MIN_THEME_SIMILARITY = 0.5;
+
+// Weight for a theme the model didn't weigh: present, but not known to be central
+const DEFAULT_THEME_WEIGHT = 0.5;
+
+const getWords = (name) => name
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !STOP_WORDS.has(word));
+
+// "Dystopian" matches "Dystopia", "Existential" matches "Existentialism"
+const wordsMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 5 && (a.startsWith(b) || b.startsWith(a)));
+
+/**
+ * Find the allowed theme a model's theme name means
+ * Exact names win; otherwise the theme sharing the most words, if it is a clear winner.
+ * @param {string} name - Theme name from the model
+ * @param {Array<string>} themeNames - Allowed themes (default: the default taxonomy)
+ * @returns {string|null} Theme from themeNames, or null if none is close enough
+ */
+export function matchTheme(name, themeNames = DEFAULT_THEME_NAMES) {
+  const exact = themeNames.find(theme => theme.toLowerCase() === name.trim().toLowerCase());
+  if (exact) return exact;
+
+  const words = getWords(name);
+  if (words.length === 0) return null;
+
+  let best = null;
+  let bestScore = 0;
+  let isTie = false;
+  for (const theme of themeNames) {
+    const themeWords = getWords(theme);
+    if (themeWords.length === 0) continue;
+    const shared = words.filter(word => themeWords.some(other => wordsMatch(word, other))).length;
+    // Dice coefficient over words
+    const score = (2 * shared) / (words.length + themeWords.length);
+    if (score > bestScore) {
+      best = theme;
+      bestScore = score;
+      isTie = false;
+    } else if (score === bestScore && score > 0) {
+      isTie = true;
+    }
+  }
+
+  if (bestScore === 1) return best;
+  return bestScore >= MIN_THEME_SIMILARITY && !isTie ? best : null;
+}
+
+/**
+ * Read a theme weight, clamped to 0-1 and rounded to two decimals
+ * @param {*} value - Weight from the model (number or numeric string)
+ * @returns {number|null} Weight, or null if it isn't a number
+ */
+function parseWeight(value) {
+  const weight = typeof value === 'string' ? Number(value.trim()) : value;
+  if (typeof weight !== 'number' || !Number.isFinite(weight)) return null;
+  return Math.round(Math.min(1, Math.max(0, weight)) * 100) / 100;
+}
+
+/**
+ * Check one book's analysis against the schema and clean it up
+ * Theme names are mapped onto the taxonomy, duplicates merged, weights clamped to
+ * 0-1, and theme and quote counts clamped (keeping the most central themes);
+ * those fixes are reported but don't fail validation.
+ * Themes that can't be saved (unknown name, no quotes) are dropped and
+ * reported as errors.
+ * @param {*} value - Parsed model output, expected { themes: [{ theme, weight, quotes }] }
+ * @param {Array<string>} themeNames - Allowed themes (default: the default taxonomy)
+ * @returns {{ analysis: { themes: Array<Object> }|null, errors: Array<string>, fixes: Array<string> }}
+ *   Cleaned analysis (null if the shape is wrong), problems for a repair prompt, and fixes applied
+ */
+export function validateAnalysis(value, themeNames = DEFAULT_THEME_NAMES) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { analysis: null, errors: ['The answer must be a JSON object with a "themes" array'], fixes: [] };
+  }
+  if (!Array.isArray(value.themes)) {
+    return { analysis: null, errors: ['"themes" must be an array'], fixes: [] };
+  }
+
+  const errors = [];
+  const fixes = [];
+  const byTheme = new Map();
+
+  value.themes.forEach((entry, index) => {
+    const name = typeof entry?.theme === 'string' ? entry.theme.trim() : '';
+    if (!name) {
+      errors.push(`themes[${index}] has no "theme" name`);
+      return;
+    }
+
+    const theme = matchTheme(name, themeNames);
+    if (!theme) {
+      errors.push(`themes[${index}]: "${name}" is not one of the allowed themes`);
+      return;
+    }
+    if (theme !== name) fixes.push(`"${name}" mapped to "${theme}"`);
+
+    const quotes = (Array.isArray(entry.quotes) ? entry.quotes : [])
+      .filter(quote => typeof quote === 'string')
+      .map(quote => quote.trim())
+      .filter(Boolean);
+    if (quotes.length === 0) {
+      errors.push(`themes[${index}] ("${name}") has no quotes`);
+      return;
+    }
+
+    let weight = parseWeight(entry.weight);
+    if (weight === null) {
+      fixes.push(`"${theme}" had no weight, set to ${DEFAULT_THEME_WEIGHT}`);
+      weight = DEFAULT_THEME_WEIGHT;
+    } else if (weight !== entry.weight) {
+      fixes.push(`"${theme}" weight ${JSON.stringify(entry.weight)} read as ${weight}`);
+    }
+
+    if (byTheme.has(theme)) {
+      fixes.push(`duplicate theme "${theme}" merged`);
+      const merged = byTheme.get(theme);
+      merged.weight = Math.max(merged.weight, weight);
+      merged.quotes.push(...quotes);
+    } else {
+      byTheme.set(theme, { weight, quotes });
+    }
+  });
+
+  // Most central first, so clamping drops the least central themes
+  let themes = [...byTheme]
+    .map(([theme, { weight, quotes }]) => {
+      const unique = [...new Set(quotes)];
+      if (unique.length > QUOTES_PER_THEME) fixes.push(`"${theme}" trimmed to ${QUOTES_PER_THEME} quotes`);
+      return { theme, weight, quotes: unique.slice(0, QUOTES_PER_THEME) };
+    })
+    .sort((a, b) => b.weight - a.weight);
+  if (themes.length > MAX_THEMES) {
+    fixes.push(`trimmed to ${MAX_THEMES} themes`);
+    themes = themes.slice(0, MAX_THEMES);
+  }
+
+  if (themes.length === 0 && errors.length === 0) {
+    errors.push('"themes" is empty');
+  }
+
+  return { analysis: { themes }, errors, fixes };
+}
+
+// Limits for book details; longer answers are trimmed
+const DETAILS_LIMITS = {
+  SYNOPSIS_LENGTH: 1200,
+  CHARACTERS: 8,
+  GENRES: 6,
+  CONTENT_WARNINGS: 8,
+};
+
+const cleanString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Clean a list of strings: trimmed, deduped (case-insensitively) and clamped
+ * @param {*} value - List from the model
+ * @param {number} max - Most entries kept
+ * @returns {Array<string>} Clean list
+ */
+function cleanList(value, max) {
+  const byKey = new Map();
+  for (const item of (Array.isArray(value) ? value : []).map(cleanString)) {
+    if (item && !byKey.has(item.toLowerCase())) byKey.set(item.toLowerCase(), item);
+  }
+  return [...byKey.values()].slice(0, max);
+}
+
+/**
+ * Check one book's details (synopsis, setting, genres, characters, content warnings)
+ * Only a missing synopsis fails validation; other fields default to empty, since
+ * non-fiction has no characters and many books need no content warnings.
+ * @param {*} value - Parsed model output
+ * @returns {{ details: Object|null, errors: Array<string>, fixes: Array<string> }}
+ *   Cleaned details (null if the shape is wrong), problems for a repair prompt, and fixes applied
+ */
+export function validateDetails(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { details: null, errors: ['The answer must be a JSON object'], fixes: [] };
+  }
+
+  const fixes = [];
+  let synopsis = cleanString(value.synopsis);
+  if (!synopsis) {
+    return { details: null, errors: ['"synopsis" must be a non-empty string'], fixes };
+  }
+  if (synopsis.length > DETAILS_LIMITS.SYNOPSIS_LENGTH) {
+    fixes.push(`synopsis trimmed to ${DETAILS_LIMITS.SYNOPSIS_LENGTH} characters`);
+    synopsis = `${synopsis.slice(0, DETAILS_LIMITS.SYNOPSIS_LENGTH - 1).trimEnd()}…`;
+  }
+
+  const setting = value.setting && typeof value.setting === 'object' ? value.setting : {};
+  const characters = (Array.isArray(value.characters) ? value.characters : [])
+    .map(character => ({ name: cleanString(character?.name), description: cleanString(character?.description) }))
+    .filter(character => character.name);
+  if (characters.length > DETAILS_LIMITS.CHARACTERS) {
+    fixes.push(`trimmed to ${DETAILS_LIMITS.CHARACTERS} characters`);
+  }
+
+  return {
+    details: {
+      synopsis,
+      setting: { place: cleanString(setting.place), era: cleanString(setting.era) },
+      genres: cleanList(value.genres, DETAILS_LIMITS.GENRES),
+      characters: characters.slice(0, DETAILS_LIMITS.CHARACTERS),
+      contentWarnings: cleanList(value.contentWarnings, DETAILS_LIMITS.CONTENT_WARNINGS),
+    },
+    errors: [],
+    fixes,
+  };
+}
@@ -0,0 +1,412 @@
+import {
+  buildAnalyzePrompt,
+  buildBatchAnalyzePrompt,
+  buildRepairPrompt,
+  getAnalysisVersion,
+  THEME_REPAIR_HINT
+} from '../shared/prompts.js';
+import { DEFAULT_THEMES } from '../shared/themes.js';
+import { isAbortError } from '../shared/abort.js';
+import { ERROR_TYPES, LLMError } from '../shared/errors.js';
+import { validateAnalysis, validateDetails } from './analysisSchema.js';
+import { getProvider, LLM_TASKS } from './llm/index.js';
+
+/**
+ * Extract JSON from response text (handles markdown code blocks)
+ * @param {string} text - The response text
+ * @returns {string} Extracted JSON string
+ */
+function extractJSON(text) {
+  let jsonText = text.trim();
+  
+  // Remove markdown code blocks if present
+  if (jsonText.startsWith('```json')) {
+    jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+  } else if (jsonText.startsWith('```')) {
+    jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
+  }
+
+  // If the response includes extra text, try to extract the JSON portion
+  const firstBraceIndex = jsonText.search(/[[{]/);
+  if (firstBraceIndex > 0) {
+    jsonText = jsonText.slice(firstBraceIndex);
+  }
+
+  // Trim anything after the last closing brace/bracket
+  const lastCurlyIndex = jsonText.lastIndexOf('}');
+  const lastBracketIndex = jsonText.lastIndexOf(']');
+  const lastClosingIndex = Math.max(lastCurlyIndex, lastBracketIndex);
+  if (lastClosingIndex !== -1 && lastClosingIndex < jsonText.length - 1) {
+    jsonText = jsonText.slice(0, lastClosingIndex + 1);
+  }
+
+  return jsonText.trim();
+}
+
+/**
+ * Parse a model answer and run a validator over it
+ * @param {string} responseText - The model's answer
+ * @param {Function} validate - (parsed) => { value, errors }; value is null when nothing is usable
+ * @returns {{ value: *, errors: Array<string> }} Validator outcome
+ */
+function parseAndValidate(responseText, validate) {
+  let parsed;
+  try {
+    parsed = JSON.parse(extractJSON(responseText));
+  } catch (error) {
+    return { value: null, errors: [`The answer is not valid JSON (${error.message})`] };
+  }
+  return validate(parsed);
+}
+
+/**
+ * Ask the model for JSON, and ask once more with the problems listed if the answer fails validation
+ * If the repaired answer still has problems, the usable part of either answer is kept.
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - Prompt
+ * @param {Object} request - { task, input, signal, usage } passed to provider.complete, and an optional
+ *   repairHint added to the repair prompt
+ * @param {Function} validate - (parsed) => { value, errors }; value is null when nothing is usable
+ * @returns {Promise<*>} Validated value
+ */
+async function completeValidated(provider, prompt, request, validate) {
+  const responseText = await provider.complete(prompt, request);
+  const first = parseAndValidate(responseText, validate);
+  if (first.errors.length === 0) return first.value;
+
+  console.warn(`Asking ${provider.label} to repair its ${request.task} answer:`, first.errors);
+  const repairText = await provider.complete(buildRepairPrompt(prompt, responseText, first.errors, request.repairHint), {
+    task: LLM_TASKS.REPAIR,
+    input: { ...request.input, task: request.task, errors: first.errors },
+    signal: request.signal,
+    usage: request.usage,
+  });
+  const repaired = parseAndValidate(repairText, validate);
+  if (repaired.errors.length === 0) return repaired.value;
+
+  const usable = [repaired, first].find(outcome => outcome.value);
+  if (usable) return usable.value;
+  throw new LLMError(ERROR_TYPES.PARSE, `Invalid response format: ${repaired.errors.join('; ')}`, {
+    provider: provider.label,
+  });
+}
+
+/**
+ * Validator for one book's analysis, for completeValidated
+ * @param {string} label - Book description for logging fixes
+ * @param {Array<string>} themeNames - Allowed themes
+ * @returns {Function} (parsed) => { value, errors }
+ */
+const checkAnalysis = (label, themeNames) => (parsed) => {
+  const { analysis, errors, fixes } = validateAnalysis(parsed, themeNames);
+  if (fixes.length > 0) console.warn(`Cleaned up analysis of ${label}:`, fixes);
+  return { value: analysis?.themes.length ? analysis : null, errors };
+};
+
+/**
+ * Analyze a book with the configured LLM provider
+ * @param {string} bookTitle - The title of the book
+ * @param {string} bookAuthor - The author of the book
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the model call
+ * @param {Array<Object>} options.usage - Collects a usage record per model call
+ * @param {Array<{ name: string, description: string }>} options.themes - Theme taxonomy (default: DEFAULT_THEMES)
+ * @returns {Promise<Object>} Parsed JSON response with themes and quotes, plus promptVersion
+ */
+export async function analyzeBook(bookTitle, bookAuthor, { signal, usage, themes = DEFAULT_THEMES } = {}) {
+  const provider = getProvider();
+  const themeNames = themes.map(theme => theme.name);
+
+  try {
+    const prompt = buildAnalyzePrompt(bookTitle, bookAuthor, themes);
+
+    const analysis = await completeValidated(provider, prompt, {
+      task: LLM_TASKS.ANALYZE_BOOK,
+      input: { title: bookTitle, author: bookAuthor, themes: themeNames },
+      signal,
+      usage,
+      repairHint: THEME_REPAIR_HINT,
+    }, checkAnalysis(`"${bookTitle}"`, themeNames));
+
+    // Lets the browser cache the result under the prompt and taxonomy that produced it
+    return { ...analysis, promptVersion: getAnalysisVersion(themes) };
+  } catch (error) {
+    if (!isAbortError(error)) console.error(`Error analyzing book with ${provider.label}:`, error);
+    error.provider = provider.label;
+    throw error;
+  }
+}
+
+/**
+ * Analyze several books in one request
+ * Only an answer that isn't a book map at all is sent back for repair. Books
+ * the model skipped or answered without usable themes come back as null so
+ * the browser can retry them on their own.
+ * @param {Array<{ title: string, author: string }>} books - Books to analyze
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the model call
+ * @param {Array<Object>} options.usage - Collects a usage record per model call
+ * @param {Array<{ name: string, description: string }>} options.themes - Theme taxonomy (default: DEFAULT_THEMES)
+ * @returns {Promise<{ results: Array<Object|null>, promptVersion: string }>} Results in input order
+ */
+export async function analyzeBooks(books, { signal, usage, themes = DEFAULT_THEMES } = {}) {
+  const provider = getProvider();
+  const themeNames = themes.map(theme => theme.name);
+
+  try {
+    const results = await completeValidated(provider, buildBatchAnalyzePrompt(books, themes), {
+      task: LLM_TASKS.ANALYZE_BATCH,
+      input: { books, themes: themeNames },
+      signal,
+      usage,
+      repairHint: THEME_REPAIR_HINT,
+    }, (parsed) => {
+      // Some models wrap the map, e.g. { "results": { "1": ... } }
+      const byNumber = parsed && !Array.isArray(parsed) && typeof parsed.results === 'object' ? parsed.results : parsed;
+      if (!byNumber || typeof byNumber !== 'object') {
+        return { value: null, errors: ['The answer must be a JSON object keyed by book number'] };
+      }
+
+      const value = books.map((book, index) => {
+        const entry = Array.isArray(byNumber) ? byNumber[index] : byNumber[index + 1];
+        return entry ? checkAnalysis(`"${book.title}"`, themeNames)(entry).value : null;
+      });
+      return { value, errors: [] };
+    });
+
+    return { results, promptVersion: getAnalysisVersion(themes) };
+  } catch (error) {
+    if (!isAbortError(error)) console.error(`Error analyzing ${books.length} books with ${provider.label}:`, error);
+    error.provider = provider.label;
+    throw error;
+  }
+}
+
+/**
+ * Describe a book: spoiler-free synopsis, setting, genres, main characters and content warnings
+ * Characters and content warnings may give away the plot; the browser hides them until revealed.
+ * @param {string} bookTitle - The title of the book
+ * @param {string} bookAuthor - The author of the book
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the model call
+ * @param {Array<Object>} options.usage - Collects a usage record per model call
+ * @returns {Promise<Object>} { synopsis, setting: { place, era }, genres, characters, contentWarnings }
+ */
+export async function describeBook(bookTitle, bookAuthor, { signal, usage } = {}) {
+  const provider = getProvider();
+
+  try {
+    const prompt = `Describe the book "${bookTitle}" by ${bookAuthor}.
+
+Return ONLY valid JSON in this format:
+{
+  "synopsis": "2-4 sentences on the premise and opening situation",
+  "setting": { "place": "where it takes place", "era": "when it takes place" },
+  "genres": ["genre 1", "genre 2"],
+  "characters": [
+    { "name": "Character name", "description": "who they are and their part in the story" }
+  ],
+  "contentWarnings": ["warning 1", "warning 2"]
+}
+
+Important:
+- The synopsis must not spoil anything beyond the opening chapters
+- Up to 6 genres and up to 8 main characters (real people for non-fiction, or none)
+- Content warnings for distressing material such as violence, abuse or suicide; an empty array if there is none
+- Use empty strings for a setting you don't know`;
+
+    return await completeValidated(provider, prompt, {
+      task: LLM_TASKS.DETAILS,
+      input: { title: bookTitle, author: bookAuthor },
+      signal,
+      usage,
+    }, (parsed) => {
+      const { details, errors, fixes } = validateDetails(parsed);
+      if (fixes.length > 0) console.warn(`Cleaned up details of "${bookTitle}":`, fixes);
+      return { value: details, errors };
+    });
+  } catch (error) {
+    if (!isAbortError(error)) console.error(`Error describing book with ${provider.label}:`, error);
+    error.provider = provider.label;
+    throw error;
+  }
+}
+
+/**
+ * Describe one library book for the ask prompt
+ * @param {Object} book - Book from validateAskPayload
+ * @param {number} number - Number the model cites it by
+ * @returns {string} Prompt line
+ */
+function formatLibraryBook(book, number) {
+  const facts = [
+    book.rating ? `rated ${book.rating}/5` : 'not rated',
+    book.dateRead ? `read ${book.dateRead}` : null,
+    book.shelf !== 'read' ? `shelf: ${book.shelf}` : null,
+    book.themes.length > 0 ? `themes: ${book.themes.join(', ')}` : null,
+    book.genres.length > 0 ? `genres: ${book.genres.join(', ')}` : null,
+    book.quote ? `quote: "${book.quote}"` : null,
+  ].filter(Boolean);
+  return `${number}. "${book.title}" by ${book.author || 'unknown author'} (${facts.join('; ')})`;
+}
+
+/**
+ * Answer a question about the user's library, citing the books the answer relies on
+ * Only the books sent with the question are known to the model, so the browser
+ * picks the ones most relevant to it.
+ * @param {string} question - The user's question
+ * @param {Array<Object>} books - Library books as grounding context (see validateAskPayload)
+ * @param {Object} options - Options
+ * @param {Array<{ role: string, content: string }>} options.history - Earlier turns of the conversation
+ * @param {number} options.libraryCount - Books in the whole library
+ * @param {AbortSignal} options.signal - Cancels the model call
+ * @param {Array<Object>} options.usage - Collects a usage record per model call
+ * @returns {Promise<{ answer: string, citations: Array<number> }>} Answer and the 1-based numbers of cited books
+ */
+export async function askLibrary(question, books, { history = [], libraryCount = books.length, signal, usage } = {}) {
+  const provider = getProvider();
+
+  try {
+    const conversation = history
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+      .join('\n');
+
+    const prompt = `You answer questions about the user's reading library. Use ONLY the books listed below (their themes, ratings, dates, genres and quotes). If they don't answer the question, say so instead of guessing.
+
+Library (${books.length} of ${libraryCount} books, most relevant to the question first; themes most central first):
+${books.map((book, index) => formatLibraryBook(book, index + 1)).join('\n')}
+${conversation ? `\nConversation so far:\n${conversation}\n` : ''}
+Question: ${question}
+
+Return ONLY valid JSON in this format:
+{
+  "answer": "Your answer in plain text, naming the books you mean",
+  "citations": [1, 4]
+}
+
+"citations" lists the numbers of the books your answer relies on (an empty array if none).`;
+
+    return await completeValidated(provider, prompt, {
+      task: LLM_TASKS.ASK,
+      input: { question, books, history },
+      signal,
+      usage,
+    }, (parsed) => {
+      const answer = typeof parsed?.answer === 'string' ? parsed.answer.trim() : '';
+      if (!answer) {
+        return { value: null, errors: ['The answer must be a JSON object with a non-empty "answer" string'] };
+      }
+      // Drop numbers that aren't in the list rather than failing the answer over them
+      const citations = [...new Set((Array.isArray(parsed.citations) ? parsed.citations : []).map(Number))]
+        .filter(number => Number.isInteger(number) && number >= 1 && number <= books.length);
+      return { value: { answer, citations }, errors: [] };
+    });
+  } catch (error) {
+    if (!isAbortError(error)) console.error(`Error answering library question with ${provider.label}:`, error);
+    error.provider = provider.label;
+    throw error;
+  }
+}
+
+// Suggestions asked for; the browser drops any already in the library and shows 5
+const SUGGESTION_COUNT = 8;
+
+/**
+ * Generate explainable recommendations for a book
+ * The prompt carries the book's graph neighborhood and the reader's rating
+ * patterns rather than the whole library, so it stays small for any library size.
+ * @param {Object} context - Payload from validateInsightsPayload
+ * @param {string} context.title - The title of the book
+ * @param {string} context.author - The author of the book
+ * @param {Array<string>} context.themes - The book's themes, most central first
+ * @param {Array<Object>} context.neighbors - Library books most like it: { title, author, rating, sharedThemes }
+ * @param {Array<Object>} context.topThemes - Highest-rated themes: { theme, averageRating, count }
+ * @param {Array<string>} context.favoriteAuthors - Authors the reader rates highly
+ * @param {number} context.averageRating - The reader's average rating (0 if unknown)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the model call
+ * @param {Array<Object>} options.usage - Collects a usage record per model call
+ * @returns {Promise<{ suggestions: Array<{ title, author, reason, because: Array<string> }> }>} Suggestions;
+ *   because names the neighbors each one is most like
+ */
+export async function generateInsights(context, { signal, usage } = {}) {
+  const { title, author, themes, neighbors, topThemes, favoriteAuthors, averageRating } = context;
+  const provider = getProvider();
+
+  try {
+    const neighborList = neighbors.length > 0
+      ? neighbors.map((book, index) => {
+        const facts = [
+          book.rating ? `rated ${book.rating}/5` : 'not rated',
+          book.sharedThemes.length > 0 ? `shares: ${book.sharedThemes.join(', ')}` : null,
+        ].filter(Boolean);
+        return `${index + 1}. "${book.title}" by ${book.author || 'unknown author'} (${facts.join('; ')})`;
+      }).join('\n')
+      : 'None yet';
+    const patterns = [
+      topThemes.length > 0
+        ? `Highest-rated themes: ${topThemes.map(theme => `${theme.theme} (avg ${theme.averageRating} over ${theme.count} books)`).join(', ')}`
+        : null,
+      favoriteAuthors.length > 0 ? `Authors they rate highly: ${favoriteAuthors.join(', ')}` : null,
+      averageRating ? `Their average rating: ${averageRating}/5` : null,
+    ].filter(Boolean);
+
+    const prompt = `Recommend books to a reader who is looking at "${title}" by ${author}${themes.length > 0 ? ` (themes: ${themes.join(', ')})` : ''}.
+
+Books from their library most like it (numbered):
+${neighborList}
+${patterns.length > 0 ? `\n${patterns.join('\n')}\n` : ''}
+Suggest ${SUGGESTION_COUNT} books that:
+- Are NOT "${title}" and NOT any book listed above (in any edition)
+- Match the themes and books they rate highest
+- Are highly regarded
+- Preferably have different authors
+
+Return ONLY valid JSON in this format (array of book objects):
+[
+  {
+    "title": "Book title",
+    "author": "Author name",
+    "reason": "One sentence on what it shares with the books they liked",
+    "because": [1, 3]
+  }
+]
+
+"because" lists the numbers of the one or two listed books the suggestion is most like (an empty array if none are listed).`;
+
+    const suggestions = await completeValidated(provider, prompt, {
+      task: LLM_TASKS.INSIGHTS,
+      input: context,
+      signal,
+      usage,
+    }, (parsed) => {
+      // Should be an array
+      if (!Array.isArray(parsed)) {
+        return { value: null, errors: ['The answer must be a JSON array of book suggestions'] };
+      }
+
+      // Each suggestion needs a title and author; "because" numbers become titles
+      const value = parsed
+        .filter(book => book && typeof book.title === 'string' && book.title.trim() && typeof book.author === 'string' && book.author.trim())
+        .map(book => ({
+          title: book.title.trim(),
+          author: book.author.trim(),
+          reason: typeof book.reason === 'string' ? book.reason.trim().slice(0, 300) : '',
+          because: [...new Set((Array.isArray(book.because) ? book.because : []).map(Number))]
+            .filter(number => Number.isInteger(number) && number >= 1 && number <= neighbors.length)
+            .slice(0, 2)
+            .map(number => neighbors[number - 1].title),
+        }));
+      if (value.length === 0) {
+        return { value: null, errors: ['No suggestion has both a "title" and an "author"'] };
+      }
+      return { value, errors: [] };
+    });
+
+    return { suggestions: suggestions.slice(0, SUGGESTION_COUNT) };
+  } catch (error) {
+    if (!isAbortError(error)) console.error(`Error generating insights with ${provider.label}:`, error);
+    error.provider = provider.label;
+    throw error;
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Local API server for development: serves the same /api routes as the
+ * Vercel functions so the model key stays out of the browser.
+ * Run alongside `npm run dev`; Vite proxies /api here.
+ */
+import { existsSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { createApiHandler } from './http.js';
+
+if (existsSync('.env')) {
+  process.loadEnvFile('.env');
+}
+
+const PORT = Number(process.env.API_PORT) || 3001;
+
+const handlers = {
+  '/api/analyze': createApiHandler('analyze'),
+  '/api/insights': createApiHandler('insights'),
+  '/api/details': createApiHandler('details'),
+  '/api/ask': createApiHandler('ask'),
+};
+
+const server = createServer((req, res) => {
+  const handler = handlers[new URL(req.url, 'http://localhost').pathname];
+  if (!handler) {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  handler(req, res).catch(error => {
+    console.error('Unhandled API error:', error);
+    if (!res.headersSent) res.statusCode = 500;
+    res.end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`API server listening on http://localhost:${PORT} (LLM_PROVIDER=${process.env.LLM_PROVIDER || 'groq'})`);
+});
@@ -0,0 +1,180 @@
+import { isAbortError } from '../shared/abort.js';
+import { ERROR_TYPES, getErrorType } from '../shared/errors.js';
+import { analyzeBook, analyzeBooks, askLibrary, describeBook, generateInsights } from './books.js';
+import { createRateLimiter } from './rateLimit.js';
+import {
+  validateAnalyzePayload,
+  validateAskPayload,
+  validateDetailsPayload,
+  validateInsightsPayload
+} from './validation.js';
+
+// Largest request body read by the dev server; Vercel applies its own limit
+const MAX_BODY_BYTES = 256 * 1024;
+
+// Imports send many /api/analyze requests, so it gets the larger budget
+const ROUTES = {
+  analyze: {
+    validate: validateAnalyzePayload,
+    run: ({ books, title, author, themes }, options) => (
+      books ? analyzeBooks(books, { ...options, themes }) : analyzeBook(title, author, { ...options, themes })
+    ),
+    limiter: createRateLimiter({ limit: 120, windowMs: 60 * 1000 }),
+  },
+  insights: {
+    validate: validateInsightsPayload,
+    run: (context, options) => generateInsights(context, options),
+    limiter: createRateLimiter({ limit: 20, windowMs: 60 * 1000 }),
+  },
+  details: {
+    validate: validateDetailsPayload,
+    run: ({ title, author }, options) => describeBook(title, author, options),
+    limiter: createRateLimiter({ limit: 30, windowMs: 60 * 1000 }),
+  },
+  ask: {
+    validate: validateAskPayload,
+    run: ({ question, books, history, libraryCount }, options) => askLibrary(question, books, { ...options, history, libraryCount }),
+    limiter: createRateLimiter({ limit: 20, windowMs: 60 * 1000 }),
+  },
+};
+
+/**
+ * Send a JSON response
+ * @param {Object} res - Node response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJSON(res, status, body, headers = {}) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Client address for rate limiting
+ * X-Forwarded-For is only read when TRUST_PROXY is set, since clients can send
+ * their own; the last hop is the one our proxy appended, earlier ones are the client's word.
+ * @param {Object} req - Node request
+ * @returns {string} IP address
+ */
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY && forwarded) {
+    const hops = String(forwarded).split(',').map(hop => hop.trim()).filter(Boolean);
+    if (hops.length > 0) return hops[hops.length - 1];
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Read and parse a JSON request body
+ * Hosts like Vercel have already parsed it into req.body.
+ * @param {Object} req - Node request
+ * @returns {Promise<*>} Parsed body
+ */
+async function readJSONBody(req) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  }
+
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error('Request body is too large');
+      error.status = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null');
+}
+
+/**
+ * Turn a failed model call into a status and message for the browser
+ * @param {Error} error - Error from the provider or from validating its response
+ * @returns {{ status: number, message: string, type: string, retryAfter?: number }} Response status,
+ *   message and one of ERROR_TYPES
+ */
+function describeError(error) {
+  const label = error.provider || 'LLM provider';
+  const type = getErrorType(error);
+  switch (type) {
+    case ERROR_TYPES.CONFIG:
+      // Configuration problems already say what to set
+      return { status: 500, message: error.message, type };
+    case ERROR_TYPES.PARSE:
+      return { status: 502, message: `Failed to parse ${label} response: ${error.message}`, type };
+    case ERROR_TYPES.RATE_LIMITED:
+      return { status: 429, message: `${label} rate limit exceeded. Please try again later.`, type, retryAfter: error.retryAfter };
+    case ERROR_TYPES.AUTH:
+      return { status: 502, message: `${label} rejected the API key configured on the server.`, type };
+    case ERROR_TYPES.NETWORK:
+      return { status: 504, message: error.message, type };
+    default:
+      return { status: 502, message: error.message.startsWith(label) ? error.message : `${label} error: ${error.message}`, type };
+  }
+}
+
+/**
+ * Create a Node request handler for one API route
+ * Used as-is by the Vercel functions in /api and by the dev server.
+ * @param {string} name - Route name: 'analyze', 'insights', 'details' or 'ask'
+ * @returns {Function} (req, res) => Promise<void>
+ */
+export function createApiHandler(name) {
+  const route = ROUTES[name];
+
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      sendJSON(res, 405, { error: 'Method not allowed', type: ERROR_TYPES.INVALID_REQUEST }, { Allow: 'POST' });
+      return;
+    }
+
+    const { allowed, retryAfter } = route.limiter.take(getClientIp(req));
+    if (!allowed) {
+      sendJSON(res, 429, { error: `Too many requests. Please wait ${retryAfter}s and try again.`, type: ERROR_TYPES.RATE_LIMITED }, {
+        'Retry-After': String(retryAfter),
+      });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJSONBody(req);
+    } catch (error) {
+      sendJSON(res, error.status || 400, {
+        error: error.status ? error.message : 'Request body must be valid JSON',
+        type: ERROR_TYPES.INVALID_REQUEST,
+      });
+      return;
+    }
+
+    const { value, error } = route.validate(body);
+    if (error) {
+      sendJSON(res, 400, { error, type: ERROR_TYPES.INVALID_REQUEST });
+      return;
+    }
+
+    // Stop calling the model (and waiting between retries) once the browser gives up on the request
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    // One record per model call (a repair is a second call), sent back for the browser's usage ledger
+    const usage = [];
+    try {
+      sendJSON(res, 200, { ...await route.run(value, { signal: controller.signal, usage }), usage });
+    } catch (runError) {
+      if (isAbortError(runError)) return;
+      const { status, message, type, retryAfter } = describeError(runError);
+      sendJSON(res, status, { error: message, type, usage }, retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+    }
+  };
+}
@@ -0,0 +1,10 @@
+import { ERROR_TYPES, LLMError } from '../../shared/errors.js';
+
+/**
+ * Error for a missing or invalid provider setting; the message says what to set
+ * @param {string} message - Error message
+ * @returns {LLMError} Error of type CONFIG
+ */
+export function createConfigError(message) {
+  return new LLMError(ERROR_TYPES.CONFIG, message);
+}
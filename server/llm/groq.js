@@ -0,0 +1,21 @@
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+const DEFAULT_MODELS = ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant'];
+
+/**
+ * Create the hosted Groq provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - Groq API key
+ * @param {Array<string>} config.models - Models to try, in order (default: Llama 3.3 70B, then Llama 3.1 8B)
+ * @returns {{ label: string, complete: Function }} Provider
+ */
+export function createGroqProvider({ apiKey, models = DEFAULT_MODELS }) {
+  return createOpenAICompatibleProvider({
+    label: 'Groq API',
+    baseUrl: GROQ_BASE_URL,
+    models: models.length > 0 ? models : DEFAULT_MODELS,
+    apiKey,
+    missingKeyMessage: 'Groq API key not configured. Please set GROQ_API_KEY on the server.',
+  });
+}
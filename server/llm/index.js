@@ -0,0 +1,70 @@
+import { createConfigError } from './errors.js';
+import { createGroqProvider } from './groq.js';
+import { createMockProvider } from './mock.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+export { LLM_TASKS } from './tasks.js';
+export { createConfigError };
+
+export const PROVIDERS = {
+  GROQ: 'groq',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  MOCK: 'mock',
+};
+
+let provider = null;
+
+/**
+ * Read a comma-separated model list, e.g. "llama3.1:8b, qwen2.5:7b"
+ * @param {string} value - Raw setting
+ * @returns {Array<string>} Model names
+ */
+const parseModels = (value = '') => value.split(',').map(model => model.trim()).filter(Boolean);
+
+/**
+ * Create the provider selected by the server environment
+ *   LLM_PROVIDER  groq (default) | openai-compatible | mock
+ *   LLM_MODEL     Model name(s), comma-separated, first is tried first
+ *   LLM_BASE_URL  API root for openai-compatible, e.g. http://localhost:11434/v1
+ *   LLM_API_KEY   Key for openai-compatible (local servers usually need none)
+ *   GROQ_API_KEY  Key for groq (VITE_GROQ_API_KEY is still read for older setups)
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {{ label: string, complete: Function }} Provider
+ */
+export function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || PROVIDERS.GROQ).toLowerCase();
+  const models = parseModels(env.LLM_MODEL);
+
+  switch (name) {
+    case PROVIDERS.GROQ:
+      return createGroqProvider({ apiKey: env.GROQ_API_KEY || env.VITE_GROQ_API_KEY, models: models.length > 0 ? models : undefined });
+
+    case PROVIDERS.OPENAI_COMPATIBLE:
+      if (!env.LLM_BASE_URL || models.length === 0) {
+        throw createConfigError('The openai-compatible provider needs LLM_BASE_URL and LLM_MODEL set on the server.');
+      }
+      return createOpenAICompatibleProvider({
+        label: `LLM server (${new URL(env.LLM_BASE_URL).host})`,
+        baseUrl: env.LLM_BASE_URL,
+        models,
+        apiKey: env.LLM_API_KEY,
+      });
+
+    case PROVIDERS.MOCK:
+      return createMockProvider();
+
+    default:
+      throw createConfigError(`Unknown LLM_PROVIDER "${name}". Use ${Object.values(PROVIDERS).join(', ')}.`);
+  }
+}
+
+/**
+ * Get the configured provider, creating it on first use
+ * @returns {{ label: string, complete: Function }} Provider
+ */
+export function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
@@ -0,0 +1,124 @@
+import { hashString } from '../../shared/hash.js';
+import { LLM_TASKS } from './tasks.js';
+import { createUsageRecord } from './usage.js';
+
+// Well-known books the mock suggests from, so the insights panel has something real-looking
+const SUGGESTION_CATALOG = [
+  { title: 'The Left Hand of Darkness', author: 'Ursula K. Le Guin' },
+  { title: 'Never Let Me Go', author: 'Kazuo Ishiguro' },
+  { title: 'The Remains of the Day', author: 'Kazuo Ishiguro' },
+  { title: 'Middlemarch', author: 'George Eliot' },
+  { title: 'Beloved', author: 'Toni Morrison' },
+  { title: 'Dune', author: 'Frank Herbert' },
+  { title: "Man's Search for Meaning", author: 'Viktor E. Frankl' },
+  { title: 'The Stranger', author: 'Albert Camus' },
+  { title: 'Brave New World', author: 'Aldous Huxley' },
+  { title: 'A Brief History of Time', author: 'Stephen Hawking' },
+  { title: 'The Art of War', author: 'Sun Tzu' },
+  { title: 'Giovanni\'s Room', author: 'James Baldwin' },
+];
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so the same book always gets the same answer
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Material the mock builds book details from
+const MOCK_PLACES = ['a coastal town', 'a desert planet', 'London', 'a remote island', 'a mountain village', 'New York'];
+const MOCK_ERAS = ['the 1920s', 'the near future', 'the Victorian era', 'the present day', 'the distant future'];
+const MOCK_GENRES = ['Literary Fiction', 'Science Fiction', 'Fantasy', 'Historical Fiction', 'Mystery', 'Classics', 'Philosophy'];
+const MOCK_WARNINGS = ['Violence', 'Death of a loved one', 'War', 'Mental illness', 'Grief'];
+
+const pick = (items, count, random) => [...items]
+  .map(item => ({ item, order: random() }))
+  .sort((a, b) => a.order - b.order)
+  .slice(0, count)
+  .map(({ item }) => item);
+
+const RESPONSES = {
+  [LLM_TASKS.ANALYZE_BOOK]: ({ title, author, themes }, random) => ({
+    // Weights fall from about 0.9 for the first theme
+    themes: pick(themes, 2 + Math.floor(random() * 3), random).map((theme, index) => ({
+      theme,
+      weight: Math.round((0.9 - index * 0.2 + random() * 0.1) * 100) / 100,
+      quotes: [1, 2, 3].map(n => `Mock quote ${n} on ${theme.toLowerCase()} from ${title} by ${author}.`),
+    })),
+  }),
+
+  [LLM_TASKS.ANALYZE_BATCH]: ({ books, themes }, random) => Object.fromEntries(
+    books.map((book, index) => [index + 1, RESPONSES[LLM_TASKS.ANALYZE_BOOK]({ ...book, themes }, random)])
+  ),
+
+  [LLM_TASKS.DETAILS]: ({ title, author }, random) => ({
+    synopsis: `A mock synopsis of ${title} by ${author}: the premise and opening situation, without spoilers.`,
+    setting: { place: pick(MOCK_PLACES, 1, random)[0], era: pick(MOCK_ERAS, 1, random)[0] },
+    genres: pick(MOCK_GENRES, 2 + Math.floor(random() * 2), random),
+    characters: [1, 2, 3].map(n => ({
+      name: `Character ${n}`,
+      description: `Mock character ${n} of ${title}, and how their story ends.`,
+    })),
+    contentWarnings: pick(MOCK_WARNINGS, Math.floor(random() * 3), random),
+  }),
+
+  // Cites the first books of the context, which the browser sends most relevant first
+  [LLM_TASKS.ASK]: ({ question, books }) => {
+    const cited = books.slice(0, 3);
+    return {
+      answer: `Mock answer to "${question}": ${cited.map(book => `"${book.title}"`).join(', ')} stand out in your library.`,
+      citations: cited.map((book, index) => index + 1),
+    };
+  },
+
+  // Explains each pick with the first one or two neighbors, like a real answer would
+  [LLM_TASKS.INSIGHTS]: ({ title, neighbors, topThemes }, random) => {
+    const known = new Set([title, ...neighbors.map(book => book.title)].map(knownTitle => knownTitle.toLowerCase()));
+    return pick(SUGGESTION_CATALOG.filter(book => !known.has(book.title.toLowerCase())), 8, random).map(book => ({
+      ...book,
+      reason: `Mock reason: it shares ${topThemes[0]?.theme.toLowerCase() || 'a lot'} with books you rated highly.`,
+      because: neighbors.length > 0 ? [1, 2].slice(0, neighbors.length) : [],
+    }));
+  },
+
+  // The mock never answers badly, but a repair should still get a valid answer to the original task
+  [LLM_TASKS.REPAIR]: ({ task, ...input }, random) => RESPONSES[task](input, random),
+};
+
+/**
+ * Create a provider that answers without any model or network
+ * Responses are derived from the task input, so they are stable across runs
+ * and useful for demos, offline development and UI work.
+ * @returns {{ label: string, complete: Function }} Provider
+ */
+export function createMockProvider() {
+  /**
+   * Build a JSON response for a task
+   * @param {string} prompt - The prompt (used as the seed)
+   * @param {Object} options - Options
+   * @param {string} options.task - One of LLM_TASKS
+   * @param {Object} options.input - Task input
+   * @param {Array<Object>} options.usage - Gets one usage record for this call (no token counts)
+   * @returns {Promise<string>} JSON response text
+   */
+  const complete = async (prompt, { task, input, usage } = {}) => {
+    const startedAt = Date.now();
+    const respond = RESPONSES[task];
+    if (!respond) {
+      throw new Error(`Mock provider has no response for task "${task}"`);
+    }
+    const text = JSON.stringify(respond(input, createRandom(hashString(prompt))));
+    usage?.push(createUsageRecord({ task, model: 'mock', latencyMs: Date.now() - startedAt }));
+    return text;
+  };
+
+  return { label: 'Mock provider', complete };
+}
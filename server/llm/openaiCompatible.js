@@ -0,0 +1,170 @@
+import { isAbortError, sleep } from '../../shared/abort.js';
+import { ERROR_TYPES, isTransientError, LLMError } from '../../shared/errors.js';
+import { createConfigError } from './errors.js';
+import { createUsageRecord } from './usage.js';
+
+// Messages from OpenAI-style servers when a model doesn't exist or was retired
+const MODEL_UNAVAILABLE = /decommissioned|no longer supported|not found|does not exist/i;
+
+// A Retry-After longer than this moves on to the next model instead of waiting
+const MAX_RETRY_WAIT_MS = 10000;
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions endpoint
+ * (Groq, OpenAI, Ollama, llama.cpp server, LM Studio, ...)
+ * Each model is retried with exponential backoff on rate limits, server and
+ * network errors; when a model keeps failing or is unavailable the next one
+ * in the list is tried.
+ * @param {Object} config - Provider configuration
+ * @param {string} config.label - Name used in logs and error messages, e.g. "Groq API"
+ * @param {string} config.baseUrl - API root, e.g. "http://localhost:11434/v1"
+ * @param {Array<string>} config.models - Models to try, in order
+ * @param {string} config.apiKey - API key, sent as a bearer token (optional for local servers)
+ * @param {string} config.missingKeyMessage - Error to throw when no key is set; omit if none is needed
+ * @param {number} config.temperature - Sampling temperature (default: 0.7)
+ * @returns {{ label: string, complete: Function }} Provider
+ */
+export function createOpenAICompatibleProvider({
+  label,
+  baseUrl,
+  models,
+  apiKey = '',
+  missingKeyMessage = '',
+  temperature = 0.7,
+}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  /**
+   * Type of a failed response
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message from the server
+   * @returns {string} One of ERROR_TYPES
+   */
+  const getResponseErrorType = (status, message) => {
+    if (status === 401 || status === 403) return ERROR_TYPES.AUTH;
+    if (status === 429) return ERROR_TYPES.RATE_LIMITED;
+    if ((status === 400 || status === 404) && MODEL_UNAVAILABLE.test(message)) return ERROR_TYPES.MODEL_UNAVAILABLE;
+    return ERROR_TYPES.SERVER;
+  };
+
+  /**
+   * Send one request to one model
+   * @param {string} model - Model name
+   * @param {string} prompt - The prompt to send
+   * @param {AbortSignal} signal - Optional signal to cancel the request
+   * @returns {Promise<{ text: string, usage: Object }>} The response text and the token counts reported with it
+   */
+  const request = async (model, prompt, signal) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+        }),
+        signal,
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      throw new LLMError(ERROR_TYPES.NETWORK, `Could not reach ${label}: ${error.message}`, { provider: label });
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = errorData.error?.message || errorData.message || response.statusText || 'Unknown error';
+      throw new LLMError(
+        getResponseErrorType(response.status, errorMessage),
+        `${label} error (${response.status}): ${errorMessage}`,
+        { status: response.status, retryAfter: Number(response.headers.get('retry-after')) || 0, provider: label }
+      );
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!data?.choices?.[0]?.message) {
+      throw new LLMError(ERROR_TYPES.SERVER, `Invalid response format from ${label}`, { provider: label });
+    }
+    return { text: data.choices[0].message.content || '', usage: data.usage || {} };
+  };
+
+  /**
+   * Complete a prompt, with retries and model fallback
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Options
+   * @param {number} options.maxRetries - Maximum attempts per model (default: 3)
+   * @param {AbortSignal} options.signal - Cancels the request, including waits between retries
+   * @param {string} options.task - One of LLM_TASKS, recorded in usage
+   * @param {Array<Object>} options.usage - Gets one usage record (see createUsageRecord) for this call
+   * @returns {Promise<string>} The response text
+   */
+  const complete = async (prompt, { maxRetries = 3, signal, task, usage } = {}) => {
+    if (missingKeyMessage && !apiKey) {
+      throw createConfigError(missingKeyMessage);
+    }
+
+    const startedAt = Date.now();
+    let attempts = 0;
+    let lastModel = models[0];
+    const record = (fields) => usage?.push(createUsageRecord({
+      task,
+      model: lastModel,
+      retries: attempts - 1,
+      fallback: lastModel !== models[0],
+      latencyMs: Date.now() - startedAt,
+      ...fields,
+    }));
+
+    let lastError;
+    for (const model of models) {
+      console.log(`[${label}] Attempting to use model: ${model}`);
+      lastModel = model;
+
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        attempts++;
+        try {
+          const { text, usage: tokens } = await request(model, prompt, signal);
+          console.log(`[${label}] Successfully used model: ${model}`);
+          record({ tokens });
+          return text;
+        } catch (error) {
+          lastError = error;
+
+          // Nobody is waiting for the answer any more, and a rejected key fails for every model
+          if (isAbortError(error) || error.type === ERROR_TYPES.AUTH) {
+            record({ error });
+            throw error;
+          }
+
+          // Rate limits, server errors and network failures are worth retrying;
+          // unavailable models and other client errors go straight to the next model
+          const isClientError = error.status >= 400 && error.status < 500 && error.status !== 429;
+          if (!isTransientError(error) || isClientError) {
+            console.log(`[${label}] Model ${model} failed: ${error.message}`);
+            break;
+          }
+
+          if (attempt < maxRetries) {
+            // Exponential backoff (1s, 2s, 4s), or longer if the server asked for it
+            const waitMs = Math.max(Math.pow(2, attempt - 1) * 1000, error.retryAfter * 1000);
+            if (waitMs > MAX_RETRY_WAIT_MS) {
+              console.log(`[${label}] Model ${model} is rate limited for ${error.retryAfter}s`);
+              break;
+            }
+            await sleep(waitMs, signal);
+          }
+        }
+      }
+    }
+
+    lastError = lastError || new LLMError(ERROR_TYPES.SERVER, `Failed to call ${label} with all available models`, { provider: label });
+    record({ error: lastError });
+    throw lastError;
+  };
+
+  return { label, complete };
+}
@@ -0,0 +1,14 @@
+/**
+ * Kinds of request sent to a provider
+ * Real providers only need the prompt; the mock provider uses the task and
+ * its input to build a fitting response without a model.
+ */
+export const LLM_TASKS = {
+  ANALYZE_BOOK: 'analyze-book',
+  ANALYZE_BATCH: 'analyze-batch',
+  INSIGHTS: 'insights',
+  DETAILS: 'details',
+  ASK: 'ask',
+  // Second try at another task; input has that task's input plus task and errors
+  REPAIR: 'repair',
+};
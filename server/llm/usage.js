@@ -0,0 +1,43 @@
+import { isAbortError } from '../../shared/abort.js';
+import { getErrorType } from '../../shared/errors.js';
+
+/**
+ * Token count from an OpenAI-style usage field, or null if it wasn't reported
+ * @param {*} value - e.g. usage.prompt_tokens
+ * @returns {number|null} Count
+ */
+const toCount = (value) => (Number.isFinite(value) && value >= 0 ? value : null);
+
+/**
+ * Describe one provider call for the browser's usage ledger
+ * One record covers every attempt of a call: retries and fallback models are
+ * counted in it rather than recorded separately.
+ * @param {Object} call - What happened
+ * @param {string} call.task - One of LLM_TASKS
+ * @param {string} call.model - The model that answered (or was tried last)
+ * @param {number} call.retries - Attempts after the first, across all models
+ * @param {boolean} call.fallback - True if a model other than the first was used
+ * @param {number} call.latencyMs - Time from the first attempt to the answer or failure
+ * @param {Object} call.tokens - The response's usage field ({ prompt_tokens, completion_tokens, total_tokens })
+ * @param {Error} call.error - Why the call failed, if it did
+ * @returns {Object} Record with task, model, retries, fallback, latencyMs, promptTokens,
+ *   completionTokens, totalTokens and error (an ERROR_TYPES value, 'aborted' or null)
+ */
+export function createUsageRecord({ task, model, retries = 0, fallback = false, latencyMs, tokens = {}, error = null }) {
+  const promptTokens = toCount(tokens.prompt_tokens);
+  const completionTokens = toCount(tokens.completion_tokens);
+  const totalTokens = toCount(tokens.total_tokens)
+    ?? (promptTokens !== null && completionTokens !== null ? promptTokens + completionTokens : null);
+
+  return {
+    task: task || 'unknown',
+    model,
+    retries: Math.max(0, retries),
+    fallback,
+    latencyMs,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    error: error ? (isAbortError(error) ? 'aborted' : getErrorType(error)) : null,
+  };
+}
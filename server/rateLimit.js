@@ -0,0 +1,41 @@
+/**
+ * Create an in-memory fixed-window rate limiter
+ * State lives in the process, so on serverless hosts each warm instance
+ * counts separately; it still stops a single client hammering the API.
+ * @param {Object} options - Options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {{ take: Function }} Limiter
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  /**
+   * Count a request from a client
+   * @param {string} key - Client key, e.g. IP address
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {{ allowed: boolean, retryAfter: number }} Whether to serve it, and seconds to wait if not
+   */
+  const take = (key, now = Date.now()) => {
+    // Drop finished windows now and then so the map doesn't grow forever
+    if (windows.size > 10000) {
+      for (const [windowKey, window] of windows) {
+        if (window.resetAt <= now) windows.delete(windowKey);
+      }
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    if (window.count >= limit) {
+      return { allowed: false, retryAfter: Math.ceil((window.resetAt - now) / 1000) };
+    }
+    window.count++;
+    return { allowed: true, retryAfter: 0 };
+  };
+
+  return { take };
+}
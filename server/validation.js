@@ -0,0 +1,248 @@
+import { getTaxonomyError, toPromptThemes } from '../shared/themes.js';
+
+// Generous limits for real libraries that still keep prompts (and bills) bounded
+const MAX_TITLE_LENGTH = 300;
+const MAX_AUTHOR_LENGTH = 200;
+const MAX_NEIGHBORS = 15;
+const MAX_TOP_THEMES = 10;
+const MAX_BATCH_SIZE = 10;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_CONTEXT_BOOKS = 80;
+const MAX_HISTORY_TURNS = 20;
+const MAX_TURN_LENGTH = 4000;
+const MAX_QUOTE_LENGTH = 500;
+const SHELVES = ['read', 'currently-reading', 'to-read'];
+
+/**
+ * Check a string field
+ * @param {*} value - Field value
+ * @param {string} name - Field name for the error message
+ * @param {Object} options - Options
+ * @param {number} options.maxLength - Maximum length after trimming
+ * @param {boolean} options.required - Whether an empty string is rejected
+ * @returns {string} Error message, or '' if valid
+ */
+function checkString(value, name, { maxLength, required }) {
+  if (typeof value !== 'string') return `${name} must be a string`;
+  if (required && !value.trim()) return `${name} is required`;
+  if (value.trim().length > maxLength) return `${name} must be at most ${maxLength} characters`;
+  return '';
+}
+
+/**
+ * Validate one book's title and author
+ * @param {*} body - Object with title and optional author
+ * @returns {{ value?: { title: string, author: string }, error?: string }} Clean book or error message
+ */
+function validateBook(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  const { title, author = '' } = body;
+  const error = checkString(title, 'title', { maxLength: MAX_TITLE_LENGTH, required: true })
+    || checkString(author, 'author', { maxLength: MAX_AUTHOR_LENGTH, required: false });
+  if (error) return { error };
+
+  return { value: { title: title.trim(), author: author.trim() } };
+}
+
+/**
+ * Validate an optional user-defined theme taxonomy
+ * @param {*} themes - Themes from the request body, or undefined for the default taxonomy
+ * @returns {{ value?: Array<{ name: string, description: string }>, error?: string }} Clean themes or error message
+ */
+function validateThemes(themes) {
+  if (themes === undefined) return { value: undefined };
+  const error = getTaxonomyError(themes);
+  return error ? { error } : { value: toPromptThemes(themes) };
+}
+
+/**
+ * Validate the body of /api/analyze: one book, or { books: [...] } for a batch,
+ * either with an optional themes list
+ * @param {*} body - Parsed JSON body
+ * @returns {{ value?: { title: string, author: string, themes?: Array<Object> } | { books: Array<Object>, themes?: Array<Object> }, error?: string }}
+ *   Clean payload or error message
+ */
+export function validateAnalyzePayload(body) {
+  const { value: themes, error: themesError } = validateThemes(body?.themes);
+  if (themesError) return { error: themesError };
+
+  if (!body || typeof body !== 'object' || !Array.isArray(body.books)) {
+    const { value, error } = validateBook(body);
+    return error ? { error } : { value: { ...value, themes } };
+  }
+
+  if (body.books.length === 0 || body.books.length > MAX_BATCH_SIZE) {
+    return { error: `books must have between 1 and ${MAX_BATCH_SIZE} entries` };
+  }
+
+  const books = [];
+  for (const book of body.books) {
+    const { value, error } = validateBook(book);
+    if (error) return { error: `books entries: ${error}` };
+    books.push(value);
+  }
+  return { value: { books, themes } };
+}
+
+/**
+ * Validate the body of /api/details
+ * @param {*} body - Parsed JSON body
+ * @returns {{ value?: { title: string, author: string }, error?: string }} Clean payload or error message
+ */
+export function validateDetailsPayload(body) {
+  return validateBook(body);
+}
+
+/**
+ * Check a list of short strings (theme names, genres)
+ * @param {*} value - Field value, or undefined for an empty list
+ * @param {string} name - Field name for the error message
+ * @returns {{ value?: Array<string>, error?: string }} Trimmed non-empty strings or error message
+ */
+function checkStringList(value, name) {
+  if (value === undefined) return { value: [] };
+  if (!Array.isArray(value) || value.length > 20) return { error: `${name} must be an array of at most 20 strings` };
+  for (const item of value) {
+    const error = checkString(item, `${name} entries`, { maxLength: MAX_AUTHOR_LENGTH, required: false });
+    if (error) return { error };
+  }
+  return { value: value.map(item => item.trim()).filter(Boolean) };
+}
+
+/**
+ * Validate one library book sent as context with a question
+ * @param {*} book - Book with title, author and optional rating, dateRead, shelf, themes, genres, quote
+ * @returns {{ value?: Object, error?: string }} Clean book or error message
+ */
+function validateContextBook(book) {
+  const { value, error } = validateBook(book);
+  if (error) return { error };
+
+  const { rating = 0, dateRead = '', shelf = 'read', quote = '' } = book;
+  if (typeof rating !== 'number' || rating < 0 || rating > 5) return { error: 'rating must be a number from 0 to 5' };
+  if (!SHELVES.includes(shelf)) return { error: `shelf must be one of ${SHELVES.join(', ')}` };
+  const stringError = checkString(dateRead, 'dateRead', { maxLength: 40, required: false })
+    || checkString(quote, 'quote', { maxLength: MAX_QUOTE_LENGTH, required: false });
+  if (stringError) return { error: stringError };
+
+  const themes = checkStringList(book.themes, 'themes');
+  if (themes.error) return { error: themes.error };
+  const genres = checkStringList(book.genres, 'genres');
+  if (genres.error) return { error: genres.error };
+
+  return {
+    value: { ...value, rating, dateRead: dateRead.trim(), shelf, themes: themes.value, genres: genres.value, quote: quote.trim() },
+  };
+}
+
+/**
+ * Validate the body of /api/ask
+ * @param {*} body - Parsed JSON body: { question, books, history?, libraryCount? }
+ * @returns {{ value?: { question: string, books: Array<Object>, history: Array<Object>, libraryCount: number }, error?: string }}
+ *   Clean payload or error message
+ */
+export function validateAskPayload(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  const { question, books, history = [], libraryCount } = body;
+  const questionError = checkString(question, 'question', { maxLength: MAX_QUESTION_LENGTH, required: true });
+  if (questionError) return { error: questionError };
+
+  if (!Array.isArray(books) || books.length === 0 || books.length > MAX_CONTEXT_BOOKS) {
+    return { error: `books must have between 1 and ${MAX_CONTEXT_BOOKS} entries` };
+  }
+  const cleanBooks = [];
+  for (const book of books) {
+    const { value, error } = validateContextBook(book);
+    if (error) return { error: `books entries: ${error}` };
+    cleanBooks.push(value);
+  }
+
+  if (!Array.isArray(history) || history.length > MAX_HISTORY_TURNS) {
+    return { error: `history must be an array of at most ${MAX_HISTORY_TURNS} turns` };
+  }
+  for (const turn of history) {
+    if (!['user', 'assistant'].includes(turn?.role)) return { error: 'history roles must be "user" or "assistant"' };
+    const turnError = checkString(turn.content, 'history content', { maxLength: MAX_TURN_LENGTH, required: true });
+    if (turnError) return { error: turnError };
+  }
+
+  const count = Number.isInteger(libraryCount) && libraryCount >= cleanBooks.length ? libraryCount : cleanBooks.length;
+  return {
+    value: {
+      question: question.trim(),
+      books: cleanBooks,
+      history: history.map(({ role, content }) => ({ role, content: content.trim() })),
+      libraryCount: count,
+    },
+  };
+}
+
+/**
+ * Check a rating from 0 (not rated) to 5
+ * @param {*} value - Field value
+ * @param {string} name - Field name for the error message
+ * @returns {string} Error message, or '' if valid
+ */
+function checkRating(value, name) {
+  return typeof value === 'number' && value >= 0 && value <= 5 ? '' : `${name} must be a number from 0 to 5`;
+}
+
+/**
+ * Validate the body of /api/insights: the book plus its graph neighborhood and the reader's rating patterns
+ * @param {*} body - Parsed JSON body: { title, author, themes?, neighbors?, topThemes?, favoriteAuthors?, averageRating? }
+ * @returns {{ value?: Object, error?: string }} Clean payload or error message
+ */
+export function validateInsightsPayload(body) {
+  const { value, error } = validateBook(body);
+  if (error) return { error };
+
+  const { neighbors = [], topThemes = [], averageRating = 0 } = body;
+  const themes = checkStringList(body.themes, 'themes');
+  if (themes.error) return { error: themes.error };
+  const favoriteAuthors = checkStringList(body.favoriteAuthors, 'favoriteAuthors');
+  if (favoriteAuthors.error) return { error: favoriteAuthors.error };
+  const ratingError = checkRating(averageRating, 'averageRating');
+  if (ratingError) return { error: ratingError };
+
+  if (!Array.isArray(neighbors) || neighbors.length > MAX_NEIGHBORS) {
+    return { error: `neighbors must be an array of at most ${MAX_NEIGHBORS} books` };
+  }
+  const cleanNeighbors = [];
+  for (const neighbor of neighbors) {
+    const book = validateBook(neighbor);
+    if (book.error) return { error: `neighbors entries: ${book.error}` };
+    const { rating = 0 } = neighbor;
+    const neighborRatingError = checkRating(rating, 'neighbors rating');
+    if (neighborRatingError) return { error: neighborRatingError };
+    const sharedThemes = checkStringList(neighbor.sharedThemes, 'neighbors sharedThemes');
+    if (sharedThemes.error) return { error: sharedThemes.error };
+    cleanNeighbors.push({ ...book.value, rating, sharedThemes: sharedThemes.value });
+  }
+
+  if (!Array.isArray(topThemes) || topThemes.length > MAX_TOP_THEMES) {
+    return { error: `topThemes must be an array of at most ${MAX_TOP_THEMES} entries` };
+  }
+  for (const topTheme of topThemes) {
+    const topThemeError = checkString(topTheme?.theme, 'topThemes theme', { maxLength: MAX_AUTHOR_LENGTH, required: true })
+      || checkRating(topTheme.averageRating, 'topThemes averageRating')
+      || (Number.isInteger(topTheme.count) && topTheme.count > 0 ? '' : 'topThemes count must be a positive integer');
+    if (topThemeError) return { error: topThemeError };
+  }
+
+  return {
+    value: {
+      ...value,
+      themes: themes.value,
+      neighbors: cleanNeighbors,
+      topThemes: topThemes.map(({ theme, averageRating: themeRating, count }) => ({ theme: theme.trim(), averageRating: themeRating, count })),
+      favoriteAuthors: favoriteAuthors.value,
+      averageRating,
+    },
+  };
+}
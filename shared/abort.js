@@ -0,0 +1,37 @@
+/**
+ * Helpers for cancelling work with an AbortSignal, shared by the API server and the browser
+ */
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional signal; aborting rejects with its reason
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Whether an error comes from an aborted signal (fetch, sleep) rather than a real failure
+ * @param {*} error - Error
+ * @returns {boolean} True for AbortError
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
@@ -0,0 +1,79 @@
+/**
+ * Error types shared by the API server and the browser
+ * The server sends the type with every error response, so retry, fallback
+ * and the message shown to the user never depend on error wording.
+ */
+
+export const ERROR_TYPES = {
+  // The provider rejected the API key
+  AUTH: 'auth',
+  // A provider setting is missing or wrong; the message says what to set
+  CONFIG: 'config',
+  // Too many requests; retryAfter says how many seconds to wait when known
+  RATE_LIMITED: 'rate-limited',
+  // The model doesn't exist or was retired
+  MODEL_UNAVAILABLE: 'model-unavailable',
+  // The provider or the analysis server couldn't be reached
+  NETWORK: 'network',
+  // The model answered, but not in the expected format
+  PARSE: 'parse',
+  // Our API refused the request (bad payload, wrong method)
+  INVALID_REQUEST: 'invalid-request',
+  // Anything else that went wrong on a server
+  SERVER: 'server',
+};
+
+// Worth trying again with the same model after a pause
+const TRANSIENT_TYPES = new Set([ERROR_TYPES.RATE_LIMITED, ERROR_TYPES.NETWORK, ERROR_TYPES.SERVER]);
+
+// Every later request would fail the same way
+const FATAL_TYPES = new Set([ERROR_TYPES.AUTH, ERROR_TYPES.CONFIG]);
+
+/**
+ * Error with a type from ERROR_TYPES
+ */
+export class LLMError extends Error {
+  /**
+   * @param {string} type - One of ERROR_TYPES
+   * @param {string} message - Error message
+   * @param {Object} details - Details
+   * @param {number} details.status - HTTP status, if the error came from a response
+   * @param {number} details.retryAfter - Seconds to wait before retrying (rate limits)
+   * @param {string} details.provider - Provider label, e.g. "Groq API"
+   */
+  constructor(type, message, { status, retryAfter = 0, provider } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Get an error's type; errors without one count as SERVER
+ * @param {Error} error - Error
+ * @returns {string} One of ERROR_TYPES
+ */
+export function getErrorType(error) {
+  return Object.values(ERROR_TYPES).includes(error?.type) ? error.type : ERROR_TYPES.SERVER;
+}
+
+/**
+ * Whether trying the same request again later may succeed
+ * @param {Error} error - Error
+ * @returns {boolean} True for rate limits, network and server errors
+ */
+export function isTransientError(error) {
+  return TRANSIENT_TYPES.has(getErrorType(error));
+}
+
+/**
+ * Whether every other request would fail with the same error
+ * @param {Error} error - Error
+ * @returns {boolean} True for auth and configuration errors
+ */
+export function isFatalError(error) {
+  return FATAL_TYPES.has(getErrorType(error));
+}
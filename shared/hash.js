@@ -0,0 +1,14 @@
+/**
+ * Hash a string to a 32-bit number (FNV-1a)
+ * Fast and stable across browser and Node; not for anything security-related.
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,114 @@
+/**
+ * Prompts shared by the API server and the browser
+ * The browser only needs them to tell when cached analyses are out of date.
+ */
+import { hashString } from './hash.js';
+import { DEFAULT_THEMES, toPromptThemes } from './themes.js';
+
+// Limits the analysis prompts ask for; the server clamps answers to them
+export const MAX_THEMES = 5;
+export const QUOTES_PER_THEME = 3;
+
+/**
+ * List the themes for a prompt, one per line with what each covers
+ * @param {Array<{ name: string, description: string }>} themes - Theme taxonomy
+ * @returns {string} Theme list
+ */
+function formatThemeList(themes) {
+  return toPromptThemes(themes)
+    .map(({ name, description }) => (description ? `- ${name}: ${description}` : `- ${name}`))
+    .join('\n');
+}
+
+/**
+ * Build the theme and quote analysis prompt for one book
+ * @param {string} bookTitle - The title of the book
+ * @param {string} bookAuthor - The author of the book
+ * @param {Array<{ name: string, description: string }>} themes - Theme taxonomy (default: DEFAULT_THEMES)
+ * @returns {string} Prompt
+ */
+export function buildAnalyzePrompt(bookTitle, bookAuthor, themes = DEFAULT_THEMES) {
+  return `Analyze the book "${bookTitle}" by ${bookAuthor}. Return JSON with: themes array (max ${MAX_THEMES} from the list below) and for each theme provide ${QUOTES_PER_THEME} memorable quotes from the book and a weight from 0 to 1 for how central the theme is to it (1 = the book is about this, 0.2 = it only comes up in passing).
+
+Themes (name: what it covers):
+${formatThemeList(themes)}
+
+Return ONLY valid JSON in this format:
+{
+  "themes": [
+    {
+      "theme": "theme name",
+      "weight": 0.8,
+      "quotes": ["quote 1", "quote 2", "quote 3"]
+    }
+  ]
+}`;
+}
+
+/**
+ * Build one prompt analyzing several books, answered as a map keyed by list number
+ * @param {Array<{ title: string, author: string }>} books - Books to analyze
+ * @param {Array<{ name: string, description: string }>} themes - Theme taxonomy (default: DEFAULT_THEMES)
+ * @returns {string} Prompt
+ */
+export function buildBatchAnalyzePrompt(books, themes = DEFAULT_THEMES) {
+  const list = books.map((book, index) => `${index + 1}. "${book.title}" by ${book.author}`).join('\n');
+
+  return `Analyze each of these books:
+${list}
+
+For each book, return JSON with: themes array (max ${MAX_THEMES} from the list below) and for each theme provide ${QUOTES_PER_THEME} memorable quotes from the book and a weight from 0 to 1 for how central the theme is to it (1 = the book is about this, 0.2 = it only comes up in passing).
+
+Themes (name: what it covers):
+${formatThemeList(themes)}
+
+Return ONLY valid JSON: one object keyed by the book numbers above, including every number, in this format:
+{
+  "1": {
+    "themes": [
+      {
+        "theme": "theme name",
+        "weight": 0.8,
+        "quotes": ["quote 1", "quote 2", "quote 3"]
+      }
+    ]
+  }
+}`;
+}
+
+// Repair hint for the analysis prompts, which list the allowed themes
+export const THEME_REPAIR_HINT = 'Use theme names exactly as written in the list.';
+
+/**
+ * Build a follow-up prompt asking the model to fix an answer that failed validation
+ * @param {string} prompt - The original prompt
+ * @param {string} responseText - The model's answer
+ * @param {Array<string>} errors - What was wrong with it
+ * @param {string} [hint] - Extra instruction for this task, e.g. THEME_REPAIR_HINT
+ * @returns {string} Prompt
+ */
+export function buildRepairPrompt(prompt, responseText, errors, hint = '') {
+  return `${prompt}
+
+Your previous answer was:
+${responseText}
+
+It had these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Fix them and return ONLY the corrected JSON.${hint ? ` ${hint}` : ''}`;
+}
+
+/**
+ * Version of the analysis prompts for a taxonomy
+ * Changes whenever a prompt or the theme names and descriptions do, so cached
+ * results made for an older prompt or taxonomy are ignored.
+ * @param {Array<{ name: string, description: string }>} themes - Theme taxonomy (default: DEFAULT_THEMES)
+ * @returns {string} Version
+ */
+export function getAnalysisVersion(themes = DEFAULT_THEMES) {
+  return hashString(
+    buildAnalyzePrompt('{title}', '{author}', themes) +
+    buildBatchAnalyzePrompt([{ title: '{title}', author: '{author}' }], themes)
+  ).toString(36);
+}
@@ -0,0 +1,66 @@
+/**
+ * The theme taxonomy books are filed under
+ * Users can edit it in the browser, which sends the names and descriptions
+ * with every analysis request; colors only matter to the browser.
+ */
+
+export const DEFAULT_THEMES = [
+  { name: 'Identity & Self', description: 'Who we are, self-discovery and belonging', color: '#9370DB' },
+  { name: 'Emotional Health', description: 'Grief, healing, mental health and resilience', color: '#87CEEB' },
+  { name: 'Love & Relationships', description: 'Romance, family and friendship', color: '#FF1493' },
+  { name: 'Power & Strategy', description: 'Ambition, politics, influence and control', color: '#8B0000' },
+  { name: 'Existentialism', description: 'Meaning, freedom, absurdity and mortality', color: '#00CED1' },
+  { name: 'Science & Universe', description: 'Discovery, the cosmos and how the world works', color: '#4169E1' },
+  { name: 'War & Conflict', description: 'War, violence and their aftermath', color: '#DC143C' },
+  { name: 'Time & Memory', description: 'The past, remembering, aging and time itself', color: '#FF69B4' },
+  { name: 'Morality & Ethics', description: 'Right and wrong, guilt, justice and hard choices', color: '#32CD32' },
+  { name: 'Human Nature', description: 'What drives people, at their best and worst', color: '#FFA500' },
+  { name: 'Dystopia', description: 'Oppressive societies and futures gone wrong', color: '#696969' },
+];
+
+// Bounds that keep the prompt meaningful and its size in check
+export const TAXONOMY_LIMITS = {
+  MIN_THEMES: 2,
+  MAX_THEMES: 30,
+  NAME_LENGTH: 40,
+  DESCRIPTION_LENGTH: 200,
+};
+
+/**
+ * Check a theme list
+ * @param {*} themes - Themes, each with name and optional description
+ * @returns {string} Error message, or '' if valid
+ */
+export function getTaxonomyError(themes) {
+  const { MIN_THEMES, MAX_THEMES, NAME_LENGTH, DESCRIPTION_LENGTH } = TAXONOMY_LIMITS;
+  if (!Array.isArray(themes)) return 'themes must be an array';
+  if (themes.length < MIN_THEMES || themes.length > MAX_THEMES) {
+    return `themes must have between ${MIN_THEMES} and ${MAX_THEMES} entries`;
+  }
+
+  const seen = new Set();
+  for (const [index, theme] of themes.entries()) {
+    const name = typeof theme?.name === 'string' ? theme.name.trim() : '';
+    if (!name) return `themes[${index}] needs a name`;
+    if (name.length > NAME_LENGTH) return `Theme names must be at most ${NAME_LENGTH} characters ("${name}")`;
+    if (theme.description !== undefined && typeof theme.description !== 'string') {
+      return `themes[${index}].description must be a string`;
+    }
+    if ((theme.description || '').trim().length > DESCRIPTION_LENGTH) {
+      return `Theme descriptions must be at most ${DESCRIPTION_LENGTH} characters ("${name}")`;
+    }
+    if (seen.has(name.toLowerCase())) return `"${name}" is listed twice`;
+    seen.add(name.toLowerCase());
+  }
+  return '';
+}
+
+/**
+ * The part of a taxonomy the model sees, trimmed
+ * The browser and the server both use this, so they agree on the analysis version.
+ * @param {Array<Object>} themes - Themes with name and optional description
+ * @returns {Array<{ name: string, description: string }>} Prompt themes
+ */
+export function toPromptThemes(themes) {
+  return themes.map(theme => ({ name: theme.name.trim(), description: (theme.description || '').trim() }));
+}
@@ -2,6 +2,9 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import UploadPage from './pages/UploadPage';
 import GraphPage from './pages/GraphPage';
 import BookmarksView from './pages/BookmarksView';
+import CachePage from './pages/CachePage';
+import ThemesPage from './pages/ThemesPage';
+import DiagnosticsPage from './pages/DiagnosticsPage';
 import './App.css';
 
 function App() {
@@ -11,6 +14,9 @@ function App() {
         <Route path="/" element={<UploadPage />} />
         <Route path="/graph" element={<GraphPage />} />
         <Route path="/bookmarks" element={<BookmarksView />} />
+        <Route path="/cache" element={<CachePage />} />
+        <Route path="/themes" element={<ThemesPage />} />
+        <Route path="/diagnostics" element={<DiagnosticsPage />} />
       </Routes>
     </BrowserRouter>
   );
@@ -1,9 +1,24 @@
-import { useMemo, useState, useEffect, useRef } from 'react';
+import { useMemo, useState, useEffect, useImperativeHandle, useRef } from 'react';
 import ForceGraph2D from 'react-force-graph-2d';
-import { analyzeBook } from './geminiAPI';
+import { isAbortError } from '../shared/abort';
+import { AnalysisCancelledError, analysisQueue, PRIORITY, QUEUE_TAGS } from './analysisQueue';
+import AnalysisQueueStatus from './components/AnalysisQueueStatus';
 import QuotesPanel from './components/QuotesPanel';
+import { getBookKey, getShelf, getThemeSimilarity, isUnread, SHELF_LABELS, SHELVES } from './library';
+import { describeApiError, getBookDetails } from './llmAPI';
+import { applySourceCheckToBookmarks, checkBookWithEpub } from './sourceCheck';
+import { FALLBACK_THEME_COLOR, getThemeColors, loadThemeTaxonomy } from './themeTaxonomy';
+import { createSuggestedBook, findSuggestionSource } from './wantToRead';
 
-function BookGraph({ books = [], onReset, onBookUpdate }) {
+// Outline color for unread (to-read / currently-reading) ghost nodes
+const GHOST_NODE_COLOR = '#c4b5fd';
+// Outline color for want-to-read books added from recommendations
+const SUGGESTED_NODE_COLOR = '#4ade80';
+
+// How close (in graph units) a dropped EPUB has to land to a node to count as dropped on it
+const DROP_TARGET_RADIUS = 15;
+
+function BookGraph({ books = [], libraryBooks = books, onReset, onBookUpdate, onBookAdd, ref }) {
   const [isLoading, setIsLoading] = useState(true);
   const containerRef = useRef(null);
   const graphRef = useRef(null);
@@ -13,9 +28,15 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
   const [relatedNodeIds, setRelatedNodeIds] = useState(new Set());
   const [selectedBook, setSelectedBook] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const isFillingThemesRef = useRef(false);
+  const [sourceCheckStatus, setSourceCheckStatus] = useState({ bookId: null, isChecking: false, error: null });
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [detailsStatus, setDetailsStatus] = useState({ bookId: null, isLoading: false, error: null });
+  // Aborts the details request for the open book
+  const detailsAbortRef = useRef(null);
   const analysisAttemptsRef = useRef(new Map());
   const inFlightAnalysisRef = useRef(new Set());
+  // The taxonomy only changes on the themes page, so it's read once per visit
+  const [themeColors] = useState(() => getThemeColors(loadThemeTaxonomy()));
   const [graphWidth, setGraphWidth] = useState(() => {
     if (typeof window !== 'undefined') {
       return window.innerWidth - 300; // Account for sidebar width
@@ -85,6 +106,11 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
         rating: book.rating || 'Not rated',
         author: book.author || 'Unknown',
         dateRead: book.dateRead || null,
+        year: book.originalPublicationYear || book.yearPublished || null,
+        pages: book.pages || null,
+        shelf: getShelf(book),
+        isUnread: isUnread(book),
+        suggestedBy: book.suggestedBy?.title || null,
         isRecent: isRecentlyRead(book.dateRead),
         themes: book.themes || [],
         isRelated,
@@ -98,26 +124,10 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
     const links = [];
     const connected = new Set();
     
-    // Theme colors mapping
-    const themeColors = {
-      'Identity & Self': '#9370DB',
-      'Emotional Health': '#87CEEB',
-      'Love & Relationships': '#FF1493',
-      'Power & Strategy': '#8B0000',
-      'Existentialism': '#00CED1',
-      'Science & Universe': '#4169E1',
-      'War & Conflict': '#DC143C',
-      'Time & Memory': '#FF69B4',
-      'Morality & Ethics': '#32CD32',
-      'Human Nature': '#FFA500',
-      'Dystopia': '#696969',
-    };
-
     // Calculate similarity scores and create links to top 2-3 most similar books
     if (books.length >= 2) {
       books.forEach((book, bookIndex) => {
         const bookId = book.id || `book-${bookIndex}`;
-        const themes1 = (book.themes || []).map(t => typeof t === 'string' ? t : t.theme);
         
         // Calculate similarity scores for all other books
         const similarities = [];
@@ -127,15 +137,10 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
           
           if (bookId === otherId) return; // Skip self
           
-          const themes2 = (other.themes || []).map(t => typeof t === 'string' ? t : t.theme);
-          
-          // Calculate similarity: number of shared themes
-          const sharedThemes = themes1.filter(t => themes2.includes(t));
+          // Similarity score: sum of shared theme weights (higher = more similar)
+          const { score: similarityScore, sharedThemes } = getThemeSimilarity(book, other);
           
           if (sharedThemes.length > 0) {
-            // Similarity score: number of shared themes (higher = more similar)
-            const similarityScore = sharedThemes.length;
-            
             similarities.push({
               otherId,
               other,
@@ -159,6 +164,7 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
           // Avoid duplicate links (bidirectional)
           if (connected.has(linkKey)) return;
           
+          // The theme that ties the two books together most strongly
           const linkTheme = match.sharedThemes[0];
           const isVisible = selectedNode 
             ? (relatedNodeIds.has(bookId) && relatedNodeIds.has(match.otherId))
@@ -169,7 +175,7 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
             target: match.otherId,
             theme: linkTheme,
             strength: 0.7 + (match.similarityScore * 0.1),
-            color: themeColors[linkTheme] || '#00CED1',
+            color: themeColors.get(linkTheme) || FALLBACK_THEME_COLOR,
             isVisible,
             opacity: isVisible ? 1 : 0,
           });
@@ -179,30 +185,121 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
       });
     }
 
+    // Books added from recommendations always link to the book that suggested them
+    books.forEach((book, bookIndex) => {
+      const source = findSuggestionSource(book, books);
+      if (!source) return;
+
+      const bookId = book.id || `book-${bookIndex}`;
+      const sourceId = source.id || `book-${books.indexOf(source)}`;
+      const linkKey = [bookId, sourceId].sort().join('-');
+      if (bookId === sourceId || connected.has(linkKey)) return;
+
+      // Until the new book is analyzed there's no shared theme to color the link by
+      const { score, sharedThemes } = getThemeSimilarity(book, source);
+      const isVisible = selectedNode
+        ? (relatedNodeIds.has(bookId) && relatedNodeIds.has(sourceId))
+        : true;
+
+      links.push({
+        source: bookId,
+        target: sourceId,
+        theme: sharedThemes[0] || null,
+        strength: 0.7 + (score * 0.1),
+        color: themeColors.get(sharedThemes[0]) || FALLBACK_THEME_COLOR,
+        isVisible,
+        opacity: isVisible ? 1 : 0,
+      });
+      connected.add(linkKey);
+    });
+
     return { nodes, links };
-  }, [books, selectedNode, relatedNodeIds]);
+  }, [books, selectedNode, relatedNodeIds, themeColors]);
 
   // Helper function to update book in books array
   const updateBookInState = (bookToUpdate, updatedData) => {
-    const updatedBooks = books.map(book => {
-      // Match by id if available, otherwise by title and author
-      const matchesById = bookToUpdate.id && book.id && bookToUpdate.id === book.id;
-      const matchesByTitleAuthor = bookToUpdate.title === book.title && 
-                                   bookToUpdate.author === book.author;
-      
-      if (matchesById || matchesByTitleAuthor) {
-        return { ...book, ...updatedData };
-      }
-      return book;
-    });
-    
-    // Update localStorage
-    localStorage.setItem('readingGraphBooks', JSON.stringify(updatedBooks));
-    
-    // Notify parent component to update books
+    // Notify parent component to update and save the book. Only the changed
+    // fields are passed, so analyses finishing together don't overwrite each other
     if (onBookUpdate) {
-      onBookUpdate(updatedBooks);
+      onBookUpdate(bookToUpdate, updatedData);
+    }
+  };
+
+  // Check the book's quotes against a DRM-free EPUB and store the result on the book
+  const handleVerifyWithEpub = async (book, file) => {
+    setSourceCheckStatus({ bookId: book.id, isChecking: true, error: null });
+    try {
+      const sourceCheck = await checkBookWithEpub(book, file);
+      updateBookInState(book, { sourceCheck });
+      applySourceCheckToBookmarks(book, sourceCheck);
+      setSelectedBook(prev => (prev && prev.id === book.id ? { ...prev, sourceCheck } : prev));
+      setSourceCheckStatus({ bookId: book.id, isChecking: false, error: null });
+    } catch (error) {
+      console.error('Error checking EPUB:', error);
+      setSourceCheckStatus({ bookId: book.id, isChecking: false, error: error.message || 'Could not read this EPUB' });
+    }
+  };
+
+  // Fetch the synopsis, characters and setting the first time a book is opened, and store them on the book
+  const loadBookDetails = async (book) => {
+    detailsAbortRef.current?.abort();
+    if (book.details || !book.title) return;
+
+    const controller = new AbortController();
+    detailsAbortRef.current = controller;
+    setDetailsStatus({ bookId: book.id, isLoading: true, error: null });
+    try {
+      const details = await getBookDetails(book.title, book.author, { signal: controller.signal });
+      updateBookInState(book, { details });
+      setSelectedBook(prev => (prev && prev.id === book.id ? { ...prev, details } : prev));
+      setDetailsStatus({ bookId: book.id, isLoading: false, error: null });
+    } catch (error) {
+      // Cancelled: the panel was closed or another book was opened
+      if (isAbortError(error)) return;
+      console.error('Error loading book details:', error);
+      setDetailsStatus({ bookId: book.id, isLoading: false, error: describeApiError(error) });
+    } finally {
+      if (detailsAbortRef.current === controller) detailsAbortRef.current = null;
+    }
+  };
+
+  const closeBookPanel = () => {
+    detailsAbortRef.current?.abort();
+    setSelectedBook(null);
+  };
+
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleFileDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFile(true);
+  };
+
+  // Dropping an EPUB on a node (or anywhere while a book is open) verifies that book
+  const handleFileDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDraggingFile(false);
+
+    const file = e.dataTransfer.files[0];
+    if (!file || !file.name.toLowerCase().endsWith('.epub')) return;
+
+    const rect = containerRef.current.getBoundingClientRect();
+    const point = graphRef.current?.screen2GraphCoords(e.clientX - rect.left, e.clientY - rect.top);
+    const droppedOn = point && graphData.nodes.find(node =>
+      Math.hypot(node.x - point.x, node.y - point.y) <= DROP_TARGET_RADIUS
+    );
+
+    const book = droppedOn
+      ? books.find((b, index) => (b.id || `book-${index}`) === droppedOn.id)
+      : selectedBook;
+    if (!book) return;
+
+    if (droppedOn && selectedNode?.id !== droppedOn.id) {
+      handleNodeClick(droppedOn);
     }
+    handleVerifyWithEpub(book, file);
   };
 
   // Handle node click
@@ -228,7 +325,8 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
     if (!book.themes || book.themes.length === 0) {
       setIsAnalyzing(true);
       try {
-        const analysisResult = await analyzeBook(book.title, book.author);
+        // Jumps ahead of the background backfill, or joins the job if it's already queued
+        const analysisResult = await analysisQueue.enqueue(book, { priority: PRIORITY.USER, tag: QUEUE_TAGS.BACKFILL });
         
         // Prepare updated data
         const updatedData = {
@@ -258,6 +356,7 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
       // Book already has themes, just set it
       setSelectedBook(book);
     }
+    loadBookDetails(bookToUse);
 
     // Find books that share themes with selected book
     const selectedThemes = (bookToUse.themes || []).map(t => typeof t === 'string' ? t : t.theme);
@@ -286,68 +385,91 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
     }, 100);
   };
 
-  // Ensure all books have themes by filling missing ones in background
-  useEffect(() => {
-    if (!books || books.length === 0 || isFillingThemesRef.current) return;
-
-    const missingThemes = books.filter((book) => !book.themes || book.themes.length === 0);
-    if (missingThemes.length === 0) return;
+  // Add a recommendation to the library as a want-to-read book and analyze it
+  // right away, ahead of the background backfill
+  const handleAddSuggestion = (suggestion) => {
+    const book = createSuggestedBook(suggestion, selectedBook);
+    if (!onBookAdd(book)) return;
 
-    isFillingThemesRef.current = true;
-    let cancelled = false;
+    inFlightAnalysisRef.current.add(book.id);
+    analysisQueue.enqueue(book, { priority: PRIORITY.USER, tag: QUEUE_TAGS.BACKFILL })
+      .then(analysisResult => {
+        updateBookInState(book, {
+          themes: analysisResult.themes || [],
+          quotes: analysisResult.themes?.flatMap(theme => theme.quotes || []) || []
+        });
+      })
+      .catch(error => {
+        if (!(error instanceof AnalysisCancelledError)) {
+          console.error('Error analyzing suggested book:', error);
+        }
+      })
+      .finally(() => {
+        inFlightAnalysisRef.current.delete(book.id);
+      });
+  };
 
-    const fillThemes = async () => {
-      for (const book of missingThemes) {
-        if (cancelled) break;
+  // Ensure all books have themes by filling missing ones in background, and
+  // re-classify books flagged after a taxonomy change
+  useEffect(() => {
+    if (!books || books.length === 0) return;
 
-        const bookId = book.id || `${book.title}-${book.author}`;
-        const attempts = analysisAttemptsRef.current.get(bookId) || 0;
+    for (const book of books) {
+      if (book.themes && book.themes.length > 0 && !book.needsReanalysis) continue;
 
-        if (attempts >= 2 || inFlightAnalysisRef.current.has(bookId)) {
-          continue;
-        }
+      const bookId = book.id || `${book.title}-${book.author}`;
+      const attempts = analysisAttemptsRef.current.get(bookId) || 0;
+      if (attempts >= 2 || inFlightAnalysisRef.current.has(bookId)) continue;
 
-        inFlightAnalysisRef.current.add(bookId);
-        analysisAttemptsRef.current.set(bookId, attempts + 1);
+      inFlightAnalysisRef.current.add(bookId);
+      analysisAttemptsRef.current.set(bookId, attempts + 1);
 
-        try {
-          const analysisResult = await analyzeBook(book.title, book.author);
-          const updatedData = {
+      analysisQueue.enqueue(book, { priority: PRIORITY.BACKGROUND, tag: QUEUE_TAGS.BACKFILL })
+        .then(analysisResult => {
+          updateBookInState(book, {
             themes: analysisResult.themes || [],
-            quotes: analysisResult.themes?.flatMap(theme => theme.quotes || []) || []
-          };
-
-          updateBookInState(book, updatedData);
-        } catch (error) {
-          console.error('Error backfilling book themes:', error);
-        } finally {
+            quotes: analysisResult.themes?.flatMap(theme => theme.quotes || []) || [],
+            needsReanalysis: false
+          });
+        })
+        .catch(error => {
+          if (!(error instanceof AnalysisCancelledError)) {
+            console.error('Error backfilling book themes:', error);
+          }
+        })
+        .finally(() => {
           inFlightAnalysisRef.current.delete(bookId);
-        }
+        });
+    }
+  }, [books]);
 
-        if (cancelled) break;
+  // Stop backfilling when leaving the graph; requests already sent are aborted
+  useEffect(() => () => analysisQueue.cancel(QUEUE_TAGS.BACKFILL), []);
 
-        // Small delay to reduce rate limiting
-        await new Promise(resolve => setTimeout(resolve, 400));
-      }
-    };
+  // Abort a pending details request when leaving the graph
+  useEffect(() => () => detailsAbortRef.current?.abort(), []);
 
-    fillThemes().finally(() => {
-      if (!cancelled) {
-        isFillingThemesRef.current = false;
-      }
-    });
+  // Lets the page focus a book from outside the graph, e.g. a book cited in the library chat.
+  // Returns false if the book isn't in the graph (filtered out or removed).
+  useImperativeHandle(ref, () => ({
+    focusBook: ({ id, title, author }) => {
+      const key = getBookKey({ title, author });
+      const index = books.findIndex(book => (id && book.id === id) || getBookKey(book) === key);
+      if (index === -1) return false;
 
-    return () => {
-      cancelled = true;
-      isFillingThemesRef.current = false;
-    };
-  }, [books]);
+      const nodeId = books[index].id || `book-${index}`;
+      const node = graphData.nodes.find(other => other.id === nodeId);
+      if (!node) return false;
+      if (selectedNode?.id !== nodeId) handleNodeClick(node);
+      return true;
+    },
+  }));
 
   // Reset view with smooth transition
   const handleReset = () => {
     setSelectedNode(null);
     setRelatedNodeIds(new Set());
-    setSelectedBook(null);
+    closeBookPanel();
     if (graphRef.current) {
       graphRef.current.zoomToFit(400, 50);
     }
@@ -468,7 +590,18 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
         minHeight: '600px', 
         height: '100%' 
       }}
+      onDragOver={handleFileDragOver}
+      onDragLeave={() => setIsDraggingFile(false)}
+      onDrop={handleFileDrop}
     >
+      <div className="absolute bottom-4 left-4 z-20 w-72 max-w-[calc(100%-2rem)]">
+        <AnalysisQueueStatus cancelTag={QUEUE_TAGS.BACKFILL} compact />
+      </div>
+      {isDraggingFile && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 z-20 pointer-events-none px-4 py-2 rounded-lg text-sm text-purple-100 bg-purple-900/80 border border-purple-500/50">
+          Drop a DRM-free EPUB on a book to check its quotes
+        </div>
+      )}
       {isLoading && (
         <div 
           className="absolute inset-0 flex items-center justify-center z-10"
@@ -485,7 +618,12 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
         key={`graph-${books.length}`}
         graphData={graphData}
         enableNodeDrag={true}
-        nodeLabel={(node) => `${node.name}\nby ${node.author}\nRating: ${node.rating}`}
+        nodeLabel={(node) => {
+          const details = [node.year, node.pages ? `${node.pages} pages` : null].filter(Boolean).join(' • ');
+          const status = node.isUnread ? SHELF_LABELS[node.shelf] : `Rating: ${node.rating}`;
+          const origin = node.suggestedBy ? `\nSuggested by ${node.suggestedBy}` : '';
+          return `${node.name}\nby ${node.author}${details ? `\n${details}` : ''}\n${status}${origin}`;
+        }}
         nodeColor={getNodeColor}
         nodeVal={(node) => 4}
         linkColor={() => '#00ffff'}
@@ -507,7 +645,7 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
           );
           return distance > 150 ? 0.005 : 0.002;
         }}
-        linkDirectionalParticleColor={() => 'rgba(0,255,255,0.5)'}
+        linkDirectionalParticleColor={(link) => link.color || 'rgba(0,255,255,0.5)'}
         linkCanvasObjectMode={() => 'replace'}
         linkCanvasObject={(link, ctx, globalScale) => {
           const start = link.source;
@@ -518,8 +656,8 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
           const isStretched = distance > 150;
           const isFar = distance > 200;
           
-          // Dynamic width based on stretch
-          const baseWidth = isStretched ? 1.2 : 0.8;
+          // Dynamic width based on stretch, wider for stronger links
+          const baseWidth = (isStretched ? 1.2 : 0.8) * (link.strength || 1);
           const opacity = isFar ? 0.4 : 0.7;
           
           // Outer glow (subtle) - with dynamic opacity
@@ -588,6 +726,32 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
           // Glow intensity multiplier (increased on hover)
           const isHovered = hoveredNode && hoveredNode.id === node.id;
           const glowMultiplier = isHovered ? 2 : 1;
+
+          // Unread books are hollow "ghost" nodes: dashed ring for to-read,
+          // solid ring for currently-reading, green for books added from recommendations
+          if (node.isUnread) {
+            const ghostColor = node.suggestedBy ? SUGGESTED_NODE_COLOR : GHOST_NODE_COLOR;
+            ctx.shadowBlur = 10 * glowMultiplier;
+            ctx.shadowColor = ghostColor;
+            ctx.globalAlpha = isHovered ? 0.25 : 0.1;
+            ctx.fillStyle = ghostColor;
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, size, 0, 2 * Math.PI);
+            ctx.fill();
+
+            ctx.globalAlpha = isHovered ? 1 : 0.75;
+            ctx.strokeStyle = ghostColor;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash(node.shelf === SHELVES.TO_READ ? [3, 2] : []);
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, size, 0, 2 * Math.PI);
+            ctx.stroke();
+
+            ctx.setLineDash([]);
+            ctx.shadowBlur = 0;
+            ctx.globalAlpha = 1;
+            return;
+          }
           
           // Outer glow (large, soft) - enhanced on hover
           ctx.shadowBlur = 25 * glowMultiplier;
@@ -638,8 +802,15 @@ function BookGraph({ books = [], onReset, onBookUpdate }) {
         book={selectedBook} 
         isOpen={!!selectedBook} 
         isLoading={isAnalyzing} 
-        onClose={() => setSelectedBook(null)}
+        onClose={closeBookPanel}
         books={books}
+        libraryBooks={libraryBooks}
+        themeColors={themeColors}
+        detailsStatus={selectedBook && detailsStatus.bookId === selectedBook.id ? detailsStatus : null}
+        onRetryDetails={() => loadBookDetails(selectedBook)}
+        onAddSuggestion={onBookAdd ? handleAddSuggestion : undefined}
+        sourceCheckStatus={selectedBook && sourceCheckStatus.bookId === selectedBook.id ? sourceCheckStatus : null}
+        onVerifyWithEpub={(file) => handleVerifyWithEpub(selectedBook, file)}
       />
     </div>
   );
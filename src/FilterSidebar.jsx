@@ -1,6 +1,20 @@
 import { useMemo } from 'react';
 
-function FilterSidebar({ filteredBooks = [], onFilterChange, activeFilters = {}, onClose }) {
+function FilterSidebar({
+  filteredBooks = [],
+  onFilterChange,
+  activeFilters = {},
+  showUnread = true,
+  onShowUnreadChange,
+  unreadCount = 0,
+  wantToReadCount = 0,
+  onExportWantToRead,
+  themes = [],
+  activeThemes = new Set(),
+  onThemeToggle,
+  onClearThemes,
+  onClose,
+}) {
   // Calculate total connections (similar to BookGraph logic)
   const totalConnections = useMemo(() => {
     if (filteredBooks.length === 0) return 0;
@@ -12,6 +26,17 @@ function FilterSidebar({ filteredBooks = [], onFilterChange, activeFilters = {},
     );
   }, [filteredBooks]);
 
+  // Reading stats from the imported Goodreads fields
+  const totalPages = useMemo(() => {
+    return filteredBooks.reduce((sum, book) => sum + (book.pages || 0), 0);
+  }, [filteredBooks]);
+
+  const averageCommunityRating = useMemo(() => {
+    const rated = filteredBooks.filter(book => typeof book.averageRating === 'number');
+    if (rated.length === 0) return null;
+    return rated.reduce((sum, book) => sum + book.averageRating, 0) / rated.length;
+  }, [filteredBooks]);
+
   const handleFilterChange = (filterName, checked) => {
     const newFilters = {
       ...activeFilters,
@@ -180,6 +205,83 @@ function FilterSidebar({ filteredBooks = [], onFilterChange, activeFilters = {},
           </label>
         </div>
         </div>
+
+        {/* Unread (ghost) books - independent of the filters above */}
+        {unreadCount > 0 && onShowUnreadChange && (
+          <div
+            className="border-t pt-4 md:pt-6"
+            style={{ borderColor: 'rgba(255, 255, 255, 0.1)' }}
+          >
+            <div className="filter-item">
+              <input
+                type="checkbox"
+                checked={showUnread}
+                onChange={(e) => onShowUnreadChange(e.target.checked)}
+                className="w-5 h-5 md:w-4 md:h-4 rounded border-gray-600 bg-gray-700 text-purple-600 focus:ring-purple-500 focus:ring-2 cursor-pointer min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
+                style={{
+                  accentColor: '#9333ea',
+                }}
+              />
+              <label className="text-sm md:text-base text-gray-300 hover:text-white transition-colors leading-normal cursor-pointer min-h-[44px] flex items-center">
+                Show unread books ({unreadCount})
+              </label>
+            </div>
+            {/* Recommendations added to want-to-read, as a CSV Goodreads can import */}
+            {wantToReadCount > 0 && onExportWantToRead && (
+              <button
+                onClick={onExportWantToRead}
+                className="min-h-[44px] text-left text-sm text-purple-300 hover:text-white transition-colors"
+              >
+                Export want-to-read suggestions ({wantToReadCount})
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Themes - narrows whatever the filters above show */}
+        {themes.length > 0 && onThemeToggle && (
+          <div
+            className="border-t pt-4 md:pt-6 space-y-2"
+            style={{ borderColor: 'rgba(255, 255, 255, 0.1)' }}
+          >
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm md:text-base font-semibold text-white">Themes</h3>
+              {activeThemes.size > 0 && onClearThemes && (
+                <button
+                  onClick={onClearThemes}
+                  className="min-h-[44px] px-2 text-xs text-purple-300 hover:text-white transition-colors"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            {themes.map(theme => (
+              <div key={theme.id} className="filter-item">
+                <input
+                  id={`theme-filter-${theme.id}`}
+                  type="checkbox"
+                  checked={activeThemes.has(theme.name)}
+                  onChange={(e) => onThemeToggle(theme.name, e.target.checked)}
+                  className="w-5 h-5 md:w-4 md:h-4 rounded border-gray-600 bg-gray-700 text-purple-600 focus:ring-purple-500 focus:ring-2 cursor-pointer min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
+                  style={{
+                    accentColor: '#9333ea',
+                  }}
+                />
+                <label
+                  htmlFor={`theme-filter-${theme.id}`}
+                  className="text-sm md:text-base text-gray-300 hover:text-white transition-colors leading-normal cursor-pointer min-h-[44px] flex items-center gap-2"
+                  title={theme.description}
+                >
+                  <span
+                    className="w-3 h-3 rounded-full flex-shrink-0"
+                    style={{ backgroundColor: theme.color }}
+                  />
+                  {theme.name}
+                </label>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Stats at bottom */}
@@ -199,6 +301,18 @@ function FilterSidebar({ filteredBooks = [], onFilterChange, activeFilters = {},
             <span className="text-gray-500">Total connections:</span>{' '}
             <span className="text-gray-300 font-medium">{totalConnections}</span>
           </div>
+          {totalPages > 0 && (
+            <div className="text-xs md:text-sm text-gray-400">
+              <span className="text-gray-500">Total pages:</span>{' '}
+              <span className="text-gray-300 font-medium">{totalPages.toLocaleString()}</span>
+            </div>
+          )}
+          {averageCommunityRating !== null && (
+            <div className="text-xs md:text-sm text-gray-400">
+              <span className="text-gray-500">Avg. Goodreads rating:</span>{' '}
+              <span className="text-gray-300 font-medium">{averageCommunityRating.toFixed(2)}</span>
+            </div>
+          )}
         </div>
       </div>
     </div>
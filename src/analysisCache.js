@@ -0,0 +1,198 @@
+/**
+ * Persistent cache of book analyses in IndexedDB, so re-importing a library
+ * doesn't pay for the same books again
+ * Entries are keyed by prompt version and book identity; a new prompt simply
+ * stops matching the old entries.
+ */
+import { getAnalysisVersion } from '../shared/prompts';
+import { toPromptThemes } from '../shared/themes';
+import { getBookKey } from './library';
+import { loadThemeTaxonomy } from './themeTaxonomy';
+
+const DB_NAME = 'readingGraph';
+const DB_VERSION = 1;
+const STORE = 'analyses';
+const STATS_STORAGE_KEY = 'readingGraphAnalysisCacheStats';
+
+let dbPromise = null;
+
+/**
+ * Open the database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('isbnKey', 'isbnKey');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after a blocked upgrade)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request against the store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Version of the prompt and taxonomy new analyses are made with
+ * Editing the taxonomy changes it, so analyses filed under old themes stop being used.
+ * @returns {string} Analysis version
+ */
+const getCurrentVersion = () => getAnalysisVersion(toPromptThemes(loadThemeTaxonomy()));
+
+/**
+ * Cache keys for a book: title+author always, ISBN when the export has one
+ * @param {Object} book - Book with title, author and optional isbn/isbn13
+ * @param {string} promptVersion - Prompt version (default: current)
+ * @returns {{ key: string, isbnKey: string }} Keys ('' isbnKey without an ISBN)
+ */
+function getCacheKeys(book, promptVersion = getCurrentVersion()) {
+  const isbn = book.isbn13 || book.isbn || '';
+  return {
+    key: `${promptVersion}:${getBookKey(book)}`,
+    isbnKey: isbn ? `${promptVersion}:isbn:${isbn}` : '',
+  };
+}
+
+/**
+ * Read the hit/miss counters
+ * @returns {{ hits: number, misses: number }} Counters since the last reset
+ */
+export function getCacheStats() {
+  try {
+    return { hits: 0, misses: 0, ...JSON.parse(localStorage.getItem(STATS_STORAGE_KEY)) };
+  } catch {
+    return { hits: 0, misses: 0 };
+  }
+}
+
+const countLookup = (field) => {
+  const stats = getCacheStats();
+  stats[field]++;
+  localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+};
+
+/**
+ * Reset the hit/miss counters
+ */
+export function resetCacheStats() {
+  localStorage.removeItem(STATS_STORAGE_KEY);
+}
+
+/**
+ * Look up a cached analysis for a book
+ * Tries title+author first, then the ISBN so retitled editions still match.
+ * Cache failures are logged and treated as misses.
+ * @param {Object} book - Book with title, author and optional isbn/isbn13
+ * @returns {Promise<Object|null>} Cached { themes } or null
+ */
+export async function getCachedAnalysis(book) {
+  try {
+    const { key, isbnKey } = getCacheKeys(book);
+    let entry = await withStore('readonly', store => store.get(key));
+    if (!entry && isbnKey) {
+      entry = await withStore('readonly', store => store.index('isbnKey').get(isbnKey));
+    }
+
+    if (!entry) {
+      countLookup('misses');
+      return null;
+    }
+
+    countLookup('hits');
+    await withStore('readwrite', store => store.put({
+      ...entry,
+      hits: (entry.hits || 0) + 1,
+      lastUsedAt: new Date().toISOString(),
+    }));
+    return entry.result;
+  } catch (error) {
+    console.warn('Analysis cache unavailable:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a book's analysis
+ * Results without themes aren't cached so the book gets another try later.
+ * @param {Object} book - Book with title, author and optional isbn/isbn13
+ * @param {Object} result - Analysis result with themes and the promptVersion it was made with
+ */
+export async function setCachedAnalysis(book, result) {
+  if (!result?.themes?.length) return;
+
+  try {
+    const { promptVersion = getCurrentVersion(), ...analysis } = result;
+    const now = new Date().toISOString();
+    const entry = {
+      ...getCacheKeys(book, promptVersion),
+      promptVersion,
+      title: book.title,
+      author: book.author,
+      result: analysis,
+      hits: 0,
+      createdAt: now,
+      lastUsedAt: now,
+    };
+    // IndexedDB can't index an empty string usefully; leave the field out instead
+    if (!entry.isbnKey) delete entry.isbnKey;
+    await withStore('readwrite', store => store.put(entry));
+  } catch (error) {
+    console.warn('Could not save analysis to cache:', error);
+  }
+}
+
+/**
+ * List every cached analysis, newest first
+ * @returns {Promise<Array<Object>>} Entries with key, title, author, promptVersion, hits,
+ *   createdAt, lastUsedAt, result and isCurrent (made with the current prompt)
+ */
+export async function listCachedAnalyses() {
+  const entries = await withStore('readonly', store => store.getAll());
+  const currentVersion = getCurrentVersion();
+  return entries
+    .map(entry => ({ ...entry, isCurrent: entry.promptVersion === currentVersion }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Remove one cached analysis
+ * @param {string} key - Entry key from listCachedAnalyses
+ */
+export async function deleteCachedAnalysis(key) {
+  await withStore('readwrite', store => store.delete(key));
+}
+
+/**
+ * Remove every cached analysis and reset the counters
+ */
+export async function clearAnalysisCache() {
+  await withStore('readwrite', store => store.clear());
+  resetCacheStats();
+}
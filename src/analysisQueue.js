@@ -0,0 +1,417 @@
+/**
+ * Single queue for every book analysis in the app (imports, graph backfill,
+ * clicks on unanalyzed nodes), so requests share one rate limit instead of
+ * racing each other
+ */
+import { useSyncExternalStore } from 'react';
+import { sleep } from '../shared/abort';
+import { ERROR_TYPES, getErrorType, isFatalError } from '../shared/errors';
+import { getCachedAnalysis } from './analysisCache';
+import { getBookKey } from './library';
+import { analyzeBook, analyzeBooks } from './llmAPI';
+
+export const PRIORITY = {
+  BACKGROUND: 0,
+  IMPORT: 1,
+  // Someone is looking at this book right now
+  USER: 2,
+};
+
+// Who asked for a job, so each can cancel its own work without touching the others'
+export const QUEUE_TAGS = {
+  IMPORT: 'import',
+  BACKFILL: 'backfill',
+};
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  // Books per API request; 1 turns batching off
+  batchSize: 5,
+  // Token bucket: bursts up to `burst` requests, refilled at `requestsPerMinute`
+  burst: 4,
+  requestsPerMinute: 60,
+  // Wait this long after a 429 that didn't say how long to wait
+  defaultRetryAfterMs: 10000,
+  maxRateLimitRetries: 3,
+};
+
+/**
+ * Error used to reject jobs removed with cancel()
+ */
+export class AnalysisCancelledError extends Error {
+  constructor(message = 'Analysis was cancelled') {
+    super(message);
+    this.name = 'AnalysisCancelledError';
+  }
+}
+
+/**
+ * Create an analysis queue
+ * Cache hits resolve without waiting for a token; only real API calls are
+ * rate limited, and up to batchSize books share one call. Jobs for the same
+ * book are merged.
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @param {Function} options.analyze - (book, { signal }) => Promise<result> API call (default: analyzeBook without cache)
+ * @param {Function} options.analyzeBatch - (books, { signal }) => Promise<Array<result|null>> batched API call
+ *   (default: analyzeBooks)
+ * @param {Function} options.lookupCache - (book) => Promise<result|null> (default: getCachedAnalysis)
+ * @returns {Object} Queue with enqueue, prioritize, pause, resume, cancel, configure, subscribe, getSnapshot
+ */
+export function createAnalysisQueue({
+  analyze = (book, { signal } = {}) => analyzeBook(book.title, book.author, {
+    isbn: book.isbn13 || book.isbn,
+    useCache: false,
+    signal,
+  }),
+  analyzeBatch = analyzeBooks,
+  lookupCache = getCachedAnalysis,
+  ...overrides
+} = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const pending = [];
+  const jobs = new Map();
+  const listeners = new Set();
+
+  let running = 0;
+  let isPaused = false;
+  let tokens = options.burst;
+  let lastRefill = Date.now();
+  let blockedUntil = 0;
+  // Counters for the current run; reset when a job arrives at an idle queue
+  let counts = { total: 0, done: 0, failed: 0, fromCache: 0 };
+  let snapshot = null;
+
+  const notify = () => {
+    snapshot = null;
+    listeners.forEach(listener => listener());
+  };
+
+  const refillTokens = (now) => {
+    const perMs = options.requestsPerMinute / 60000;
+    tokens = Math.min(options.burst, tokens + (now - lastRefill) * perMs);
+    lastRefill = now;
+  };
+
+  /**
+   * Milliseconds until an API request may start (0 = now)
+   * @param {number} now - Current time
+   * @returns {number} Wait time
+   */
+  const getWaitMs = (now) => {
+    if (blockedUntil > now) return blockedUntil - now;
+    refillTokens(now);
+    if (tokens >= 1) return 0;
+    return Math.ceil((1 - tokens) / (options.requestsPerMinute / 60000));
+  };
+
+  /**
+   * Resolve or reject a job and count it
+   * @param {Object} job - Job
+   * @param {string} field - Counter: 'done', 'fromCache' or 'failed'
+   * @param {*} outcome - Result, or the error for failed jobs
+   */
+  const finish = (job, field, outcome) => {
+    // Cancelled jobs were already rejected
+    if (job.status === 'cancelled') return;
+    job.status = 'finished';
+    jobs.delete(job.key);
+    counts = { ...counts, [field]: counts[field] + 1 };
+    if (field === 'failed') job.reject(outcome);
+    else job.resolve(outcome);
+  };
+
+  /**
+   * Put jobs back at the front of the queue, in their original order
+   * @param {Array<Object>} retryJobs - Jobs to retry
+   * @param {Function} changes - (job) => fields to update on each job
+   */
+  const requeue = (retryJobs, changes) => {
+    const retrying = retryJobs.filter(job => job.status !== 'cancelled');
+    retrying.forEach(job => {
+      Object.assign(job, changes(job), { status: 'queued', attempts: job.attempts + 1, controller: null });
+    });
+    pending.unshift(...retrying);
+  };
+
+  /**
+   * Run a batch of jobs in one slot: cache first, then one API request once a token is free
+   * Books a batch response left out, or a batch the model garbled, go back to be
+   * analyzed one at a time. cancel() aborts the request (or the wait for a
+   * token) once every job in the batch is cancelled.
+   * @param {Array<Object>} batch - Jobs
+   */
+  const run = async (batch) => {
+    running++;
+    const controller = new AbortController();
+    batch.forEach(job => {
+      job.status = 'running';
+      job.batch = batch;
+      job.controller = controller;
+    });
+    notify();
+
+    try {
+      // Retries already missed the cache
+      const toRequest = [];
+      for (const job of batch) {
+        if (job.status === 'cancelled') continue;
+        const cached = job.attempts === 0 ? await lookupCache(job.book) : null;
+        if (cached) {
+          finish(job, 'fromCache', { ...cached, fromCache: true });
+          notify();
+        } else {
+          toRequest.push(job);
+        }
+      }
+      if (toRequest.length === 0) return;
+
+      // Wait for a token; another request may have hit a 429 in the meantime
+      toRequest.forEach(job => {
+        if (job.status !== 'cancelled') job.status = 'waiting';
+      });
+      let waitMs = getWaitMs(Date.now());
+      while (waitMs > 0 && !controller.signal.aborted) {
+        await sleep(waitMs, controller.signal).catch(() => {});
+        waitMs = getWaitMs(Date.now());
+      }
+
+      // cancel() may have dropped some while we waited
+      const active = toRequest.filter(job => job.status !== 'cancelled');
+      if (active.length === 0) return;
+      tokens -= 1;
+      active.forEach(job => { job.status = 'running'; });
+
+      try {
+        if (active.length === 1) {
+          finish(active[0], 'done', await analyze(active[0].book, { signal: controller.signal }));
+        } else {
+          const results = await analyzeBatch(active.map(job => job.book), { signal: controller.signal });
+          active.forEach((job, index) => {
+            if (results[index]) finish(job, 'done', results[index]);
+          });
+          requeue(active.filter((job, index) => !results[index]), () => ({ batchable: false }));
+        }
+      } catch (error) {
+        // Every job was cancelled and has been rejected already
+        if (controller.signal.aborted) return;
+
+        const errorType = getErrorType(error);
+        if (errorType === ERROR_TYPES.RATE_LIMITED) {
+          // Hold every request until the server says we may try again, then put these jobs back in front
+          const retryAfterMs = error.retryAfter ? error.retryAfter * 1000 : options.defaultRetryAfterMs;
+          blockedUntil = Math.max(blockedUntil, Date.now() + retryAfterMs);
+          // Let progress views drop their "rate limited" notice when the wait is over
+          setTimeout(notify, blockedUntil - Date.now());
+
+          active
+            .filter(job => job.rateLimitRetries >= options.maxRateLimitRetries)
+            .forEach(job => finish(job, 'failed', error));
+          requeue(
+            active.filter(job => job.rateLimitRetries < options.maxRateLimitRetries),
+            job => ({ rateLimitRetries: job.rateLimitRetries + 1 })
+          );
+        } else if (active.length > 1 && errorType === ERROR_TYPES.PARSE) {
+          requeue(active, () => ({ batchable: false }));
+        } else if (isFatalError(error)) {
+          // A bad key or setting fails every request the same way; don't send the rest
+          [...active, ...pending.splice(0)].forEach(job => finish(job, 'failed', error));
+        } else {
+          active.forEach(job => finish(job, 'failed', error));
+        }
+      }
+    } finally {
+      running--;
+      notify();
+      pump();
+    }
+  };
+
+  /**
+   * Index of the next pending job to start, or -1
+   * Highest priority first; enqueue order within the same priority.
+   * @param {boolean} batchableOnly - Only consider jobs that may join a batch
+   * @returns {number} Index in pending
+   */
+  const pickNext = (batchableOnly = false) => {
+    let next = -1;
+    pending.forEach((job, index) => {
+      if (isPaused && job.priority < PRIORITY.USER) return;
+      if (batchableOnly && (!job.batchable || job.priority >= PRIORITY.USER)) return;
+      if (next === -1 || job.priority > pending[next].priority) next = index;
+    });
+    return next;
+  };
+
+  /**
+   * Start as many batches as concurrency allows
+   * Books the user is waiting on go out alone so they come back fastest.
+   */
+  function pump() {
+    while (running < options.concurrency && pending.length > 0) {
+      const next = pickNext();
+      if (next === -1) break;
+
+      const batch = pending.splice(next, 1);
+      if (batch[0].batchable && batch[0].priority < PRIORITY.USER) {
+        while (batch.length < options.batchSize) {
+          const index = pickNext(true);
+          if (index === -1) break;
+          batch.push(...pending.splice(index, 1));
+        }
+      }
+      run(batch);
+    }
+  }
+
+  /**
+   * Add a book to the queue
+   * If the book is already queued, the existing job is reused and raised to the higher priority.
+   * @param {Object} book - Book with title, author and optional isbn/isbn13
+   * @param {Object} jobOptions - Options
+   * @param {number} jobOptions.priority - One of PRIORITY (default: IMPORT)
+   * @param {string} jobOptions.tag - Label for cancel(), e.g. 'import' or 'backfill'
+   * @returns {Promise<Object>} Analysis result with themes (fromCache: true for cache hits)
+   */
+  const enqueue = (book, { priority = PRIORITY.IMPORT, tag = 'default' } = {}) => {
+    const key = getBookKey(book);
+    const existing = jobs.get(key);
+    if (existing) {
+      existing.priority = Math.max(existing.priority, priority);
+      existing.tags.add(tag);
+      notify();
+      pump();
+      return existing.promise;
+    }
+
+    if (running === 0 && pending.length === 0) {
+      counts = { total: 0, done: 0, failed: 0, fromCache: 0 };
+    }
+
+    const job = {
+      key,
+      book,
+      priority,
+      tags: new Set([tag]),
+      status: 'queued',
+      attempts: 0,
+      rateLimitRetries: 0,
+      batchable: true,
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Callers that only care about progress shouldn't trigger unhandled rejections
+    job.promise.catch(() => {});
+
+    jobs.set(key, job);
+    pending.push(job);
+    counts = { ...counts, total: counts.total + 1 };
+    notify();
+    pump();
+    return job.promise;
+  };
+
+  /**
+   * Move a queued book to the front, e.g. when the user opens it
+   * @param {Object} book - Book
+   * @returns {boolean} Whether the book was waiting in the queue
+   */
+  const prioritize = (book) => {
+    const job = jobs.get(getBookKey(book));
+    if (!job || job.status !== 'queued') return false;
+    job.priority = PRIORITY.USER;
+    notify();
+    pump();
+    return true;
+  };
+
+  /**
+   * Stop starting new jobs; running ones finish. User-priority jobs still run.
+   */
+  const pause = () => {
+    isPaused = true;
+    notify();
+  };
+
+  const resume = () => {
+    isPaused = false;
+    notify();
+    pump();
+  };
+
+  /**
+   * Drop jobs, rejecting them with AnalysisCancelledError
+   * A request already sent is aborted once every book in it is cancelled; if it
+   * also carries other books, it finishes for them and the cancelled results are ignored.
+   * @param {string} tag - Only cancel jobs with this tag; jobs also queued under another tag stay (default: all)
+   */
+  const cancel = (tag) => {
+    for (const job of [...jobs.values()]) {
+      if (tag) {
+        job.tags.delete(tag);
+        if (job.tags.size > 0) continue;
+      }
+
+      if (job.status === 'queued') pending.splice(pending.indexOf(job), 1);
+      job.status = 'cancelled';
+      jobs.delete(job.key);
+      job.reject(new AnalysisCancelledError());
+      counts = { ...counts, total: counts.total - 1 };
+
+      if (job.controller && job.batch.every(other => other.status === 'cancelled' || other.status === 'finished')) {
+        job.controller.abort();
+      }
+    }
+    notify();
+  };
+
+  /**
+   * Change concurrency or rate settings while running
+   * @param {Object} changes - Any of concurrency, batchSize, burst, requestsPerMinute
+   */
+  const configure = (changes) => {
+    Object.assign(options, changes);
+    notify();
+    pump();
+  };
+
+  /**
+   * Current progress, for useSyncExternalStore; the same object is returned until something changes
+   * @returns {Object} { total, done, failed, fromCache, queued, running, isPaused, isIdle,
+   *   rateLimitedUntil, concurrency, runningTitles }
+   */
+  const getSnapshot = () => {
+    if (!snapshot) {
+      snapshot = {
+        ...counts,
+        queued: pending.length,
+        running,
+        isPaused,
+        isIdle: running === 0 && pending.length === 0,
+        rateLimitedUntil: blockedUntil > Date.now() ? blockedUntil : 0,
+        concurrency: options.concurrency,
+        runningTitles: [...jobs.values()].filter(job => job.status !== 'queued').map(job => job.book.title),
+      };
+    }
+    return snapshot;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { enqueue, prioritize, pause, resume, cancel, configure, subscribe, getSnapshot };
+}
+
+// The app-wide queue
+export const analysisQueue = createAnalysisQueue();
+
+/**
+ * Subscribe a component to the app-wide queue's progress
+ * @returns {Object} Snapshot from analysisQueue.getSnapshot()
+ */
+export function useAnalysisQueue() {
+  return useSyncExternalStore(analysisQueue.subscribe, analysisQueue.getSnapshot);
+}
@@ -0,0 +1,56 @@
+import { analysisQueue, useAnalysisQueue } from '../analysisQueue';
+
+// Progress of the shared analysis queue with pause/resume/cancel controls.
+// Renders nothing while the queue is idle.
+function AnalysisQueueStatus({ cancelTag, compact = false }) {
+  const queue = useAnalysisQueue();
+
+  if (queue.isIdle) return null;
+
+  const finished = queue.done + queue.failed + queue.fromCache;
+  const percent = queue.total > 0 ? Math.round((finished / queue.total) * 100) : 0;
+
+  return (
+    <div
+      className={`rounded-lg border border-purple-500/30 bg-gray-900/80 backdrop-blur-sm ${compact ? 'px-3 py-2' : 'px-4 py-3'} space-y-2 text-left`}
+      style={{ boxShadow: '0 4px 20px rgba(147, 51, 234, 0.15)' }}
+      role="status"
+    >
+      <div className="flex items-center justify-between gap-3">
+        <div className="text-xs md:text-sm text-gray-300">
+          {queue.isPaused ? 'Paused' : 'Analyzing'} {finished} of {queue.total} book{queue.total !== 1 ? 's' : ''}
+          {queue.fromCache > 0 && <span className="text-gray-500"> · {queue.fromCache} from cache</span>}
+          {queue.failed > 0 && <span className="text-red-400"> · {queue.failed} failed</span>}
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={queue.isPaused ? analysisQueue.resume : analysisQueue.pause}
+            className="px-2 py-1 rounded text-xs font-medium text-purple-300 hover:text-purple-200 hover:bg-purple-500/10 transition-colors"
+          >
+            {queue.isPaused ? 'Resume' : 'Pause'}
+          </button>
+          <button
+            onClick={() => analysisQueue.cancel(cancelTag)}
+            className="px-2 py-1 rounded text-xs font-medium text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+      <div className="h-1.5 rounded-full bg-gray-800 overflow-hidden">
+        <div
+          className="h-full rounded-full transition-all duration-500"
+          style={{ width: `${percent}%`, backgroundColor: '#9333ea', boxShadow: '0 0 10px rgba(147, 51, 234, 0.6)' }}
+        />
+      </div>
+      {queue.rateLimitedUntil > 0 && (
+        <p className="text-xs text-yellow-300">Rate limited by the server, waiting before the next request…</p>
+      )}
+      {!compact && queue.runningTitles.length > 0 && !queue.isPaused && (
+        <p className="text-xs text-gray-500 truncate">Now: {queue.runningTitles.join(', ')}</p>
+      )}
+    </div>
+  );
+}
+
+export default AnalysisQueueStatus;
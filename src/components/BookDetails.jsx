@@ -0,0 +1,177 @@
+import { useState } from 'react';
+
+// Collapsible card, styled like the other sections of the book panel
+function DetailsSection({ title, isExpanded, onToggle, badge, children }) {
+  return (
+    <div className="bg-gray-800/50 backdrop-blur-sm rounded-lg border border-purple-500/20 overflow-hidden">
+      <button
+        onClick={onToggle}
+        className="w-full min-h-[44px] px-4 py-2 flex items-center justify-between hover:bg-purple-500/10 transition-colors"
+      >
+        <h4 className="text-base md:text-lg font-semibold text-white text-left flex items-center gap-2">
+          {title}
+          {badge}
+        </h4>
+        <svg
+          className={`w-5 h-5 text-purple-400 transition-transform duration-300 ${isExpanded ? 'transform rotate-180' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+      {isExpanded && (
+        <div className="space-y-3 animate-fadeIn" style={{ padding: '0 16px 16px 16px' }}>
+          {children}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Hides content that may give away the plot until the reader asks for it
+function SpoilerGuard({ isRevealed, onReveal, children }) {
+  if (isRevealed) return children;
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <p className="text-gray-400 text-xs md:text-sm leading-normal">May contain spoilers.</p>
+      <button
+        onClick={onReveal}
+        className="px-3 py-1.5 rounded-lg text-xs font-medium transition-colors"
+        style={{
+          backgroundColor: 'rgba(147, 51, 234, 0.2)',
+          color: '#c4b5fd',
+          border: '1px solid rgba(147, 51, 234, 0.3)'
+        }}
+      >
+        Reveal
+      </button>
+    </div>
+  );
+}
+
+const SpoilerBadge = () => (
+  <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-yellow-500/20 text-yellow-300 border border-yellow-500/30">
+    Spoilers
+  </span>
+);
+
+// Synopsis, setting, genres, characters and content warnings for the book panel.
+// Characters and content warnings stay hidden until revealed; give it a key per
+// book so reveals don't carry over to the next book.
+function BookDetails({ details, isLoading = false, error = null, onRetry }) {
+  const [expanded, setExpanded] = useState(new Set(['about']));
+  const [revealed, setRevealed] = useState(new Set());
+
+  const toggle = (section) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(section)) {
+        next.delete(section);
+      } else {
+        next.add(section);
+      }
+      return next;
+    });
+  };
+  const reveal = (section) => setRevealed(prev => new Set([...prev, section]));
+
+  if (!details) {
+    if (!isLoading && !error) return null;
+    return (
+      <div className="bg-gray-800/50 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 flex items-center justify-between gap-3">
+        {isLoading ? (
+          <p className="text-gray-400 text-sm leading-normal flex items-center gap-2">
+            <span className="w-4 h-4 border-2 border-purple-500/30 border-t-purple-500 rounded-full animate-spin"></span>
+            Loading synopsis and characters...
+          </p>
+        ) : (
+          <>
+            <p className="text-red-400 text-xs md:text-sm leading-normal">{error}</p>
+            {onRetry && (
+              <button
+                onClick={onRetry}
+                className="px-3 py-1.5 flex-shrink-0 rounded-lg text-xs font-medium text-purple-300 hover:text-white transition-colors"
+              >
+                Retry
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const { synopsis, setting = {}, genres = [], characters = [], contentWarnings = [] } = details;
+  const settingText = [setting.place, setting.era].filter(Boolean).join(', ');
+
+  return (
+    <>
+      <DetailsSection title="About" isExpanded={expanded.has('about')} onToggle={() => toggle('about')}>
+        <p className="text-gray-300 text-sm md:text-base leading-relaxed">{synopsis}</p>
+        {settingText && (
+          <p className="text-gray-400 text-xs md:text-sm leading-normal">
+            <span className="text-gray-500">Setting:</span> {settingText}
+          </p>
+        )}
+        {genres.length > 0 && (
+          <div className="flex flex-wrap gap-1.5">
+            {genres.map(genre => (
+              <span
+                key={genre}
+                className="px-2 py-0.5 rounded-full text-xs bg-purple-500/20 text-purple-300 border border-purple-500/30"
+              >
+                {genre}
+              </span>
+            ))}
+          </div>
+        )}
+      </DetailsSection>
+
+      {characters.length > 0 && (
+        <DetailsSection
+          title="Characters"
+          isExpanded={expanded.has('characters')}
+          onToggle={() => toggle('characters')}
+          badge={<SpoilerBadge />}
+        >
+          <SpoilerGuard isRevealed={revealed.has('characters')} onReveal={() => reveal('characters')}>
+            <ul className="space-y-2">
+              {characters.map(character => (
+                <li key={character.name} className="text-sm md:text-base leading-relaxed">
+                  <span className="font-semibold text-white">{character.name}</span>
+                  {character.description && <span className="text-gray-300"> — {character.description}</span>}
+                </li>
+              ))}
+            </ul>
+          </SpoilerGuard>
+        </DetailsSection>
+      )}
+
+      {contentWarnings.length > 0 && (
+        <DetailsSection
+          title="Content warnings"
+          isExpanded={expanded.has('warnings')}
+          onToggle={() => toggle('warnings')}
+          badge={<SpoilerBadge />}
+        >
+          <SpoilerGuard isRevealed={revealed.has('warnings')} onReveal={() => reveal('warnings')}>
+            <div className="flex flex-wrap gap-1.5">
+              {contentWarnings.map(warning => (
+                <span
+                  key={warning}
+                  className="px-2 py-0.5 rounded-full text-xs bg-red-500/15 text-red-300 border border-red-500/30"
+                >
+                  {warning}
+                </span>
+              ))}
+            </div>
+          </SpoilerGuard>
+        </DetailsSection>
+      )}
+    </>
+  );
+}
+
+export default BookDetails;
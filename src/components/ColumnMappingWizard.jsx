@@ -0,0 +1,251 @@
+import { useMemo, useState } from 'react';
+import {
+  MAPPING_FIELDS,
+  applyColumnMapping,
+  deleteMappingPreset,
+  getMissingFields,
+  guessMapping,
+  loadMappingPresets,
+  saveMappingPreset,
+} from '../importers/columnMapping';
+import { DATE_FORMATS, RATING_FORMATS } from '../importers/normalize';
+import { SHELF_LABELS, getShelf } from '../library';
+
+const PREVIEW_ROWS = 5;
+
+const selectClassName = 'w-full min-h-[44px] px-3 py-2 rounded-lg bg-gray-900/70 border border-purple-500/30 text-gray-200 text-sm focus:outline-none focus:border-purple-500';
+
+function ColumnMappingWizard({ records, fileName, onConfirm, onCancel }) {
+  const headers = useMemo(() => records[0].fields.map(h => h.trim()), [records]);
+  const [mapping, setMapping] = useState(() => guessMapping(headers));
+  const [presets, setPresets] = useState(() => loadMappingPresets());
+  const [presetName, setPresetName] = useState('');
+
+  const missingFields = getMissingFields(mapping);
+  const sampleRows = records.slice(1, PREVIEW_ROWS + 1);
+
+  // Books produced by the current mapping for the first few rows
+  const mappedPreview = useMemo(() => {
+    if (getMissingFields(mapping).length > 0) return [];
+    return applyColumnMapping([records[0], ...records.slice(1, PREVIEW_ROWS + 1)], mapping);
+  }, [records, mapping]);
+
+  const updateColumn = (fieldKey, header) => {
+    setMapping(prev => ({ ...prev, columns: { ...prev.columns, [fieldKey]: header } }));
+  };
+
+  const applyPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    // Only keep columns that exist in this file
+    const columns = Object.fromEntries(
+      Object.entries(preset.mapping.columns).map(([key, header]) => [key, headers.includes(header) ? header : ''])
+    );
+    setMapping({ ...preset.mapping, columns });
+    setPresetName(name);
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    setPresets(saveMappingPreset(name, mapping));
+  };
+
+  const handleDeletePreset = () => {
+    setPresets(deleteMappingPreset(presetName.trim()));
+    setPresetName('');
+  };
+
+  return (
+    <div
+      className="bg-blue-900/20 backdrop-blur-lg rounded-2xl border p-6 md:p-8 w-full relative z-10 space-y-6"
+      style={{
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        borderColor: 'rgba(147, 51, 234, 0.4)',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3), inset 0 0 1px rgba(255, 255, 255, 0.1)'
+      }}
+    >
+      {/* Header */}
+      <div className="space-y-2">
+        <h2 className="text-xl md:text-2xl font-semibold text-white tracking-wide">Map your columns</h2>
+        <p className="text-sm md:text-base text-gray-400 leading-relaxed">
+          We couldn't recognize the format of <span className="text-purple-300">{fileName}</span>.
+          Tell us which columns hold each field.
+        </p>
+      </div>
+
+      {/* Presets */}
+      <div className="flex flex-col md:flex-row gap-3">
+        <select
+          value={presets.some(p => p.name === presetName) ? presetName : ''}
+          onChange={(e) => applyPreset(e.target.value)}
+          className={selectClassName}
+          aria-label="Load preset"
+        >
+          <option value="">{presets.length > 0 ? 'Load a saved preset…' : 'No saved presets'}</option>
+          {presets.map(preset => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name (e.g. LibraryThing)"
+          className={selectClassName}
+        />
+        <button
+          onClick={handleSavePreset}
+          disabled={!presetName.trim()}
+          className="min-h-[44px] px-4 py-2 rounded-lg font-medium text-sm transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+          style={{
+            backgroundColor: 'rgba(147, 51, 234, 0.2)',
+            color: '#c4b5fd',
+            border: '1px solid rgba(147, 51, 234, 0.3)'
+          }}
+        >
+          Save preset
+        </button>
+        {presets.some(p => p.name === presetName.trim()) && (
+          <button
+            onClick={handleDeletePreset}
+            className="min-h-[44px] px-4 py-2 rounded-lg font-medium text-sm transition-all duration-300 text-red-400 hover:text-red-300 hover:bg-red-500/10 flex-shrink-0"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+
+      {/* Field assignments */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {MAPPING_FIELDS.map(field => (
+          <label key={field.key} className="space-y-1 block">
+            <span className="text-sm text-gray-300">
+              {field.label}{field.required && <span className="text-purple-400"> *</span>}
+            </span>
+            <select
+              value={mapping.columns[field.key]}
+              onChange={(e) => updateColumn(field.key, e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">— Not in this file —</option>
+              {headers.map(header => (
+                <option key={header} value={header}>{header}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+
+        <label className="space-y-1 block">
+          <span className="text-sm text-gray-300">Date format</span>
+          <select
+            value={mapping.dateFormat}
+            onChange={(e) => setMapping(prev => ({ ...prev, dateFormat: e.target.value }))}
+            className={selectClassName}
+          >
+            {Object.entries(DATE_FORMATS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="space-y-1 block">
+          <span className="text-sm text-gray-300">Rating scale</span>
+          <select
+            value={mapping.ratingFormat}
+            onChange={(e) => setMapping(prev => ({ ...prev, ratingFormat: e.target.value }))}
+            className={selectClassName}
+          >
+            {Object.entries(RATING_FORMATS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Raw file preview */}
+      <div className="space-y-2">
+        <h3 className="text-sm font-semibold text-purple-300">File preview</h3>
+        <div className="overflow-x-auto rounded-lg border border-purple-500/20">
+          <table className="min-w-full text-xs text-left">
+            <thead className="bg-gray-800/60 text-gray-300">
+              <tr>
+                {headers.map((header, index) => (
+                  <th key={index} className="px-3 py-2 font-semibold whitespace-nowrap">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sampleRows.map(record => (
+                <tr key={record.line} className="border-t border-purple-500/10 text-gray-400">
+                  {headers.map((header, index) => (
+                    <td key={index} className="px-3 py-2 whitespace-nowrap max-w-[200px] truncate">
+                      {record.fields[index]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Mapped result preview */}
+      {mappedPreview.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-purple-300">How your books will be imported</h3>
+          <div className="overflow-x-auto rounded-lg border border-purple-500/20">
+            <table className="min-w-full text-xs text-left">
+              <thead className="bg-gray-800/60 text-gray-300">
+                <tr>
+                  <th className="px-3 py-2 font-semibold">Title</th>
+                  <th className="px-3 py-2 font-semibold">Author</th>
+                  <th className="px-3 py-2 font-semibold">Rating</th>
+                  <th className="px-3 py-2 font-semibold">Date read</th>
+                  <th className="px-3 py-2 font-semibold">Shelf</th>
+                </tr>
+              </thead>
+              <tbody>
+                {mappedPreview.map(book => (
+                  <tr key={book.id} className="border-t border-purple-500/10 text-gray-200">
+                    <td className="px-3 py-2">{book.title}</td>
+                    <td className="px-3 py-2">{book.author}</td>
+                    <td className="px-3 py-2">{book.rating}</td>
+                    <td className="px-3 py-2">{book.dateRead || '—'}</td>
+                    <td className="px-3 py-2">{SHELF_LABELS[getShelf(book)]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="flex flex-col-reverse md:flex-row md:items-center md:justify-end gap-3">
+        {missingFields.length > 0 && (
+          <p className="text-sm text-red-300 md:mr-auto">Choose a column for: {missingFields.join(', ')}</p>
+        )}
+        <button
+          onClick={onCancel}
+          className="min-h-[44px] px-4 py-2 rounded-lg font-medium text-sm md:text-base text-gray-400 hover:text-white transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onConfirm(mapping)}
+          disabled={missingFields.length > 0}
+          className="min-h-[44px] px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold text-sm md:text-base transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{
+            color: '#ffffff',
+            boxShadow: '0 0 30px rgba(147, 51, 234, 0.5)'
+          }}
+        >
+          Import {Math.max(0, records.length - 1)} rows
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ColumnMappingWizard;
@@ -0,0 +1,65 @@
+import { SummarySection } from './ImportSummary';
+
+function HighlightsSummary({ result, onContinue }) {
+  const { matched, unmatched } = result;
+  const addedCount = matched.reduce((sum, { added }) => sum + added, 0);
+
+  return (
+    <div
+      className="bg-blue-900/20 backdrop-blur-lg rounded-2xl border p-6 md:p-8 w-full relative z-10 space-y-6"
+      style={{
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        borderColor: 'rgba(147, 51, 234, 0.4)',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3), inset 0 0 1px rgba(255, 255, 255, 0.1)'
+      }}
+    >
+      <div className="space-y-2">
+        <h2 className="text-xl md:text-2xl font-semibold text-white tracking-wide">Kindle highlights imported</h2>
+        <p className="text-sm md:text-base text-gray-400 leading-relaxed">
+          {addedCount} new highlight{addedCount !== 1 ? 's' : ''} added to {matched.length} book{matched.length !== 1 ? 's' : ''}.
+          {unmatched.length > 0 && ` ${unmatched.length} book${unmatched.length !== 1 ? 's' : ''} weren't found in your library.`}
+        </p>
+      </div>
+
+      <SummarySection
+        title="Matched"
+        color="#4ade80"
+        items={matched}
+        renderItem={({ book, added }) => (
+          <>
+            {book.title}{' '}
+            <span className="text-gray-500">
+              ({added > 0 ? `+${added} highlight${added !== 1 ? 's' : ''}` : 'already imported'})
+            </span>
+          </>
+        )}
+      />
+      <SummarySection
+        title="Not in your library"
+        color="#fca5a5"
+        items={unmatched}
+        renderItem={({ title, author, count }) => (
+          <>
+            {title}{author && <span className="text-gray-500"> by {author}</span>}{' '}
+            <span className="text-gray-500">({count} highlight{count !== 1 ? 's' : ''})</span>
+          </>
+        )}
+      />
+
+      <div className="flex justify-end">
+        <button
+          onClick={onContinue}
+          className="min-h-[44px] px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold text-sm md:text-base transition-all duration-300"
+          style={{
+            color: '#ffffff',
+            boxShadow: '0 0 30px rgba(147, 51, 234, 0.5)'
+          }}
+        >
+          Open graph
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default HighlightsSummary;
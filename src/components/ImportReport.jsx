@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { ISSUE_TYPES } from '../importers/validation';
+
+// Section titles and actions for each kind of issue, in display order
+const SECTIONS = [
+  { type: ISSUE_TYPES.SKIPPED, title: 'Skipped rows', color: '#fca5a5', fixLabel: 'Add book', ignoreLabel: 'Ignore' },
+  { type: ISSUE_TYPES.ANALYSIS, title: 'Failed analyses', color: '#fca5a5', fixLabel: 'Retry', ignoreLabel: 'Ignore' },
+  { type: ISSUE_TYPES.DUPLICATE, title: 'Possible duplicates', color: '#fcd34d', fixLabel: 'Remove', ignoreLabel: 'Keep both' },
+  { type: ISSUE_TYPES.DATE, title: 'Unreadable dates', color: '#fcd34d', fixLabel: 'Save', ignoreLabel: 'Leave empty' },
+  { type: ISSUE_TYPES.RATING, title: 'Suspicious ratings', color: '#fcd34d', fixLabel: 'Save', ignoreLabel: 'Keep' },
+];
+
+const DATE_FIELD_LABELS = {
+  dateRead: 'Date read',
+  dateAdded: 'Date added',
+};
+
+const SECTION_LIMIT = 10;
+
+const inputStyle = {
+  backgroundColor: 'rgba(10, 14, 39, 0.8)',
+  borderColor: 'rgba(147, 51, 234, 0.4)',
+};
+
+// Starting value of the inline fix input for an issue
+const getInitialDraft = (issue, book) => {
+  if (issue.type === ISSUE_TYPES.SKIPPED) {
+    const cell = (index) => (index !== -1 ? (issue.fields[index] || '').trim() : '');
+    return { title: cell(issue.titleIndex), author: cell(issue.authorIndex) };
+  }
+  if (issue.type === ISSUE_TYPES.RATING) {
+    const rating = Number(book?.rating);
+    return Number.isFinite(rating) ? String(Math.min(5, Math.max(0, rating))) : '';
+  }
+  return '';
+};
+
+function IssueRow({ issue, book, section, onFix, onIgnore }) {
+  const [draft, setDraft] = useState(() => getInitialDraft(issue, book));
+  const [isBusy, setIsBusy] = useState(false);
+
+  const canFix = {
+    [ISSUE_TYPES.SKIPPED]: draft.title?.trim() && draft.author?.trim(),
+    [ISSUE_TYPES.DATE]: Boolean(draft),
+  }[issue.type] ?? true;
+
+  const handleFix = async () => {
+    setIsBusy(true);
+    try {
+      await onFix(issue, draft);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <li className="rounded-lg border p-3 space-y-2" style={{ borderColor: 'rgba(255, 255, 255, 0.1)' }}>
+      <div className="text-sm leading-normal">
+        {book ? (
+          <span className="text-white">
+            {book.title} <span className="text-gray-500">by {book.author}</span>
+          </span>
+        ) : (
+          <span className="text-gray-400 break-all">
+            {issue.fields.filter(Boolean).slice(0, 4).join(' • ') || '(empty row)'}
+          </span>
+        )}
+        <div className="text-xs text-gray-400 mt-1">
+          {issue.type === ISSUE_TYPES.DATE && `${DATE_FIELD_LABELS[issue.field] || issue.field}: `}
+          {issue.message}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {issue.type === ISSUE_TYPES.SKIPPED && (
+          <>
+            <input
+              type="text"
+              value={draft.title}
+              onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+              placeholder="Title"
+              className="flex-1 min-w-[140px] px-2 py-1 rounded border text-sm text-white"
+              style={inputStyle}
+            />
+            <input
+              type="text"
+              value={draft.author}
+              onChange={(e) => setDraft({ ...draft, author: e.target.value })}
+              placeholder="Author"
+              className="flex-1 min-w-[140px] px-2 py-1 rounded border text-sm text-white"
+              style={inputStyle}
+            />
+          </>
+        )}
+        {issue.type === ISSUE_TYPES.DATE && (
+          <input
+            type="date"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            className="px-2 py-1 rounded border text-sm text-white"
+            style={{ ...inputStyle, colorScheme: 'dark' }}
+          />
+        )}
+        {issue.type === ISSUE_TYPES.RATING && (
+          <input
+            type="number"
+            min="0"
+            max="5"
+            step="0.25"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Not rated"
+            className="w-24 px-2 py-1 rounded border text-sm text-white"
+            style={inputStyle}
+          />
+        )}
+
+        <div className="flex gap-2 ml-auto">
+          <button
+            onClick={handleFix}
+            disabled={isBusy || !canFix}
+            className="px-3 py-1 rounded bg-purple-600 hover:bg-purple-700 text-xs font-semibold text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isBusy ? 'Working...' : section.fixLabel}
+          </button>
+          <button
+            onClick={() => onIgnore(issue)}
+            disabled={isBusy}
+            className="px-3 py-1 rounded border text-xs text-gray-300 hover:text-white transition-colors disabled:opacity-50"
+            style={{ borderColor: 'rgba(255, 255, 255, 0.2)' }}
+          >
+            {section.ignoreLabel}
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+}
+
+function IssueSection({ section, issues, booksById, onFix, onIgnore }) {
+  const [showAll, setShowAll] = useState(false);
+  if (issues.length === 0) return null;
+
+  const visible = showAll ? issues : issues.slice(0, SECTION_LIMIT);
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-semibold leading-normal" style={{ color: section.color }}>
+        {section.title} ({issues.length})
+      </h3>
+      <ul className="space-y-2">
+        {visible.map(issue => (
+          <IssueRow
+            key={issue.id}
+            issue={issue}
+            book={booksById.get(issue.bookId)}
+            section={section}
+            onFix={onFix}
+            onIgnore={onIgnore}
+          />
+        ))}
+      </ul>
+      {issues.length > SECTION_LIMIT && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="text-xs text-purple-300 hover:text-purple-200 transition-colors"
+        >
+          {showAll ? 'Show less' : `Show all ${issues.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Problems found while importing, each with an inline fix and an ignore action.
+// onFix gets the issue and the value typed into its input and may return a promise;
+// without onContinue the report has no "Open graph" button of its own.
+function ImportReport({ issues, books, onFix, onIgnore, onContinue }) {
+  const booksById = new Map(books.map(book => [book.id, book]));
+
+  return (
+    <div
+      className="bg-blue-900/20 backdrop-blur-lg rounded-2xl border p-6 md:p-8 w-full relative z-10 space-y-6"
+      style={{
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        borderColor: 'rgba(147, 51, 234, 0.4)',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3), inset 0 0 1px rgba(255, 255, 255, 0.1)'
+      }}
+    >
+      <div className="space-y-2">
+        <h2 className="text-xl md:text-2xl font-semibold text-white tracking-wide">Import report</h2>
+        <p className="text-sm md:text-base text-gray-400 leading-relaxed">
+          {issues.length === 0
+            ? 'All problems resolved.'
+            : `${issues.length} thing${issues.length !== 1 ? 's' : ''} to check before building your graph.`}
+        </p>
+      </div>
+
+      {SECTIONS.map(section => (
+        <IssueSection
+          key={section.type}
+          section={section}
+          issues={issues.filter(issue => issue.type === section.type)}
+          booksById={booksById}
+          onFix={onFix}
+          onIgnore={onIgnore}
+        />
+      ))}
+
+      {onContinue && (
+        <div className="flex justify-end">
+          <button
+            onClick={onContinue}
+            className="min-h-[44px] px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold text-sm md:text-base transition-all duration-300"
+            style={{
+              color: '#ffffff',
+              boxShadow: '0 0 30px rgba(147, 51, 234, 0.5)'
+            }}
+          >
+            Open graph
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportReport;
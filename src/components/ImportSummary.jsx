@@ -0,0 +1,109 @@
+import { useState } from 'react';
+
+// Human-readable names for fields that can change between exports
+const FIELD_LABELS = {
+  title: 'title',
+  author: 'author',
+  rating: 'rating',
+  dateRead: 'date read',
+  exclusiveShelf: 'shelf',
+  bookshelves: 'shelves',
+  review: 'review',
+  readCount: 'read count',
+};
+
+const SECTION_LIMIT = 10;
+
+export function SummarySection({ title, color, items, renderItem }) {
+  const [showAll, setShowAll] = useState(false);
+  if (items.length === 0) return null;
+
+  const visible = showAll ? items : items.slice(0, SECTION_LIMIT);
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-semibold leading-normal" style={{ color }}>
+        {title} ({items.length})
+      </h3>
+      <ul className="space-y-1">
+        {visible.map((item, index) => (
+          <li key={index} className="text-sm text-gray-300 leading-normal">
+            {renderItem(item)}
+          </li>
+        ))}
+      </ul>
+      {items.length > SECTION_LIMIT && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="text-xs text-purple-300 hover:text-purple-200 transition-colors"
+        >
+          {showAll ? 'Show less' : `Show all ${items.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function ImportSummary({ summary, onContinue }) {
+  const { added, updated, removed, unchanged, analyzedCount } = summary;
+
+  return (
+    <div
+      className="bg-blue-900/20 backdrop-blur-lg rounded-2xl border p-6 md:p-8 w-full relative z-10 space-y-6"
+      style={{
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        borderColor: 'rgba(147, 51, 234, 0.4)',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3), inset 0 0 1px rgba(255, 255, 255, 0.1)'
+      }}
+    >
+      <div className="space-y-2">
+        <h2 className="text-xl md:text-2xl font-semibold text-white tracking-wide">Library updated</h2>
+        <p className="text-sm md:text-base text-gray-400 leading-relaxed">
+          {added.length} added • {updated.length} updated • {removed.length} removed • {unchanged} unchanged.
+          {' '}{analyzedCount} book{analyzedCount !== 1 ? 's' : ''} analyzed.
+        </p>
+      </div>
+
+      <SummarySection
+        title="Added"
+        color="#4ade80"
+        items={added}
+        renderItem={(book) => <>{book.title} <span className="text-gray-500">by {book.author}</span></>}
+      />
+      <SummarySection
+        title="Updated"
+        color="#93c5fd"
+        items={updated}
+        renderItem={({ book, changedFields }) => (
+          <>
+            {book.title}{' '}
+            <span className="text-gray-500">
+              ({changedFields.map(field => FIELD_LABELS[field] || field).join(', ')})
+            </span>
+          </>
+        )}
+      />
+      <SummarySection
+        title="Removed"
+        color="#fca5a5"
+        items={removed}
+        renderItem={(book) => <>{book.title} <span className="text-gray-500">by {book.author}</span></>}
+      />
+
+      <div className="flex justify-end">
+        <button
+          onClick={onContinue}
+          className="min-h-[44px] px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold text-sm md:text-base transition-all duration-300"
+          style={{
+            color: '#ffffff',
+            boxShadow: '0 0 30px rgba(147, 51, 234, 0.5)'
+          }}
+        >
+          Open graph
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportSummary;
@@ -0,0 +1,200 @@
+import { useState, useEffect, useRef } from 'react';
+import { isAbortError } from '../../shared/abort';
+import { buildLibraryContext, getHistoryForRequest, loadChatHistory, saveChatHistory } from '../libraryChat';
+import { askLibrary, describeApiError } from '../llmAPI';
+
+const EXAMPLE_QUESTIONS = [
+  'Which books I rated 5 stars deal with grief?',
+  'What connects my sci-fi and my memoirs?',
+  'What was I reading most last year?',
+];
+
+// One turn of the conversation; answers list the books they cite
+function ChatMessage({ message, onCitationClick }) {
+  const isUser = message.role === 'user';
+  return (
+    <div className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+      <div
+        className={`max-w-[85%] rounded-lg px-3 py-2 space-y-2 ${
+          isUser
+            ? 'bg-purple-600/80 text-white'
+            : message.error
+              ? 'bg-red-900/30 border border-red-500/50 text-red-300'
+              : 'bg-gray-800/70 border border-purple-500/20 text-gray-200'
+        }`}
+      >
+        <p className="text-sm leading-relaxed whitespace-pre-line">{message.content}</p>
+        {message.citations?.length > 0 && (
+          <div className="flex flex-wrap gap-1.5">
+            {message.citations.map((citation, index) => (
+              <button
+                key={`${citation.id}-${index}`}
+                onClick={() => onCitationClick(citation)}
+                className="px-2 py-0.5 rounded-full text-xs bg-purple-500/20 text-purple-300 border border-purple-500/30 hover:bg-purple-500/40 hover:text-white transition-colors text-left"
+                title={`Show "${citation.title}" in the graph`}
+              >
+                {citation.title}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// "Ask my library" drawer: questions are answered from the library's themes,
+// ratings, dates and quotes, and cited books can be clicked to focus them in the graph.
+// The conversation lasts for the browser session.
+function LibraryChat({ books = [], isOpen, onClose, onCitationClick }) {
+  const [messages, setMessages] = useState(loadChatHistory);
+  const [question, setQuestion] = useState('');
+  const [isAsking, setIsAsking] = useState(false);
+  const abortRef = useRef(null);
+  const endRef = useRef(null);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth', block: 'end' });
+  }, [messages, isOpen]);
+
+  // The conversation lasts for the browser session
+  useEffect(() => {
+    saveChatHistory(messages);
+  }, [messages]);
+
+  // Abort a pending question when the drawer unmounts
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleAsk = async (text) => {
+    const trimmed = text.trim();
+    if (!trimmed || isAsking || books.length === 0) return;
+
+    const history = getHistoryForRequest(messages);
+    setMessages(prev => [...prev, { role: 'user', content: trimmed }]);
+    setQuestion('');
+    setIsAsking(true);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      const context = buildLibraryContext(books, trimmed);
+      const { answer, citations } = await askLibrary(trimmed, context.books, {
+        history,
+        libraryCount: books.length,
+        signal: controller.signal,
+      });
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: answer,
+        citations: citations.map(number => context.sources[number - 1]).filter(Boolean),
+      }]);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error('Error asking library question:', error);
+      setMessages(prev => [...prev, { role: 'assistant', content: describeApiError(error), error: true }]);
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setIsAsking(false);
+    }
+  };
+
+  const handleClear = () => {
+    abortRef.current?.abort();
+    setMessages([]);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed left-0 top-0 h-full w-full md:w-96 backdrop-blur-lg bg-gray-900/90 border-r border-purple-500/30 shadow-2xl z-50 flex flex-col"
+      style={{ boxShadow: '0 0 40px rgba(147, 51, 234, 0.3)' }}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between gap-2 border-b border-purple-500/30" style={{ padding: '16px' }}>
+        <h2 className="text-lg md:text-xl font-bold text-white">Ask my library</h2>
+        <div className="flex items-center gap-1">
+          {messages.length > 0 && (
+            <button
+              onClick={handleClear}
+              className="min-h-[44px] px-3 py-2 text-xs md:text-sm text-gray-400 hover:text-white transition-colors"
+            >
+              New chat
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="min-h-[44px] min-w-[44px] px-3 py-2 text-gray-400 hover:text-white transition-colors hover:bg-purple-500/20 rounded-lg flex items-center justify-center"
+            aria-label="Close chat"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {/* Conversation */}
+      <div className="flex-1 overflow-y-auto space-y-3" style={{ padding: '16px' }}>
+        {messages.length === 0 && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-400 leading-relaxed">
+              Ask about your books. Answers come from their themes, ratings, dates and quotes, and cite the books
+              they use; click one to find it in the graph.
+            </p>
+            {EXAMPLE_QUESTIONS.map(example => (
+              <button
+                key={example}
+                onClick={() => handleAsk(example)}
+                disabled={books.length === 0}
+                className="block w-full text-left px-3 py-2 rounded-lg text-sm text-purple-200 border border-purple-500/30 hover:border-purple-500/60 hover:bg-purple-500/10 transition-colors disabled:opacity-50"
+              >
+                {example}
+              </button>
+            ))}
+          </div>
+        )}
+        {messages.map((message, index) => (
+          <ChatMessage key={index} message={message} onCitationClick={onCitationClick} />
+        ))}
+        {isAsking && (
+          <div className="flex items-center gap-2 text-sm text-gray-400">
+            <span className="w-4 h-4 border-2 border-purple-500/30 border-t-purple-500 rounded-full animate-spin"></span>
+            Thinking...
+          </div>
+        )}
+        <div ref={endRef} />
+      </div>
+
+      {/* Question */}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleAsk(question);
+        }}
+        className="flex items-center gap-2 border-t border-purple-500/30"
+        style={{ padding: '16px' }}
+      >
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          maxLength={500}
+          placeholder="Ask a question about your books"
+          className="flex-1 min-h-[44px] px-3 py-2 rounded-lg bg-gray-900/70 border border-purple-500/30 text-gray-200 text-sm focus:outline-none focus:border-purple-500"
+        />
+        <button
+          type="submit"
+          disabled={!question.trim() || isAsking || books.length === 0}
+          className="min-h-[44px] px-4 py-2 rounded-lg font-semibold text-sm text-white transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{ backgroundColor: '#9333ea', boxShadow: '0 0 15px rgba(147, 51, 234, 0.4)' }}
+        >
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LibraryChat;
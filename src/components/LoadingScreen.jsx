@@ -1,6 +1,8 @@
 import { useEffect, useState } from 'react';
+import { QUEUE_TAGS } from '../analysisQueue';
+import AnalysisQueueStatus from './AnalysisQueueStatus';
 
-function LoadingScreen({ bookCount = 0, onComplete, analysisProgress = 0, isAnalyzing = false }) {
+function LoadingScreen({ bookCount = 0, onComplete, analysisProgress = 0, isAnalyzing = false, parseProgress = 0 }) {
   const [dots, setDots] = useState('');
 
   useEffect(() => {
@@ -74,6 +76,14 @@ function LoadingScreen({ bookCount = 0, onComplete, analysisProgress = 0, isAnal
         </h2>
 
         {/* Progress text */}
+        {bookCount === 0 && (
+          <p
+            className="text-xl md:text-2xl"
+            style={{ color: '#d1d5db' }}
+          >
+            {`Reading your library${dots} ${Math.floor(parseProgress * 100)}%`}
+          </p>
+        )}
         {bookCount > 0 && (
           <p
             className="text-xl md:text-2xl"
@@ -84,6 +94,11 @@ function LoadingScreen({ bookCount = 0, onComplete, analysisProgress = 0, isAnal
               : `Processing ${bookCount} book${bookCount !== 1 ? 's' : ''}...`}
           </p>
         )}
+        {isAnalyzing && (
+          <div className="relative z-10 mt-6 mx-auto max-w-md">
+            <AnalysisQueueStatus cancelTag={QUEUE_TAGS.IMPORT} />
+          </div>
+        )}
 
         {/* Floating particles effect */}
         <div className="absolute inset-0 pointer-events-none overflow-hidden">
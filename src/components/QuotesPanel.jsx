@@ -1,12 +1,103 @@
-import { useState, useEffect } from 'react';
-import { generateInsights } from '../geminiAPI';
+import { useState, useEffect, useRef } from 'react';
+import { isAbortError } from '../../shared/abort';
+import { describeApiError, generateInsights } from '../llmAPI';
+import { findBookMatch, getShelf, isUnread, SHELF_LABELS } from '../library';
+import { QUOTE_STATUS } from '../sourceCheck';
+import BookDetails from './BookDetails';
 
-function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
+// Theme label stored on bookmarks of verified quotes (Kindle highlights)
+const HIGHLIGHT_THEME = 'My highlights';
+
+const BOOKMARK_ICON_PATH = 'M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z';
+
+// Where a quote was found in the EPUB, e.g. "Chapter 3 (42%)"
+const formatSourceLocation = (result) => `${result.chapter} (${result.percent}%)`;
+
+// Badge showing whether a quote was found in the book's text
+const SourceBadge = ({ result }) => {
+  if (result.status === QUOTE_STATUS.VERIFIED) {
+    return (
+      <p className="text-green-400 text-xs leading-normal">✓ In the book • {formatSourceLocation(result)}</p>
+    );
+  }
+  if (result.status === QUOTE_STATUS.CLOSE_MATCH) {
+    return (
+      <div className="space-y-1">
+        <p className="text-yellow-400 text-xs leading-normal">≈ Close match • {formatSourceLocation(result)}</p>
+        <p className="text-gray-400 text-xs leading-relaxed">In the book: "{result.passage}"</p>
+      </div>
+    );
+  }
+  return <p className="text-red-400 text-xs leading-normal">Not found in this edition</p>;
+};
+
+// Bar showing how central a theme is to the book (weight 0-1)
+const ThemeWeightBar = ({ weight, color }) => {
+  const percent = Math.round(weight * 100);
+  return (
+    <div className="flex items-center gap-2 mt-1" title={`How central this theme is to the book: ${percent}%`}>
+      <div className="h-1.5 w-24 md:w-32 rounded-full bg-gray-700/60 overflow-hidden">
+        <div className="h-full rounded-full bg-purple-500" style={{ width: `${percent}%`, backgroundColor: color }} />
+      </div>
+      <span className="text-xs text-gray-400 leading-normal">{percent}%</span>
+    </div>
+  );
+};
+
+// Bookmark icon - filled if bookmarked
+const BookmarkButton = ({ isActive, onClick }) => (
+  <button
+    className={`min-h-[44px] min-w-[44px] px-3 py-2 flex-shrink-0 transition-colors flex items-center justify-center ${
+      isActive
+        ? 'text-yellow-400 hover:text-yellow-300'
+        : 'text-gray-500 hover:text-purple-400'
+    }`}
+    aria-label={isActive ? 'Remove bookmark' : 'Bookmark quote'}
+    onClick={(e) => {
+      e.stopPropagation();
+      onClick();
+    }}
+  >
+    <svg
+      className="w-5 h-5"
+      fill={isActive ? 'currentColor' : 'none'}
+      stroke="currentColor"
+      viewBox="0 0 24 24"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={2}
+        d={BOOKMARK_ICON_PATH}
+      />
+    </svg>
+  </button>
+);
+
+function QuotesPanel({
+  book,
+  isOpen,
+  onClose,
+  isLoading = false,
+  books = [],
+  libraryBooks = books,
+  themeColors = new Map(),
+  detailsStatus = null,
+  onRetryDetails,
+  onAddSuggestion,
+  sourceCheckStatus = null,
+  onVerifyWithEpub,
+}) {
   const [expandedThemes, setExpandedThemes] = useState(new Set());
   const [bookmarkedQuotes, setBookmarkedQuotes] = useState(new Set());
   const [insights, setInsights] = useState(null);
   const [isGeneratingInsights, setIsGeneratingInsights] = useState(false);
   const [insightsError, setInsightsError] = useState(null);
+  const [isReviewExpanded, setIsReviewExpanded] = useState(false);
+  const [isHighlightsExpanded, setIsHighlightsExpanded] = useState(true);
+  const epubInputRef = useRef(null);
+  // Aborts the insights request in flight
+  const insightsAbortRef = useRef(null);
 
   // Load bookmarked quotes from localStorage
   useEffect(() => {
@@ -14,7 +105,7 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
     if (savedBookmarks) {
       try {
         const bookmarks = JSON.parse(savedBookmarks);
-        setBookmarkedQuotes(new Set(bookmarks));
+        setBookmarkedQuotes(new Set(bookmarks.map(bookmark => bookmark.key)));
       } catch (error) {
         console.error('Error loading bookmarks:', error);
       }
@@ -22,7 +113,9 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
   }, []);
 
   // Save bookmark to localStorage
-  const handleBookmarkClick = (quote, theme) => {
+  // verified marks quotes found word for word in the book (or the reader's own highlights);
+  // closeMatch is the book's wording of a quote the EPUB check only found approximately
+  const handleBookmarkClick = (quote, theme, verified = false, closeMatch = null) => {
     const bookmarkKey = `${book?.title || ''}|||${book?.author || ''}|||${quote}|||${theme}`;
     const savedBookmarks = localStorage.getItem('bookmarkedQuotes');
     let bookmarks = savedBookmarks ? JSON.parse(savedBookmarks) : [];
@@ -43,7 +136,9 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
         theme,
         bookTitle: book?.title || '',
         bookAuthor: book?.author || '',
-        dateAdded: new Date().toISOString()
+        dateAdded: new Date().toISOString(),
+        ...(verified && { verified: true }),
+        ...(closeMatch && { closeMatch })
       };
       bookmarks.push(bookmark);
       setBookmarkedQuotes(prev => new Set([...prev, bookmarkKey]));
@@ -64,14 +159,19 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
     
     setIsGeneratingInsights(true);
     setInsightsError(null);
-    
+
+    const controller = new AbortController();
+    insightsAbortRef.current = controller;
     try {
-      const result = await generateInsights(book.title, book.author, books);
+      const result = await generateInsights(book, books, { signal: controller.signal });
       setInsights(result);
     } catch (error) {
+      // Cancelled: the panel was closed, the book changed or the user clicked Cancel
+      if (isAbortError(error)) return;
       console.error('Error generating insights:', error);
-      setInsightsError(error.message || 'Failed to generate insights. Please try again.');
+      setInsightsError(describeApiError(error));
     } finally {
+      if (insightsAbortRef.current === controller) insightsAbortRef.current = null;
       setIsGeneratingInsights(false);
     }
   };
@@ -82,10 +182,42 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
     setInsightsError(null);
   }, [book?.title, book?.author]);
 
+  // Abort a pending insights request when the book changes, the panel closes or unmounts
+  useEffect(() => () => {
+    insightsAbortRef.current?.abort();
+    insightsAbortRef.current = null;
+  }, [book?.title, book?.author, isOpen]);
+
   if (!isOpen) return null;
 
   const themes = book?.themes || [];
   const allQuotes = book?.quotes || [];
+  const verifiedQuotes = book?.verifiedQuotes || [];
+
+  // Results of checking the quotes against an EPUB of the book
+  const sourceCheck = book?.sourceCheck || null;
+  const sourceResults = new Map((sourceCheck?.quotes || []).map(result => [result.text, result]));
+  const foundCount = sourceCheck
+    ? sourceCheck.quotes.filter(result => result.status !== QUOTE_STATUS.NOT_FOUND).length
+    : 0;
+
+  const handleEpubSelect = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file && onVerifyWithEpub) {
+      onVerifyWithEpub(file);
+    }
+  };
+
+  // Publication details imported from the library export
+  const publicationYear = book?.originalPublicationYear || book?.yearPublished;
+  const bookDetails = [
+    publicationYear ? `Published ${publicationYear}` : null,
+    book?.pages ? `${book.pages} pages` : null,
+    book?.binding || null,
+    book?.publisher || null,
+    book?.readCount > 1 ? `Read ${book.readCount} times` : null,
+  ].filter(Boolean);
 
   const toggleTheme = (themeName) => {
     const newExpanded = new Set(expandedThemes);
@@ -154,12 +286,24 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
               {book.author && (
                 <p className="text-purple-300 text-sm md:text-base leading-normal">by {book.author}</p>
               )}
-              {book.rating && (
+              {isUnread(book) ? (
+                <span className="inline-block px-3 py-1 text-xs font-semibold rounded-full border border-dashed border-purple-300/60 text-purple-200 leading-normal">
+                  {SHELF_LABELS[getShelf(book)]}
+                </span>
+              ) : book.rating && (
                 <div className="flex items-center gap-3">
                   <span className="text-yellow-400 text-sm md:text-base leading-normal">★</span>
                   <span className="text-gray-300 text-sm md:text-base leading-normal">{book.rating}</span>
+                  {typeof book.averageRating === 'number' && (
+                    <span className="text-gray-500 text-xs md:text-sm leading-normal">
+                      (avg {book.averageRating.toFixed(2)})
+                    </span>
+                  )}
                 </div>
               )}
+              {bookDetails.length > 0 && (
+                <p className="text-gray-400 text-xs md:text-sm leading-normal">{bookDetails.join(' • ')}</p>
+              )}
             </div>
           ) : null}
         </div>
@@ -175,7 +319,137 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
           </div>
         ) : (
           <div className="space-y-4 md:space-y-6 lg:space-y-8" style={{ padding: '16px' }}>
+            {/* My Review */}
+            {book.review && (
+              <div className="bg-gray-800/50 backdrop-blur-sm rounded-lg border border-purple-500/20 overflow-hidden">
+                <button
+                  onClick={() => setIsReviewExpanded(!isReviewExpanded)}
+                  className="w-full min-h-[44px] px-4 py-2 flex items-center justify-between hover:bg-purple-500/10 transition-colors"
+                >
+                  <h4 className="text-base md:text-lg font-semibold text-white text-left">My Review</h4>
+                  <svg
+                    className={`w-5 h-5 text-purple-400 transition-transform duration-300 ${isReviewExpanded ? 'transform rotate-180' : ''}`}
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                  </svg>
+                </button>
+                {isReviewExpanded && (
+                  <p className="text-gray-300 text-sm md:text-base leading-relaxed whitespace-pre-line animate-fadeIn" style={{ padding: '0 16px 16px 16px' }}>
+                    {book.review}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Synopsis, characters and setting - spoiler-bearing sections stay hidden until revealed */}
+            <BookDetails
+              key={`${book.title}|${book.author}`}
+              details={book.details}
+              isLoading={detailsStatus?.isLoading}
+              error={detailsStatus?.error}
+              onRetry={onRetryDetails}
+            />
+
+            {/* Source check - verify quotes against an EPUB of the book */}
+            {onVerifyWithEpub && (
+              <div className="bg-gray-800/50 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 space-y-2">
+                <div className="flex items-center justify-between gap-3">
+                  <h4 className="text-base md:text-lg font-semibold text-white">Source Check</h4>
+                  <button
+                    onClick={() => epubInputRef.current?.click()}
+                    disabled={sourceCheckStatus?.isChecking}
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    style={{
+                      backgroundColor: 'rgba(147, 51, 234, 0.2)',
+                      color: '#c4b5fd',
+                      border: '1px solid rgba(147, 51, 234, 0.3)'
+                    }}
+                  >
+                    {sourceCheckStatus?.isChecking ? 'Checking...' : sourceCheck ? 'Check again' : 'Verify with EPUB'}
+                  </button>
+                  <input
+                    ref={epubInputRef}
+                    type="file"
+                    accept=".epub,application/epub+zip"
+                    onChange={handleEpubSelect}
+                    className="hidden"
+                  />
+                </div>
+                <p className="text-gray-400 text-xs md:text-sm leading-normal">
+                  {sourceCheck
+                    ? `${foundCount} of ${sourceCheck.quotes.length} quotes found in ${sourceCheck.fileName}.`
+                    : 'Choose a DRM-free EPUB, or drop one on this book in the graph, to check these quotes against the real text.'}
+                </p>
+                {sourceCheckStatus?.error && (
+                  <p className="text-red-400 text-xs md:text-sm leading-normal">{sourceCheckStatus.error}</p>
+                )}
+              </div>
+            )}
+
+            {/* My Highlights - verified quotes imported from Kindle */}
+            {verifiedQuotes.length > 0 && (
+              <div className="bg-gray-800/50 backdrop-blur-sm rounded-lg border border-green-500/30 overflow-hidden">
+                <button
+                  onClick={() => setIsHighlightsExpanded(!isHighlightsExpanded)}
+                  className="w-full min-h-[44px] px-4 py-2 flex items-center justify-between hover:bg-purple-500/10 transition-colors"
+                >
+                  <h4 className="text-base md:text-lg font-semibold text-white text-left flex items-center gap-2">
+                    My Highlights
+                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-green-500/20 text-green-400 border border-green-500/30">
+                      {verifiedQuotes.length} verified
+                    </span>
+                  </h4>
+                  <svg
+                    className={`w-5 h-5 text-purple-400 transition-transform duration-300 ${isHighlightsExpanded ? 'transform rotate-180' : ''}`}
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                  </svg>
+                </button>
+                {isHighlightsExpanded && (
+                  <div className="space-y-4 animate-fadeIn" style={{ padding: '0 16px 16px 16px' }}>
+                    {verifiedQuotes.map((quote, quoteIndex) => (
+                      <div
+                        key={quoteIndex}
+                        className="bg-gray-900/50 rounded-lg border border-green-500/10 hover:border-green-500/30 transition-all duration-300"
+                        style={{ padding: '16px' }}
+                      >
+                        <div className="flex items-start gap-3">
+                          <div className="flex-1 space-y-2">
+                            <p className="text-gray-200 text-sm md:text-base leading-relaxed italic">
+                              "{quote.text}"
+                            </p>
+                            {quote.note && (
+                              <p className="text-purple-300 text-xs md:text-sm leading-normal">Note: {quote.note}</p>
+                            )}
+                            <p className="text-gray-500 text-xs leading-normal">
+                              {[
+                                quote.page ? `Page ${quote.page}` : null,
+                                quote.location ? `Location ${quote.location}` : null,
+                              ].filter(Boolean).join(' • ')}
+                            </p>
+                          </div>
+                          <BookmarkButton
+                            isActive={isBookmarked(quote.text, HIGHLIGHT_THEME)}
+                            onClick={() => handleBookmarkClick(quote.text, HIGHLIGHT_THEME, true)}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="space-y-4 md:space-y-6">
+            {verifiedQuotes.length > 0 && themes.length > 0 && (
+              <p className="text-gray-500 text-xs uppercase tracking-wide leading-normal">AI-suggested themes &amp; quotes</p>
+            )}
             {themes.length === 0 ? (
               <div className="text-center py-12">
                 <p className="text-gray-400 leading-relaxed">No themes or quotes available for this book.</p>
@@ -201,7 +475,10 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
                     onClick={() => toggleTheme(themeName)}
                     className="w-full min-h-[44px] px-4 py-2 flex items-center justify-between hover:bg-purple-500/10 transition-colors"
                   >
-                    <h4 className="text-base md:text-lg font-semibold text-white text-left">{themeName}</h4>
+                    <div className="flex-1 min-w-0 text-left">
+                      <h4 className="text-base md:text-lg font-semibold text-white">{themeName}</h4>
+                      {typeof theme.weight === 'number' && <ThemeWeightBar weight={theme.weight} color={themeColors.get(themeName)} />}
+                    </div>
                     <svg
                       className={`w-5 h-5 text-purple-400 transition-transform duration-300 ${isExpanded ? 'transform rotate-180' : ''}`}
                       fill="none"
@@ -228,42 +505,52 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
                             }}
                           >
                             <div className="flex items-start gap-3">
-                              {/* Quote text */}
-                              <p className="text-gray-200 text-sm md:text-base leading-relaxed flex-1 italic">
-                                "{quote}"
-                              </p>
+                              <div className="flex-1 space-y-2">
+                                {/* Quote text */}
+                                <p className="text-gray-200 text-sm md:text-base leading-relaxed italic">
+                                  "{quote}"
+                                </p>
+                                {sourceResults.has(quote) && <SourceBadge result={sourceResults.get(quote)} />}
+                              </div>
                               
-                              {/* Bookmark icon - filled if bookmarked */}
-                              <button
-                                className={`min-h-[44px] min-w-[44px] px-3 py-2 flex-shrink-0 transition-colors flex items-center justify-center ${
-                                  isBookmarked(quote, themeName) 
-                                    ? 'text-yellow-400 hover:text-yellow-300' 
-                                    : 'text-gray-500 hover:text-purple-400'
-                                }`}
-                                aria-label={isBookmarked(quote, themeName) ? 'Remove bookmark' : 'Bookmark quote'}
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  handleBookmarkClick(quote, themeName);
-                                }}
-                              >
-                                <svg
-                                  className="w-5 h-5"
-                                  fill={isBookmarked(quote, themeName) ? 'currentColor' : 'none'}
-                                  stroke="currentColor"
-                                  viewBox="0 0 24 24"
-                                >
-                                  <path
-                                    strokeLinecap="round"
-                                    strokeLinejoin="round"
-                                    strokeWidth={2}
-                                    d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"
-                                  />
-                                </svg>
-                              </button>
+                              <BookmarkButton
+                                isActive={isBookmarked(quote, themeName)}
+                                onClick={() => handleBookmarkClick(
+                                  quote,
+                                  themeName,
+                                  sourceResults.get(quote)?.status === QUOTE_STATUS.VERIFIED,
+                                  sourceResults.get(quote)?.status === QUOTE_STATUS.CLOSE_MATCH ? sourceResults.get(quote).passage : null
+                                )}
+                              />
                             </div>
                           </div>
                         ))
                       )}
+
+                      {/* Real passages from the EPUB that mention this theme */}
+                      {sourceCheck?.passages.some(passage => passage.theme === themeName) && (
+                        <div className="space-y-3">
+                          <p className="text-green-400 text-xs uppercase tracking-wide leading-normal">From the book</p>
+                          {sourceCheck.passages.filter(passage => passage.theme === themeName).map((passage, passageIndex) => (
+                            <div
+                              key={passageIndex}
+                              className="bg-gray-900/50 rounded-lg border border-green-500/10 hover:border-green-500/30 transition-all duration-300"
+                              style={{ padding: '16px' }}
+                            >
+                              <div className="flex items-start gap-3">
+                                <div className="flex-1 space-y-2">
+                                  <p className="text-gray-200 text-sm leading-relaxed">{passage.text}</p>
+                                  <p className="text-gray-500 text-xs leading-normal">{formatSourceLocation(passage)}</p>
+                                </div>
+                                <BookmarkButton
+                                  isActive={isBookmarked(passage.text, themeName)}
+                                  onClick={() => handleBookmarkClick(passage.text, themeName, true)}
+                                />
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -316,6 +603,12 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
                   <div className="text-center">
                     <div className="w-12 h-12 border-4 border-purple-500/30 border-t-purple-500 rounded-full animate-spin mx-auto mb-4"></div>
                     <p className="text-gray-400 text-sm leading-normal">Generating insights...</p>
+                    <button
+                      onClick={() => insightsAbortRef.current?.abort()}
+                      className="mt-3 px-3 py-1.5 rounded text-xs font-medium text-gray-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                    >
+                      Cancel
+                    </button>
                   </div>
                 </div>
               )}
@@ -333,26 +626,52 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
                     <div className="bg-gray-800/50 backdrop-blur-sm rounded-lg border border-purple-500/20 p-4 space-y-6">
                       <h4 className="text-md font-semibold text-purple-300 leading-normal">Similar Books</h4>
                       <div className="space-y-6">
-                        {insights.suggestions.map((suggestion, index) => (
-                          <div
-                            key={index}
-                            className="bg-gray-900/50 rounded-lg p-3 border border-purple-500/10 hover:border-purple-500/30 transition-all"
-                          >
-                            <div className="flex items-start gap-3">
-                              <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-green-500/20 text-green-400 border border-green-500/30 flex-shrink-0">
-                                New for you
-                              </span>
-                              <div className="flex-1 min-w-0 space-y-1">
-                                <p className="text-white font-medium text-sm leading-normal">
-                                  {suggestion.title}
-                                </p>
-                                {suggestion.author && (
-                                  <p className="text-purple-300 text-xs leading-normal">by {suggestion.author}</p>
-                                )}
+                        {insights.suggestions.map((suggestion, index) => {
+                          // Added suggestions are in the library from then on
+                          const isAdded = !!findBookMatch(libraryBooks, suggestion);
+                          return (
+                            <div
+                              key={index}
+                              className="bg-gray-900/50 rounded-lg p-3 border border-purple-500/10 hover:border-purple-500/30 transition-all"
+                            >
+                              <div className="flex items-start gap-3">
+                                <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-green-500/20 text-green-400 border border-green-500/30 flex-shrink-0">
+                                  New for you
+                                </span>
+                                <div className="flex-1 min-w-0 space-y-1">
+                                  <p className="text-white font-medium text-sm leading-normal">
+                                    {suggestion.title}
+                                  </p>
+                                  {suggestion.author && (
+                                    <p className="text-purple-300 text-xs leading-normal">by {suggestion.author}</p>
+                                  )}
+                                  {suggestion.because?.length > 0 && (
+                                    <p className="text-gray-300 text-xs leading-normal">
+                                      Because you liked {suggestion.because.map(title => `"${title}"`).join(' and ')}
+                                    </p>
+                                  )}
+                                  {suggestion.reason && (
+                                    <p className="text-gray-400 text-xs leading-normal">{suggestion.reason}</p>
+                                  )}
+                                  {onAddSuggestion && (
+                                    <button
+                                      onClick={() => onAddSuggestion(suggestion)}
+                                      disabled={isAdded}
+                                      className="mt-1 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:cursor-default"
+                                      style={{
+                                        backgroundColor: isAdded ? 'rgba(34, 197, 94, 0.15)' : 'rgba(147, 51, 234, 0.2)',
+                                        color: isAdded ? '#4ade80' : '#c4b5fd',
+                                        border: `1px solid ${isAdded ? 'rgba(34, 197, 94, 0.3)' : 'rgba(147, 51, 234, 0.3)'}`
+                                      }}
+                                    >
+                                      {isAdded ? 'On your want-to-read list' : 'Add to want-to-read'}
+                                    </button>
+                                  )}
+                                </div>
                               </div>
                             </div>
-                          </div>
-                        ))}
+                          );
+                        })}
                       </div>
                     </div>
                   )}
@@ -391,6 +710,7 @@ function QuotesPanel({ book, isOpen, onClose, isLoading = false, books = [] }) {
           <div className="sticky bottom-0 backdrop-blur-lg bg-gray-900/80 border-t border-purple-500/30 p-4 text-center">
             <p className="text-gray-400 text-xs leading-normal">
               {themes.length} theme{themes.length !== 1 ? 's' : ''} • {allQuotes.length} quote{allQuotes.length !== 1 ? 's' : ''}
+              {verifiedQuotes.length > 0 && ` • ${verifiedQuotes.length} highlight${verifiedQuotes.length !== 1 ? 's' : ''}`}
             </p>
           </div>
         )}
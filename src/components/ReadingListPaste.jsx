@@ -0,0 +1,216 @@
+import { useState } from 'react';
+import { parseReadingList } from '../importers/readingList';
+import { SHELF_LABELS, SHELVES } from '../library';
+
+const PLACEHOLDER = `Dune — Frank Herbert
+The Left Hand of Darkness by Ursula K. Le Guin ★★★★★
+
+## Want to read
+- [ ] Middlemarch - George Eliot`;
+
+const inputClassName = 'w-full px-2 py-1.5 rounded bg-gray-900/70 border border-purple-500/30 text-gray-200 text-sm focus:outline-none focus:border-purple-500';
+
+const RATING_OPTIONS = ['Not rated', '1', '2', '3', '4', '5'];
+
+function ReadingListPaste({ onConfirm, onCancel }) {
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState(null);
+  const [nextRowId, setNextRowId] = useState(1);
+
+  const incompleteCount = rows ? rows.filter(row => !row.title.trim() || !row.author.trim()).length : 0;
+
+  const handlePreview = () => {
+    setRows(parseReadingList(text));
+  };
+
+  const updateRow = (id, changes) => {
+    setRows(prev => prev.map(row => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  const removeRow = (id) => {
+    setRows(prev => prev.filter(row => row.id !== id));
+  };
+
+  const addRow = () => {
+    setRows(prev => [...prev, {
+      id: `list-added-${nextRowId}`,
+      title: '',
+      author: '',
+      additionalAuthors: [],
+      rating: 'Not rated',
+      dateRead: '',
+      bookshelves: '',
+      exclusiveShelf: SHELVES.READ,
+      readCount: 0,
+    }]);
+    setNextRowId(id => id + 1);
+  };
+
+  const handleConfirm = () => {
+    onConfirm(rows.map(row => ({ ...row, title: row.title.trim(), author: row.author.trim() })));
+  };
+
+  return (
+    <div
+      className="bg-blue-900/20 backdrop-blur-lg rounded-2xl border p-6 md:p-8 w-full relative z-10 space-y-6"
+      style={{
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        borderColor: 'rgba(147, 51, 234, 0.4)',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3), inset 0 0 1px rgba(255, 255, 255, 0.1)'
+      }}
+    >
+      {/* Header */}
+      <div className="space-y-2">
+        <h2 className="text-xl md:text-2xl font-semibold text-white tracking-wide">Paste a reading list</h2>
+        <p className="text-sm md:text-base text-gray-400 leading-relaxed">
+          One book per line, like "Title — Author" or "Title by Author". Markdown lists, checklists and
+          headings such as "## Want to read" work too.
+        </p>
+      </div>
+
+      {rows === null ? (
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={PLACEHOLDER}
+          rows={10}
+          className="w-full px-3 py-2 rounded-lg bg-gray-900/70 border border-purple-500/30 text-gray-200 text-sm font-mono focus:outline-none focus:border-purple-500"
+          autoFocus
+        />
+      ) : (
+        /* Editable preview */
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-purple-300">
+              {rows.length} book{rows.length !== 1 ? 's' : ''} found
+            </h3>
+            <button
+              onClick={() => setRows(null)}
+              className="text-xs text-purple-300 hover:text-purple-200 transition-colors"
+            >
+              Edit text
+            </button>
+          </div>
+          <div className="overflow-x-auto rounded-lg border border-purple-500/20">
+            <table className="min-w-full text-xs text-left">
+              <thead className="bg-gray-800/60 text-gray-300">
+                <tr>
+                  <th className="px-3 py-2 font-semibold">Title</th>
+                  <th className="px-3 py-2 font-semibold">Author</th>
+                  <th className="px-3 py-2 font-semibold">Shelf</th>
+                  <th className="px-3 py-2 font-semibold">Rating</th>
+                  <th className="px-3 py-2"><span className="sr-only">Remove</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.id} className="border-t border-purple-500/10">
+                    <td className="px-2 py-1.5 min-w-[180px]">
+                      <input
+                        type="text"
+                        value={row.title}
+                        onChange={(e) => updateRow(row.id, { title: e.target.value })}
+                        placeholder="Title"
+                        className={inputClassName}
+                        style={!row.title.trim() ? { borderColor: 'rgba(220, 38, 38, 0.6)' } : undefined}
+                      />
+                    </td>
+                    <td className="px-2 py-1.5 min-w-[150px]">
+                      <input
+                        type="text"
+                        value={row.author}
+                        onChange={(e) => updateRow(row.id, { author: e.target.value })}
+                        placeholder="Author"
+                        className={inputClassName}
+                        style={!row.author.trim() ? { borderColor: 'rgba(220, 38, 38, 0.6)' } : undefined}
+                      />
+                    </td>
+                    <td className="px-2 py-1.5">
+                      <select
+                        value={row.exclusiveShelf}
+                        onChange={(e) => updateRow(row.id, { exclusiveShelf: e.target.value })}
+                        className={inputClassName}
+                      >
+                        {Object.values(SHELVES).map(shelf => (
+                          <option key={shelf} value={shelf}>{SHELF_LABELS[shelf]}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-2 py-1.5">
+                      <select
+                        value={RATING_OPTIONS.includes(row.rating) ? row.rating : String(Math.round(Number(row.rating)))}
+                        onChange={(e) => updateRow(row.id, { rating: e.target.value })}
+                        className={inputClassName}
+                      >
+                        {RATING_OPTIONS.map(rating => (
+                          <option key={rating} value={rating}>{rating === 'Not rated' ? '—' : `${rating} ★`}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-2 py-1.5">
+                      <button
+                        onClick={() => removeRow(row.id)}
+                        className="px-2 py-1 text-gray-500 hover:text-red-400 transition-colors"
+                        aria-label="Remove book"
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={addRow}
+            className="text-xs text-purple-300 hover:text-purple-200 transition-colors"
+          >
+            + Add a book
+          </button>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="flex flex-col-reverse md:flex-row md:items-center md:justify-end gap-3">
+        {incompleteCount > 0 && (
+          <p className="text-sm text-red-300 md:mr-auto">
+            Fill in or remove {incompleteCount} book{incompleteCount !== 1 ? 's' : ''} missing a title or author
+          </p>
+        )}
+        <button
+          onClick={onCancel}
+          className="min-h-[44px] px-4 py-2 rounded-lg font-medium text-sm md:text-base text-gray-400 hover:text-white transition-colors"
+        >
+          Cancel
+        </button>
+        {rows === null ? (
+          <button
+            onClick={handlePreview}
+            disabled={!text.trim()}
+            className="min-h-[44px] px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold text-sm md:text-base transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{
+              color: '#ffffff',
+              boxShadow: '0 0 30px rgba(147, 51, 234, 0.5)'
+            }}
+          >
+            Preview
+          </button>
+        ) : (
+          <button
+            onClick={handleConfirm}
+            disabled={rows.length === 0 || incompleteCount > 0}
+            className="min-h-[44px] px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold text-sm md:text-base transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{
+              color: '#ffffff',
+              boxShadow: '0 0 30px rgba(147, 51, 234, 0.5)'
+            }}
+          >
+            Import {rows.length} book{rows.length !== 1 ? 's' : ''}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReadingListPaste;
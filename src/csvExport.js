@@ -0,0 +1,39 @@
+/**
+ * Writing CSV files for download
+ */
+
+/**
+ * Quote a CSV cell when it needs it (commas, quotes, line breaks)
+ * Text that spreadsheets would run as a formula (=, +, - or @ first) gets a leading
+ * apostrophe; titles and model errors come from outside the app.
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {string} Cell text
+ */
+function toCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array<Array<*>>} rows - Rows of cells, header row first
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(toCell).join(',')).join('\r\n');
+}
+
+/**
+ * Download rows as a CSV file
+ * @param {string} filename - File name, e.g. "want-to-read.csv"
+ * @param {Array<Array<*>>} rows - Rows of cells, header row first
+ */
+export function downloadCSV(filename, rows) {
+  const url = URL.createObjectURL(new Blob([toCSV(rows)], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
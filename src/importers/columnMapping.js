@@ -0,0 +1,157 @@
+import { normalizeShelf, parseDateWithFormat, parseRating } from './normalize';
+import { reportInvalidDate, reportSkippedRow } from './validation';
+
+const PRESETS_STORAGE_KEY = 'readingGraphMappingPresets';
+
+// Book fields a user can assign columns to
+export const MAPPING_FIELDS = [
+  { key: 'title', label: 'Title', required: true },
+  { key: 'author', label: 'Author', required: true },
+  { key: 'rating', label: 'Rating' },
+  { key: 'dateRead', label: 'Date read' },
+  { key: 'bookshelves', label: 'Shelves / tags' },
+  { key: 'exclusiveShelf', label: 'Reading status' },
+];
+
+// Header names seen in LibraryThing, Calibre and hand-made spreadsheet exports
+const HEADER_GUESSES = {
+  title: ['title', 'book title', 'book', 'name'],
+  author: ['author', 'authors', 'primary author', 'author(s)', 'writer'],
+  rating: ['rating', 'my rating', 'stars', 'score'],
+  dateRead: ['date read', 'date finished', 'finished', 'date completed', 'read date', 'date'],
+  bookshelves: ['tags', 'shelves', 'bookshelves', 'collections', 'genre', 'genres', 'categories'],
+  exclusiveShelf: ['status', 'read status', 'reading status', 'exclusive shelf', 'shelf'],
+};
+
+/**
+ * Create an empty mapping
+ * @returns {Object} Mapping with no columns assigned and default formats
+ */
+export function createEmptyMapping() {
+  return {
+    columns: Object.fromEntries(MAPPING_FIELDS.map(field => [field.key, ''])),
+    dateFormat: 'auto',
+    ratingFormat: 'five',
+  };
+}
+
+/**
+ * Guess a mapping from header names
+ * @param {Array<string>} headers - Header names
+ * @returns {Object} Mapping with best-guess columns assigned
+ */
+export function guessMapping(headers) {
+  const mapping = createEmptyMapping();
+  const used = new Set();
+
+  for (const field of MAPPING_FIELDS) {
+    const match = HEADER_GUESSES[field.key]
+      .map(guess => headers.find(h => !used.has(h) && h.trim().toLowerCase() === guess))
+      .find(Boolean);
+    if (match) {
+      mapping.columns[field.key] = match;
+      used.add(match);
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Check that every required field has a column
+ * @param {Object} mapping - Column mapping
+ * @returns {Array<string>} Labels of required fields that are unassigned
+ */
+export function getMissingFields(mapping) {
+  return MAPPING_FIELDS
+    .filter(field => field.required && !mapping.columns[field.key])
+    .map(field => field.label);
+}
+
+/**
+ * Convert records to book objects using a column mapping
+ * @param {Array<{ fields: Array<string>, line: number }>} records - Parsed records, header row first
+ * @param {Object} mapping - Column mapping from the wizard
+ * @param {Object} report - Optional import report to collect skipped rows and bad dates
+ * @returns {Array<Object>} Book objects
+ */
+export function applyColumnMapping(records, mapping, report = null) {
+  const missing = getMissingFields(mapping);
+  if (missing.length > 0) {
+    throw new Error(`Please choose a column for: ${missing.join(', ')}`);
+  }
+
+  const headers = records[0].fields.map(h => h.trim());
+  const indexOf = (key) => (mapping.columns[key] ? headers.indexOf(mapping.columns[key]) : -1);
+  const columns = Object.fromEntries(MAPPING_FIELDS.map(field => [field.key, indexOf(field.key)]));
+
+  const parsedBooks = [];
+
+  for (let i = 1; i < records.length; i++) {
+    const row = records[i].fields;
+    const get = (key) => (columns[key] !== -1 ? (row[columns[key]] || '').trim() : '');
+
+    const title = get('title');
+    // Multi-author cells ("A & B", "A; B") keep the first author as primary
+    const [author, ...otherAuthors] = get('author').split(/\s*(?:;|&|\band\b)\s*/).filter(Boolean);
+    if (!title || !author) {
+      reportSkippedRow(report, records[i], columns.title, columns.author);
+      continue;
+    }
+
+    const id = `${i}-${title}-${author}`;
+    const dateRead = parseDateWithFormat(get('dateRead'), mapping.dateFormat);
+    reportInvalidDate(report, id, 'dateRead', get('dateRead'), dateRead);
+
+    parsedBooks.push({
+      id,
+      title,
+      author,
+      additionalAuthors: otherAuthors,
+      rating: parseRating(get('rating'), mapping.ratingFormat),
+      dateRead,
+      bookshelves: get('bookshelves'),
+      exclusiveShelf: normalizeShelf(get('exclusiveShelf')),
+      readCount: 0,
+    });
+  }
+
+  return parsedBooks;
+}
+
+/**
+ * Load saved mapping presets from localStorage
+ * @returns {Array<{ name: string, mapping: Object }>} Saved presets
+ */
+export function loadMappingPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Error loading mapping presets:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a mapping preset, replacing any preset with the same name
+ * @param {string} name - Preset name
+ * @param {Object} mapping - Column mapping
+ * @returns {Array<{ name: string, mapping: Object }>} Updated presets
+ */
+export function saveMappingPreset(name, mapping) {
+  const presets = loadMappingPresets().filter(preset => preset.name !== name);
+  presets.push({ name, mapping });
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+/**
+ * Delete a saved mapping preset
+ * @param {string} name - Preset name
+ * @returns {Array<{ name: string, mapping: Object }>} Updated presets
+ */
+export function deleteMappingPreset(name) {
+  const presets = loadMappingPresets().filter(preset => preset.name !== name);
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+}
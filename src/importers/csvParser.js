@@ -0,0 +1,123 @@
+/**
+ * Incremental RFC 4180 CSV parser.
+ *
+ * Text can be fed in arbitrary chunks (a quoted field, an escaped quote or a
+ * CRLF pair may straddle two chunks). Handles quoted fields containing
+ * delimiters and newlines, doubled quotes, CRLF / LF / CR line endings and a
+ * leading byte order mark.
+ *
+ * @param {Object} options
+ * @param {Function} options.onRow - Called with (fields, { line }) for every record
+ * @param {string} options.delimiter - Field delimiter (default: ',')
+ * @returns {{ push: Function, end: Function }} Parser handle
+ */
+export function createCSVParser({ onRow, delimiter = ',' } = {}) {
+  let field = '';
+  let row = [];
+  let insideQuotes = false;
+  let quotePending = false; // Saw a quote inside a quoted field; next char decides
+  let lastWasCR = false;
+  let isFirstChunk = true;
+  let line = 1; // Physical line the current character is on
+  let rowStartLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    // A blank line is a record with one empty field - skip it
+    if (!(row.length === 1 && row[0] === '')) {
+      onRow(row, { line: rowStartLine });
+    }
+    row = [];
+  };
+
+  const push = (chunk) => {
+    if (!chunk) return;
+
+    let text = chunk;
+    if (isFirstChunk) {
+      isFirstChunk = false;
+      if (text.charCodeAt(0) === 0xfeff) {
+        text = text.slice(1);
+      }
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (insideQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            // Escaped quote ("")
+            field += '"';
+            continue;
+          }
+          // Closing quote - fall through and treat char as unquoted
+          insideQuotes = false;
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '\n' && lastWasCR) {
+        // Second half of a CRLF pair
+        lastWasCR = false;
+        continue;
+      }
+      lastWasCR = false;
+
+      if (char === '"' && field === '') {
+        insideQuotes = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        lastWasCR = char === '\r';
+        endRow();
+        line++;
+        rowStartLine = line;
+      } else {
+        // Stray quotes in an unquoted field are kept literally
+        field += char;
+      }
+    }
+  };
+
+  const end = () => {
+    if (quotePending) {
+      quotePending = false;
+      insideQuotes = false;
+    }
+    // An unterminated quoted field keeps whatever was read so far
+    insideQuotes = false;
+    if (field !== '' || row.length > 0) {
+      endRow();
+    }
+  };
+
+  return { push, end };
+}
+
+/**
+ * Parse a complete CSV string into an array of records
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Records (header row included)
+ */
+export function parseCSVText(text) {
+  const rows = [];
+  const parser = createCSVParser({ onRow: (fields) => rows.push(fields) });
+  parser.push(text);
+  parser.end();
+  return rows;
+}
@@ -0,0 +1,58 @@
+import { createCSVParser } from './csvParser';
+
+// Rows are posted back in batches so the main thread isn't flooded with messages
+const BATCH_SIZE = 250;
+
+/**
+ * Web Worker entry: streams a File through the CSV parser.
+ *
+ * Incoming message: { file }
+ * Outgoing messages:
+ *   { type: 'rows', rows: [{ fields, line }] }
+ *   { type: 'progress', bytesRead, totalBytes }
+ *   { type: 'done', rowCount }
+ *   { type: 'error', message }
+ */
+self.onmessage = async (event) => {
+  const { file } = event.data;
+  let batch = [];
+  let rowCount = 0;
+
+  const flush = () => {
+    if (batch.length === 0) return;
+    self.postMessage({ type: 'rows', rows: batch });
+    batch = [];
+  };
+
+  const parser = createCSVParser({
+    onRow: (fields, { line }) => {
+      batch.push({ fields, line });
+      rowCount++;
+      if (batch.length >= BATCH_SIZE) {
+        flush();
+      }
+    },
+  });
+
+  try {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder('utf-8');
+    let bytesRead = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      bytesRead += value.byteLength;
+      parser.push(decoder.decode(value, { stream: true }));
+      self.postMessage({ type: 'progress', bytesRead, totalBytes: file.size });
+    }
+
+    parser.push(decoder.decode());
+    parser.end();
+    flush();
+    self.postMessage({ type: 'done', rowCount });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'Failed to read CSV file' });
+  }
+};
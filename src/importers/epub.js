@@ -0,0 +1,109 @@
+import { openZip } from './zip';
+
+// Elements that end a line of text; textContent would otherwise run them together
+const BLOCK_SELECTOR = 'p, div, br, li, blockquote, pre, tr, h1, h2, h3, h4, h5, h6';
+
+// Font obfuscation is allowed in DRM-free books; anything else encrypted means DRM
+const FONT_FILE = /\.(otf|ttf|woff2?)$/i;
+
+const parseXML = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+/**
+ * Resolve an href relative to the folder of the file that references it
+ * @param {string} baseDir - Folder of the referencing file, with trailing slash (or '')
+ * @param {string} href - Relative href
+ * @returns {string} Path inside the archive
+ */
+function resolvePath(baseDir, href) {
+  const parts = [];
+  for (const part of `${baseDir}${decodeURIComponent(href.split('#')[0])}`.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  }
+  return parts.join('/');
+}
+
+/**
+ * Throw if the book's content files are encrypted
+ * @param {Object} zip - Archive reader from openZip
+ */
+async function assertNoDRM(zip) {
+  if (!zip.has('META-INF/encryption.xml')) return;
+
+  const encryption = parseXML(await zip.readText('META-INF/encryption.xml'));
+  const encrypted = [...encryption.getElementsByTagNameNS('*', 'CipherReference')]
+    .map(reference => reference.getAttribute('URI') || '');
+  if (encrypted.some(uri => !FONT_FILE.test(uri))) {
+    throw new Error('This EPUB is DRM-protected. Please use a DRM-free copy.');
+  }
+}
+
+/**
+ * Extract readable text from an XHTML chapter, one line per block element
+ * @param {string} markup - Chapter XHTML
+ * @returns {{ heading: string, text: string }} First heading and plain text
+ */
+function extractChapterText(markup) {
+  let doc = new DOMParser().parseFromString(markup, 'application/xhtml+xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    // Plenty of EPUBs ship HTML that isn't well-formed XML
+    doc = new DOMParser().parseFromString(markup, 'text/html');
+  }
+
+  const body = doc.body || doc.getElementsByTagName('body')[0];
+  if (!body) return { heading: '', text: '' };
+
+  for (const element of body.querySelectorAll(BLOCK_SELECTOR)) {
+    element.append('\n');
+  }
+
+  const heading = body.querySelector('h1, h2, h3')?.textContent.replace(/\s+/g, ' ').trim() || '';
+  return { heading, text: body.textContent.replace(/[ \t]+/g, ' ').trim() };
+}
+
+/**
+ * Read a DRM-free EPUB in the browser
+ * @param {File} file - .epub file
+ * @returns {Promise<{ title: string, chapters: Array<{ title: string, text: string }> }>}
+ *   Book title and chapters in reading order
+ */
+export async function readEpub(file) {
+  const zip = openZip(await file.arrayBuffer());
+  if (!zip.has('META-INF/container.xml')) {
+    throw new Error('File is not a valid EPUB');
+  }
+  await assertNoDRM(zip);
+
+  // container.xml points at the package document, which lists the reading order
+  const container = parseXML(await zip.readText('META-INF/container.xml'));
+  const packagePath = container.getElementsByTagNameNS('*', 'rootfile')[0]?.getAttribute('full-path');
+  if (!packagePath) {
+    throw new Error('EPUB has no package document');
+  }
+
+  const packageDoc = parseXML(await zip.readText(packagePath));
+  const baseDir = packagePath.includes('/') ? packagePath.slice(0, packagePath.lastIndexOf('/') + 1) : '';
+  const manifest = new Map(
+    [...packageDoc.getElementsByTagNameNS('*', 'item')].map(item => [item.getAttribute('id'), item])
+  );
+  const spine = [...packageDoc.getElementsByTagNameNS('*', 'itemref')]
+    .map(itemref => manifest.get(itemref.getAttribute('idref')))
+    .filter(item => item && /html/.test(item.getAttribute('media-type') || ''));
+
+  const chapters = [];
+  for (const item of spine) {
+    const path = resolvePath(baseDir, item.getAttribute('href'));
+    if (!zip.has(path)) continue;
+
+    const { heading, text } = extractChapterText(await zip.readText(path));
+    if (!text) continue;
+    chapters.push({ title: heading || `Section ${chapters.length + 1}`, text });
+  }
+
+  if (chapters.length === 0) {
+    throw new Error('No readable text found in this EPUB');
+  }
+
+  const title = packageDoc.getElementsByTagNameNS('*', 'title')[0]?.textContent.trim() || file.name;
+  return { title, chapters };
+}
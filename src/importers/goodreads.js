@@ -0,0 +1,105 @@
+import { cleanISBN, makeUniqueId, normalizeDate, parseRating, splitList, toInteger, toNumber } from './normalize';
+import { reportInvalidDate, reportSkippedRow } from './validation';
+
+/**
+ * Check whether a header row looks like a Goodreads export
+ * @param {Array<string>} headers - Trimmed header names
+ * @returns {boolean} True if the headers match Goodreads
+ */
+export function isGoodreadsCSV(headers) {
+  return headers.includes('Title') && headers.includes('Author') &&
+    (headers.includes('Book Id') || headers.includes('Exclusive Shelf') || headers.includes('My Rating'));
+}
+
+/**
+ * Map parsed Goodreads export records to book objects
+ * @param {Array<{ fields: Array<string>, line: number }>} records - Parsed CSV records, header row first
+ * @param {Object} report - Optional import report to collect skipped rows and bad dates
+ * @returns {Array<Object>} Book objects
+ */
+export function parseGoodreadsCSV(records, report = null) {
+  if (records.length < 2) {
+    throw new Error('CSV file appears to be empty or invalid');
+  }
+
+  // Get headers (first record)
+  const headers = records[0].fields.map(h => h.trim());
+  const column = (...names) => headers.findIndex(h => names.includes(h));
+
+  // Find column indices for Goodreads CSV columns
+  const columns = {
+    bookId: column('Book Id', 'Book ID'),
+    title: column('Title'),
+    author: column('Author'),
+    additionalAuthors: column('Additional Authors'),
+    isbn: column('ISBN'),
+    isbn13: column('ISBN13'),
+    rating: column('My Rating'),
+    averageRating: column('Average Rating'),
+    publisher: column('Publisher'),
+    binding: column('Binding'),
+    pages: column('Number of Pages'),
+    yearPublished: column('Year Published'),
+    originalPublicationYear: column('Original Publication Year'),
+    dateRead: column('Date Read'),
+    dateAdded: column('Date Added'),
+    bookshelves: column('Bookshelves', 'Bookshelf'),
+    exclusiveShelf: column('Exclusive Shelf'),
+    review: column('My Review'),
+    readCount: column('Read Count'),
+  };
+
+  if (columns.title === -1 || columns.author === -1) {
+    throw new Error('CSV file must contain Title and Author columns');
+  }
+
+  // Parse data rows
+  const parsedBooks = [];
+  const usedIds = new Set();
+
+  for (let i = 1; i < records.length; i++) {
+    const row = records[i].fields;
+    const get = (key) => (columns[key] !== -1 ? (row[columns[key]] || '').trim() : '');
+
+    const title = get('title');
+    const author = get('author');
+    if (!title || !author) {
+      reportSkippedRow(report, records[i], columns.title, columns.author);
+      continue;
+    }
+
+    // A book listed twice keeps its Book Id on the first row only
+    const id = makeUniqueId(get('bookId') || `${i}-${title}-${author}`, usedIds);
+    const dateRead = normalizeDate(get('dateRead'));
+    const dateAdded = normalizeDate(get('dateAdded'));
+    reportInvalidDate(report, id, 'dateRead', get('dateRead'), dateRead);
+    reportInvalidDate(report, id, 'dateAdded', get('dateAdded'), dateAdded);
+
+    parsedBooks.push({
+      id,
+      title,
+      author,
+      additionalAuthors: splitList(get('additionalAuthors')),
+      isbn: cleanISBN(get('isbn')),
+      isbn13: cleanISBN(get('isbn13')),
+      // Unrated books are exported as "0"
+      rating: parseRating(get('rating')),
+      averageRating: toNumber(get('averageRating')),
+      publisher: get('publisher'),
+      binding: get('binding'),
+      pages: toInteger(get('pages')),
+      yearPublished: toInteger(get('yearPublished')),
+      originalPublicationYear: toInteger(get('originalPublicationYear')),
+      // Older exports without a Date Read column fall back to Date Added
+      dateRead: dateRead || (columns.dateRead === -1 ? dateAdded : ''),
+      dateAdded,
+      bookshelves: get('bookshelves'),
+      exclusiveShelf: get('exclusiveShelf'),
+      // Goodreads stores review line breaks as <br/> tags
+      review: get('review').replace(/<br\s*\/?>/gi, '\n'),
+      readCount: toInteger(get('readCount')) || 0,
+    });
+  }
+
+  return parsedBooks;
+}
@@ -0,0 +1,46 @@
+import { isGoodreadsCSV, parseGoodreadsCSV } from './goodreads';
+import { isStoryGraphCSV, parseStoryGraphCSV } from './storygraph';
+import { applyColumnMapping } from './columnMapping';
+
+// Known export formats, checked in order against the CSV header row
+export const IMPORT_FORMATS = [
+  { id: 'goodreads', label: 'Goodreads', detect: isGoodreadsCSV, parse: parseGoodreadsCSV },
+  { id: 'storygraph', label: 'StoryGraph', detect: isStoryGraphCSV, parse: parseStoryGraphCSV },
+];
+
+/**
+ * Detect which export format a header row belongs to
+ * @param {Array<string>} headers - Header names
+ * @returns {Object|null} Matching entry from IMPORT_FORMATS, or null
+ */
+export function detectFormat(headers) {
+  const trimmed = headers.map(h => h.trim());
+  return IMPORT_FORMATS.find(format => format.detect(trimmed)) || null;
+}
+
+/**
+ * Map parsed library records to book objects
+ * Known export formats are auto-detected from the header row; anything else
+ * needs a column mapping from the mapping wizard.
+ * @param {Array<{ fields: Array<string>, line: number }>} records - Parsed records, header row first
+ * @param {Object} mapping - Optional column mapping (see columnMapping.js)
+ * @param {Object} report - Optional import report (see validation.js) to collect problem rows
+ * @returns {{ format: string|null, books: Array<Object> }} Format id ('custom' when mapped,
+ *   null when unrecognized) and book objects
+ */
+export function parseLibraryRecords(records, mapping = null, report = null) {
+  if (records.length < 2) {
+    throw new Error('File appears to be empty or invalid');
+  }
+
+  if (mapping) {
+    return { format: 'custom', books: applyColumnMapping(records, mapping, report) };
+  }
+
+  const format = detectFormat(records[0].fields);
+  if (!format) {
+    return { format: null, books: [] };
+  }
+
+  return { format: format.id, books: format.parse(records, report) };
+}
@@ -0,0 +1,50 @@
+/**
+ * Convert a JSON library file into the same record shape the CSV parser produces
+ * so it can go through the column-mapping wizard.
+ *
+ * Accepts a top-level array of book objects, or an object holding one
+ * (e.g. { "books": [...] }). Nested arrays are joined with "; " so multi-author
+ * lists split the same way as spreadsheet cells.
+ * @param {string} text - JSON file content
+ * @returns {Array<{ fields: Array<string>, line: number }>} Records, header row first
+ */
+export function parseLibraryJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`JSON file could not be parsed: ${error.message}`);
+  }
+
+  const items = Array.isArray(data)
+    ? data
+    : Object.values(data || {}).find(value => Array.isArray(value));
+
+  if (!items || items.length === 0) {
+    throw new Error('JSON file must contain an array of books');
+  }
+
+  // Union of keys across all items, in first-seen order
+  const headers = [];
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+    for (const key of Object.keys(item)) {
+      if (!headers.includes(key)) headers.push(key);
+    }
+  }
+
+  const toCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(toCell).join('; ');
+    if (typeof value === 'object') return value.name || value.title || JSON.stringify(value);
+    return String(value);
+  };
+
+  const records = [{ fields: headers, line: 1 }];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') return;
+    records.push({ fields: headers.map(key => toCell(item[key])), line: index + 2 });
+  });
+
+  return records;
+}
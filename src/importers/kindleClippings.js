@@ -0,0 +1,179 @@
+import { findBookMatch } from '../library';
+
+// Entry separator Kindle writes between clippings
+const SEPARATOR = /\r?\n?==========\r?\n?/;
+
+// Clipping type keywords across the common Kindle UI languages
+const TYPE_PATTERNS = [
+  { type: 'bookmark', pattern: /bookmark|signet|lesezeichen|marcador|segnalibro/i },
+  { type: 'note', pattern: /\bnote\b|notiz|\bnota\b/i },
+  { type: 'highlight', pattern: /highlight|surlignement|markierung|subrayado|evidenziazione|destaque/i },
+];
+
+/**
+ * Check whether a text file looks like a Kindle "My Clippings.txt"
+ * @param {string} text - File content
+ * @returns {boolean} True if it has Kindle's separators and metadata lines
+ */
+export function isKindleClippings(text) {
+  return /^==========\s*$/m.test(text) && /^-\s.*\|/m.test(text);
+}
+
+/**
+ * Turn Kindle's "Last, First" author format into "First Last"
+ * Multiple authors are separated by ";" - only the first is kept.
+ * @param {string} value - Author text from the title line
+ * @returns {string} Author name
+ */
+function parseAuthor(value) {
+  const first = (value || '').split(';')[0].trim();
+  const parts = first.split(',').map(part => part.trim());
+  return parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : first;
+}
+
+/**
+ * Parse a location like "180-182" or "180" into a [start, end] range
+ * @param {string} location - Location text
+ * @returns {Array<number>|null} Range, or null if missing
+ */
+function parseLocationRange(location) {
+  if (!location) return null;
+  const [start, end] = location.split('-').map(part => parseInt(part, 10));
+  if (Number.isNaN(start)) return null;
+  // "1180-95" means 1180-1195
+  if (Number.isNaN(end)) return [start, start];
+  const fullEnd = end < start ? parseInt(`${start}`.slice(0, -`${end}`.length) + end, 10) : end;
+  return [start, fullEnd];
+}
+
+/**
+ * Parse the metadata line, e.g.
+ * "- Your Highlight on page 12 | Location 180-182 | Added on Monday, March 4, 2024 9:12:33 PM"
+ * @param {string} line - Metadata line
+ * @returns {{ type: string, location: string, page: string, dateAdded: string }} Parsed metadata
+ */
+function parseMetadata(line) {
+  const type = TYPE_PATTERNS.find(({ pattern }) => pattern.test(line))?.type || 'highlight';
+  const location = line.match(/(?:location|loc\.|position|emplacement|posición|posizione)\s+([\d-]+)/i)?.[1] || '';
+  const page = line.match(/(?:page|seite|página|pagina)\s+([\divxlc-]+)/i)?.[1] || '';
+
+  // Date is the last "|" segment after "Added on"; drop the weekday so Date can parse it
+  const dateText = line.split('|').pop().replace(/^\s*added on\s*/i, '').replace(/^[A-Za-z]+,\s*/, '');
+  const date = new Date(dateText);
+  const dateAdded = /added on/i.test(line) && !Number.isNaN(date.getTime()) ? date.toISOString() : '';
+
+  return { type, location, page, dateAdded };
+}
+
+/**
+ * Parse a Kindle "My Clippings.txt" file
+ * @param {string} text - File content
+ * @returns {Array<{ title: string, author: string, type: string, location: string,
+ *   page: string, dateAdded: string, text: string }>} Clippings in file order
+ */
+export function parseKindleClippings(text) {
+  const clippings = [];
+
+  for (const entry of text.replace(/^\uFEFF/, '').split(SEPARATOR)) {
+    const lines = entry.split(/\r?\n/).map(line => line.replace(/\uFEFF/g, ''));
+    while (lines.length > 0 && !lines[0].trim()) lines.shift();
+    if (lines.length < 2) continue;
+
+    const header = lines[0].trim();
+    const headerMatch = header.match(/^(.*?)\s*\(([^()]*)\)\s*$/);
+    const title = headerMatch ? headerMatch[1] : header;
+    const author = headerMatch ? parseAuthor(headerMatch[2]) : '';
+
+    clippings.push({
+      title,
+      author,
+      ...parseMetadata(lines[1]),
+      text: lines.slice(2).join('\n').trim(),
+    });
+  }
+
+  return clippings;
+}
+
+const normalizeQuote = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Attach Kindle highlights to matching library books as verified quotes
+ * Highlights are fuzzy-matched to books by title and author. Re-highlighted
+ * passages (one highlight contained in a longer one) keep only the longer
+ * version, and highlights already on a book aren't added twice. Notes are
+ * attached to the highlight at the same location.
+ * @param {Array<Object>} books - Library books
+ * @param {Array<Object>} clippings - Result of parseKindleClippings
+ * @returns {{ books: Array<Object>, matched: Array<{ book: Object, added: number }>,
+ *   unmatched: Array<{ title: string, author: string, count: number }> }} Updated books and what matched
+ */
+export function attachClippings(books, clippings) {
+  // Group clippings by the book they were taken from
+  const groups = new Map();
+  for (const clipping of clippings) {
+    if (clipping.type === 'bookmark' || !clipping.text) continue;
+    const key = `${clipping.title}|${clipping.author}`;
+    if (!groups.has(key)) {
+      groups.set(key, { title: clipping.title, author: clipping.author, clippings: [] });
+    }
+    groups.get(key).clippings.push(clipping);
+  }
+
+  const additions = new Map();
+  const unmatched = [];
+
+  for (const group of groups.values()) {
+    const highlights = group.clippings.filter(clipping => clipping.type === 'highlight');
+    const book = findBookMatch(books, group);
+    if (!book) {
+      unmatched.push({ title: group.title, author: group.author, count: highlights.length });
+      continue;
+    }
+
+    // Keep the longest version of re-highlighted passages
+    const kept = highlights.filter((highlight, index) => {
+      const text = normalizeQuote(highlight.text);
+      return !highlights.some((other, otherIndex) => {
+        const otherText = normalizeQuote(other.text);
+        return otherIndex !== index && otherText.includes(text) &&
+          (otherText.length > text.length || otherIndex > index);
+      });
+    });
+
+    const quotes = kept.map(highlight => ({
+      text: highlight.text,
+      location: highlight.location,
+      page: highlight.page,
+      dateAdded: highlight.dateAdded,
+      source: 'kindle',
+    }));
+
+    // Kindle stores a note at the last location of the highlight it belongs to
+    for (const note of group.clippings.filter(clipping => clipping.type === 'note')) {
+      const noteLocation = parseLocationRange(note.location);
+      const quote = noteLocation && quotes.find(candidate => {
+        const range = parseLocationRange(candidate.location);
+        return range && noteLocation[0] >= range[0] && noteLocation[0] <= range[1];
+      });
+      if (quote) quote.note = note.text;
+    }
+
+    additions.set(book, [...(additions.get(book) || []), ...quotes]);
+  }
+
+  const matched = [];
+  const updatedBooks = books.map(book => {
+    const quotes = additions.get(book);
+    if (!quotes) return book;
+
+    const existing = book.verifiedQuotes || [];
+    const known = new Set(existing.map(quote => normalizeQuote(quote.text)));
+    const newQuotes = quotes.filter(quote => !known.has(normalizeQuote(quote.text)));
+    matched.push({ book, added: newQuotes.length });
+
+    return newQuotes.length > 0 ? { ...book, verifiedQuotes: [...existing, ...newQuotes] } : book;
+  });
+
+  return { books: updatedBooks, matched, unmatched };
+}
@@ -0,0 +1,162 @@
+/**
+ * Shared value normalizers for library importers
+ */
+
+/**
+ * Strip spreadsheet formula wrapping from an ISBN (Goodreads exports ="0123456789")
+ * @param {string} value - Raw ISBN cell
+ * @returns {string} Bare ISBN digits (and X check digit), or '' if empty
+ */
+export function cleanISBN(value) {
+  if (!value) return '';
+  return value.replace(/[^0-9Xx]/g, '').toUpperCase();
+}
+
+/**
+ * Parse a numeric cell
+ * @param {string} value - Raw cell
+ * @returns {number|null} Parsed number, or null if empty or not numeric
+ */
+export function toNumber(value) {
+  if (value === undefined || value === null || `${value}`.trim() === '') return null;
+  const number = Number(`${value}`.trim());
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse an integer cell
+ * @param {string} value - Raw cell
+ * @returns {number|null} Parsed integer, or null if empty or not numeric
+ */
+export function toInteger(value) {
+  const number = toNumber(value);
+  return number === null ? null : Math.round(number);
+}
+
+/**
+ * Split a comma-separated list cell
+ * @param {string} value - Raw cell, e.g. "Daisy Hernández, Cherríe L. Moraga"
+ * @returns {Array<string>} Trimmed non-empty entries
+ */
+export function splitList(value) {
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Make a book id unique within one import
+ * Exports can list the same book twice with the same id, and graph nodes need
+ * distinct ids, so repeats get a suffix: "123", "123-2", "123-3".
+ * @param {string} id - Id from the row
+ * @param {Set<string>} usedIds - Ids handed out so far in this import; the returned id is added
+ * @returns {string} Unused id
+ */
+export function makeUniqueId(id, usedIds) {
+  let uniqueId = id;
+  for (let copy = 2; usedIds.has(uniqueId); copy++) {
+    uniqueId = `${id}-${copy}`;
+  }
+  usedIds.add(uniqueId);
+  return uniqueId;
+}
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Normalize a date cell to YYYY-MM-DD
+ * Accepts YYYY/MM/DD, YYYY-MM-DD, YYYY/MM and anything Date can parse.
+ * @param {string} value - Raw date cell
+ * @returns {string} ISO date, or '' if empty or unparseable
+ */
+export function normalizeDate(value) {
+  if (!value || !value.trim()) return '';
+  const trimmed = value.trim();
+
+  const ymd = trimmed.match(/^(\d{4})[/-](\d{1,2})(?:[/-](\d{1,2}))?$/);
+  if (ymd) {
+    const [, year, month, day = '1'] = ymd;
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  const date = new Date(trimmed);
+  if (isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Supported date layouts for files whose format can't be auto-detected
+export const DATE_FORMATS = {
+  auto: 'Auto-detect',
+  'YYYY-MM-DD': 'YYYY-MM-DD (2024-03-09)',
+  'MM/DD/YYYY': 'MM/DD/YYYY (03/09/2024)',
+  'DD/MM/YYYY': 'DD/MM/YYYY (09/03/2024)',
+  'DD.MM.YYYY': 'DD.MM.YYYY (09.03.2024)',
+};
+
+/**
+ * Normalize a date cell written in a known layout to YYYY-MM-DD
+ * @param {string} value - Raw date cell
+ * @param {string} format - Key of DATE_FORMATS
+ * @returns {string} ISO date, or '' if empty or unparseable
+ */
+export function parseDateWithFormat(value, format = 'auto') {
+  if (!value || !value.trim()) return '';
+  if (format === 'auto' || format === 'YYYY-MM-DD') return normalizeDate(value);
+
+  const parts = value.trim().split(/[/.\-\s]+/).map(part => parseInt(part, 10));
+  if (parts.length < 3 || parts.some(isNaN)) return '';
+
+  const [first, second, year] = parts;
+  const [month, day] = format === 'MM/DD/YYYY' ? [first, second] : [second, first];
+  if (month < 1 || month > 12 || day < 1 || day > 31) return '';
+
+  const fullYear = year < 100 ? 2000 + year : year;
+  return `${fullYear}-${pad(month)}-${pad(day)}`;
+}
+
+// Supported rating scales, converted to Goodreads-style 0-5 stars
+export const RATING_FORMATS = {
+  five: '0-5 stars',
+  ten: '0-10 points',
+  hundred: '0-100 percent',
+  stars: 'Star characters (★★★½)',
+};
+
+/**
+ * Convert a rating cell to a 0-5 star rating string
+ * Values above the scale aren't clamped so the import report can flag them.
+ * @param {string} value - Raw rating cell
+ * @param {string} format - Key of RATING_FORMATS
+ * @returns {string} Rating string, or 'Not rated' if empty or zero
+ */
+export function parseRating(value, format = 'five') {
+  if (!value || !`${value}`.trim()) return 'Not rated';
+
+  let stars;
+  if (format === 'stars') {
+    const text = `${value}`;
+    stars = (text.match(/[★*]/g) || []).length + (/½|1\/2/.test(text) ? 0.5 : 0);
+  } else {
+    const number = toNumber(`${value}`.replace(/%$/, ''));
+    if (number === null) return 'Not rated';
+    const divisor = { ten: 2, hundred: 20 }[format] || 1;
+    stars = number / divisor;
+  }
+
+  if (!(stars > 0)) return 'Not rated';
+  // Keep quarter-star precision
+  return String(Math.round(stars * 4) / 4);
+}
+
+/**
+ * Normalize a reading status cell to a Goodreads exclusive shelf name
+ * @param {string} value - Raw status, e.g. "Want to Read", "Reading", "Finished"
+ * @returns {string} Shelf slug ('read', 'to-read', 'currently-reading' or a custom slug)
+ */
+export function normalizeShelf(value) {
+  const slug = (value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (!slug) return '';
+  if (['to-read', 'want-to-read', 'wishlist', 'tbr', 'unread', 'not-read'].includes(slug)) return 'to-read';
+  if (['currently-reading', 'reading', 'in-progress', 'started'].includes(slug)) return 'currently-reading';
+  if (['read', 'finished', 'done', 'completed'].includes(slug)) return 'read';
+  return slug;
+}
@@ -0,0 +1,114 @@
+import { normalizeShelf, parseRating } from './normalize';
+
+// Title/author separators, most specific first. " by " is matched on its last
+// occurrence so titles like "Stand by Me" survive.
+const SEPARATORS = [/\s+[—–]\s+/, /\s+\|\s+/, /\t+/, /\s+-\s+/];
+
+/**
+ * Strip Markdown list markers, checkboxes and inline formatting from a line
+ * @param {string} line - Raw line
+ * @returns {{ text: string, checked: boolean|null }} Clean text and checkbox state (null if none)
+ */
+function stripMarkdown(line) {
+  let text = line.trim().replace(/^(?:[-*+]|\d+[.)])\s+/, '');
+
+  let checked = null;
+  const checkbox = text.match(/^\[([ xX])\]\s*/);
+  if (checkbox) {
+    checked = checkbox[1] !== ' ';
+    text = text.slice(checkbox[0].length);
+  }
+
+  text = text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2') // Emphasis and code
+    .trim();
+
+  return { text, checked };
+}
+
+/**
+ * Pull a trailing rating like "★★★★", "(4/5)" or "4/5 stars" off a line
+ * @param {string} text - Line text
+ * @returns {{ text: string, rating: string }} Text without the rating, and the rating string
+ */
+function extractRating(text) {
+  const stars = text.match(/\s*[([]?\s*([★*]{1,5}½?)\s*[)\]]?\s*$/);
+  if (stars && /★/.test(stars[1])) {
+    return { text: text.slice(0, stars.index), rating: parseRating(stars[1], 'stars') };
+  }
+
+  const outOfFive = text.match(/\s*[([]?\s*(\d(?:\.\d+)?)\s*\/\s*5\s*(?:stars?)?\s*[)\]]?\s*$/i);
+  if (outOfFive) {
+    return { text: text.slice(0, outOfFive.index), rating: parseRating(outOfFive[1]) };
+  }
+
+  return { text, rating: 'Not rated' };
+}
+
+/**
+ * Split "Title — Author", "Title by Author" and similar into title and author
+ * @param {string} text - Line text without list markers or rating
+ * @returns {{ title: string, author: string }} Title and author ('' if none found)
+ */
+function splitTitleAuthor(text) {
+  for (const separator of SEPARATORS) {
+    const parts = text.split(separator);
+    if (parts.length >= 2) {
+      return { title: parts[0].trim(), author: parts.slice(1).join(' ').trim() };
+    }
+  }
+
+  const byIndex = text.toLowerCase().lastIndexOf(' by ');
+  if (byIndex > 0) {
+    return { title: text.slice(0, byIndex).trim(), author: text.slice(byIndex + 4).trim() };
+  }
+
+  return { title: text.trim(), author: '' };
+}
+
+/**
+ * Parse a pasted reading list into book objects
+ * One book per line: "Title — Author", "Title by Author", "Title | Author",
+ * optionally as a Markdown list or checklist. Markdown headings such as
+ * "## Want to read" set the shelf for the lines below them; a checkbox
+ * overrides that, with checked boxes counting as read and unchecked as to-read.
+ * @param {string} text - Pasted text
+ * @returns {Array<Object>} Book objects; author is '' where none could be found
+ */
+export function parseReadingList(text) {
+  const books = [];
+  let sectionShelf = '';
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    if (!rawLine.trim()) return;
+
+    const heading = rawLine.match(/^\s*#{1,6}\s+(.*)$/);
+    if (heading) {
+      const shelf = normalizeShelf(stripMarkdown(heading[1]).text.replace(/:$/, ''));
+      sectionShelf = ['read', 'to-read', 'currently-reading'].includes(shelf) ? shelf : '';
+      return;
+    }
+
+    const { text: line, checked } = stripMarkdown(rawLine);
+    const { text: withoutRating, rating } = extractRating(line);
+    const { title, author } = splitTitleAuthor(withoutRating);
+    if (!title) return;
+
+    const checkboxShelf = checked === null ? '' : (checked ? 'read' : 'to-read');
+
+    books.push({
+      id: `list-${index + 1}-${title}-${author}`,
+      title,
+      author,
+      additionalAuthors: [],
+      rating,
+      dateRead: '',
+      bookshelves: '',
+      exclusiveShelf: checkboxShelf || sectionShelf || 'read',
+      readCount: 0,
+    });
+  });
+
+  return books;
+}
@@ -0,0 +1,116 @@
+import { cleanISBN, makeUniqueId, normalizeDate, parseRating, splitList, toInteger } from './normalize';
+import { reportInvalidDate, reportSkippedRow } from './validation';
+
+/**
+ * Check whether a header row looks like a StoryGraph export
+ * @param {Array<string>} headers - Trimmed header names
+ * @returns {boolean} True if the headers match StoryGraph
+ */
+export function isStoryGraphCSV(headers) {
+  return headers.includes('Title') && headers.includes('Authors') &&
+    (headers.includes('Read Status') || headers.includes('Star Rating'));
+}
+
+/**
+ * Pick the most recent date from StoryGraph's "Dates Read" cell
+ * which lists ranges like "2023/01/02-2023/01/20, 2024/03/01-2024/03/09"
+ * @param {string} value - Raw "Dates Read" cell
+ * @returns {string} ISO date of the latest finish, or ''
+ */
+function latestDateRead(value) {
+  if (!value) return '';
+  const dates = value
+    .split(',')
+    .map(range => normalizeDate(range.split(/\s*-\s*(?=\d{4})/).pop()))
+    .filter(Boolean)
+    .sort();
+  return dates.length > 0 ? dates[dates.length - 1] : '';
+}
+
+/**
+ * Map parsed StoryGraph export records to book objects
+ * @param {Array<{ fields: Array<string>, line: number }>} records - Parsed CSV records, header row first
+ * @param {Object} report - Optional import report to collect skipped rows and bad dates
+ * @returns {Array<Object>} Book objects
+ */
+export function parseStoryGraphCSV(records, report = null) {
+  if (records.length < 2) {
+    throw new Error('CSV file appears to be empty or invalid');
+  }
+
+  const headers = records[0].fields.map(h => h.trim());
+  const column = (...names) => headers.findIndex(h => names.includes(h));
+
+  const columns = {
+    title: column('Title'),
+    authors: column('Authors'),
+    contributors: column('Contributors'),
+    isbn: column('ISBN/UID'),
+    format: column('Format'),
+    readStatus: column('Read Status'),
+    dateAdded: column('Date Added'),
+    lastDateRead: column('Last Date Read'),
+    datesRead: column('Dates Read'),
+    readCount: column('Read Count'),
+    moods: column('Moods'),
+    rating: column('Star Rating'),
+    review: column('Review'),
+    tags: column('Tags'),
+  };
+
+  if (columns.title === -1 || columns.authors === -1) {
+    throw new Error('CSV file must contain Title and Authors columns');
+  }
+
+  const parsedBooks = [];
+  const usedIds = new Set();
+
+  for (let i = 1; i < records.length; i++) {
+    const row = records[i].fields;
+    const get = (key) => (columns[key] !== -1 ? (row[columns[key]] || '').trim() : '');
+
+    const title = get('title');
+    const [author, ...otherAuthors] = splitList(get('authors'));
+    if (!title || !author) {
+      reportSkippedRow(report, records[i], columns.title, columns.authors);
+      continue;
+    }
+
+    // StoryGraph has no stable book id; ISBN/UID is the closest thing
+    const uid = get('isbn');
+    const isbn = cleanISBN(uid);
+    const id = makeUniqueId(uid ? `sg-${uid}` : `sg-${i}-${title}-${author}`, usedIds);
+
+    const lastDateRead = normalizeDate(get('lastDateRead'));
+    const dateAdded = normalizeDate(get('dateAdded'));
+    reportInvalidDate(report, id, 'dateRead', get('lastDateRead'), lastDateRead);
+    reportInvalidDate(report, id, 'dateAdded', get('dateAdded'), dateAdded);
+
+    parsedBooks.push({
+      id,
+      title,
+      author,
+      additionalAuthors: [...otherAuthors, ...splitList(get('contributors'))],
+      isbn: isbn.length === 10 ? isbn : '',
+      isbn13: isbn.length === 13 ? isbn : '',
+      // Quarter-star ratings are kept as-is
+      rating: parseRating(get('rating')),
+      averageRating: null,
+      publisher: '',
+      binding: get('format'),
+      pages: null,
+      yearPublished: null,
+      originalPublicationYear: null,
+      dateRead: lastDateRead || latestDateRead(get('datesRead')),
+      dateAdded,
+      bookshelves: get('tags'),
+      // Read statuses (read, to-read, currently-reading, did-not-finish) match Goodreads shelf names
+      exclusiveShelf: get('readStatus').toLowerCase(),
+      moods: splitList(get('moods')),
+      review: get('review'),
+      readCount: toInteger(get('readCount')) || 0,
+    });
+  }
+
+  return parsedBooks;
+}
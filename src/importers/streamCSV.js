@@ -0,0 +1,73 @@
+import { createCSVParser } from './csvParser';
+
+/**
+ * Parse a CSV File off the main thread, streaming records back as they are read.
+ * Falls back to parsing on the main thread when Web Workers are unavailable.
+ * @param {File} file - The CSV file to parse
+ * @param {Object} handlers
+ * @param {Function} handlers.onRows - Called with batches of { fields, line }
+ * @param {Function} handlers.onProgress - Called with a 0-1 fraction of bytes read
+ * @returns {Promise<number>} Total number of records parsed (header included)
+ */
+export function streamCSV(file, { onRows, onProgress } = {}) {
+  if (typeof Worker === 'undefined') {
+    return parseOnMainThread(file, { onRows, onProgress });
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./csvWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.type === 'rows') {
+        onRows?.(message.rows);
+      } else if (message.type === 'progress') {
+        onProgress?.(message.totalBytes ? message.bytesRead / message.totalBytes : 0);
+      } else if (message.type === 'done') {
+        worker.terminate();
+        onProgress?.(1);
+        resolve(message.rowCount);
+      } else if (message.type === 'error') {
+        worker.terminate();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'CSV parser worker failed'));
+    };
+
+    worker.postMessage({ file });
+  });
+}
+
+/**
+ * Parse a CSV File into an array of records (header row first)
+ * @param {File} file - The CSV file to parse
+ * @param {Function} onProgress - Optional 0-1 progress callback
+ * @returns {Promise<Array<{ fields: Array<string>, line: number }>>} Parsed records
+ */
+export async function readCSVFile(file, onProgress) {
+  const records = [];
+  await streamCSV(file, {
+    onRows: (rows) => {
+      for (const row of rows) {
+        records.push(row);
+      }
+    },
+    onProgress,
+  });
+  return records;
+}
+
+async function parseOnMainThread(file, { onRows, onProgress }) {
+  const rows = [];
+  const parser = createCSVParser({ onRow: (fields, { line }) => rows.push({ fields, line }) });
+  parser.push(await file.text());
+  parser.end();
+  onRows?.(rows);
+  onProgress?.(1);
+  return rows.length;
+}
@@ -0,0 +1,154 @@
+import { getBookKey, getShelf, SHELVES } from '../library';
+
+export const ISSUE_TYPES = {
+  SKIPPED: 'skipped',
+  DUPLICATE: 'duplicate',
+  DATE: 'date',
+  RATING: 'rating',
+  ANALYSIS: 'analysis',
+};
+
+/**
+ * Create an empty import report for adapters to fill while parsing
+ *   skipped:      rows that produced no book ({ line, fields, reason, titleIndex, authorIndex })
+ *   invalidDates: dates that couldn't be parsed ({ bookId, field, value })
+ * @returns {{ skipped: Array<Object>, invalidDates: Array<Object> }} Empty report
+ */
+export function createImportReport() {
+  return { skipped: [], invalidDates: [] };
+}
+
+/**
+ * Describe why a row without a title or author was skipped
+ * @param {string} title - Title cell
+ * @param {string} author - Author cell
+ * @returns {string} Reason text
+ */
+function getSkipReason(title, author) {
+  if (!title && !author) return 'Missing title and author';
+  return title ? 'Missing author' : 'Missing title';
+}
+
+/**
+ * Record a row that was skipped because it has no title or author
+ * @param {Object|null} report - Import report, or null when not collecting
+ * @param {{ fields: Array<string>, line: number }} record - Parsed record
+ * @param {number} titleIndex - Title column index
+ * @param {number} authorIndex - Author column index
+ */
+export function reportSkippedRow(report, record, titleIndex, authorIndex) {
+  if (!report) return;
+  const cell = (index) => (index !== -1 ? (record.fields[index] || '').trim() : '');
+  report.skipped.push({
+    line: record.line,
+    fields: record.fields,
+    reason: getSkipReason(cell(titleIndex), cell(authorIndex)),
+    titleIndex,
+    authorIndex,
+  });
+}
+
+/**
+ * Record a date cell that had a value but couldn't be parsed
+ * @param {Object|null} report - Import report, or null when not collecting
+ * @param {string} bookId - Id of the book being built
+ * @param {string} field - Book field, e.g. 'dateRead'
+ * @param {string} value - Raw cell
+ * @param {string} parsed - Normalized result ('' when unparseable)
+ */
+export function reportInvalidDate(report, bookId, field, value, parsed) {
+  if (report && value && !parsed) {
+    report.invalidDates.push({ bookId, field, value });
+  }
+}
+
+/**
+ * Check a rating string for values that are probably wrong
+ * @param {Object} book - Book object
+ * @returns {string|null} Problem description, or null if the rating looks fine
+ */
+function getRatingProblem(book) {
+  if (!book.rating || book.rating === 'Not rated') return null;
+
+  const rating = Number(book.rating);
+  if (!Number.isFinite(rating)) return `Rating "${book.rating}" isn't a number`;
+  if (rating < 0 || rating > 5) return `Rating ${book.rating} is outside 0-5 stars`;
+  if (rating > 0 && getShelf(book) === SHELVES.TO_READ) return `Rated ${book.rating} stars but shelved as to-read`;
+  return null;
+}
+
+/**
+ * Turn a filled import report plus the parsed books into a list of issues
+ * @param {Array<Object>} books - Parsed books
+ * @param {Object} report - Report filled by the import adapter
+ * @returns {Array<Object>} Issues: { id, type, message, bookId?, line?, ... }
+ */
+export function validateImport(books, report) {
+  const issues = [];
+
+  for (const row of report.skipped) {
+    issues.push({
+      id: `${ISSUE_TYPES.SKIPPED}-${row.line}`,
+      type: ISSUE_TYPES.SKIPPED,
+      message: `Row on line ${row.line} skipped: ${row.reason}`,
+      ...row,
+    });
+  }
+
+  // Same title and author more than once (usually different editions)
+  const firstByKey = new Map();
+  for (const book of books) {
+    const key = getBookKey(book);
+    const first = firstByKey.get(key);
+    if (!first) {
+      firstByKey.set(key, book);
+      continue;
+    }
+    issues.push({
+      id: `${ISSUE_TYPES.DUPLICATE}-${book.id}`,
+      type: ISSUE_TYPES.DUPLICATE,
+      bookId: book.id,
+      message: `Duplicate of "${first.title}"${first.binding ? ` (${first.binding})` : ''}`,
+    });
+  }
+
+  for (const { bookId, field, value } of report.invalidDates) {
+    issues.push({
+      id: `${ISSUE_TYPES.DATE}-${bookId}-${field}`,
+      type: ISSUE_TYPES.DATE,
+      bookId,
+      field,
+      value,
+      message: `Couldn't read date "${value}"`,
+    });
+  }
+
+  for (const book of books) {
+    const problem = getRatingProblem(book);
+    if (problem) {
+      issues.push({
+        id: `${ISSUE_TYPES.RATING}-${book.id}`,
+        type: ISSUE_TYPES.RATING,
+        bookId: book.id,
+        message: problem,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Build an issue for a book whose theme analysis failed
+ * @param {Object} book - Book object
+ * @param {string} reason - What went wrong, e.g. from describeApiError
+ * @returns {Object} Issue
+ */
+export function createAnalysisIssue(book, reason) {
+  return {
+    id: `${ISSUE_TYPES.ANALYSIS}-${book.id}`,
+    type: ISSUE_TYPES.ANALYSIS,
+    bookId: book.id,
+    message: `Analysis failed: ${reason}`,
+  };
+}
@@ -0,0 +1,82 @@
+// Zip record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Open a zip archive (e.g. an EPUB) held in memory
+ * Only reads the central directory up front; entries are inflated on demand
+ * with the browser's DecompressionStream.
+ * @param {ArrayBuffer} buffer - Archive bytes
+ * @returns {{ names: Array<string>, has: Function, readText: Function }} Archive reader
+ */
+export function openZip(buffer) {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // The end-of-central-directory record is the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('File is not a valid zip archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) break;
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries.set(name, {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   * @param {string} name - Entry path inside the archive
+   * @returns {Promise<string>} Entry content
+   */
+  const readText = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`Missing ${name} in archive`);
+    }
+
+    // Local header has its own name/extra lengths, which can differ from the central directory
+    const nameLength = view.getUint16(entry.localOffset + 26, true);
+    const extraLength = view.getUint16(entry.localOffset + 28, true);
+    const data = new Uint8Array(buffer, entry.localOffset + 30 + nameLength + extraLength, entry.compressedSize);
+
+    if (entry.method === STORED) return decoder.decode(data);
+    if (entry.method !== DEFLATED) {
+      throw new Error(`Unsupported compression in ${name}`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  };
+
+  return {
+    names: [...entries.keys()],
+    has: (name) => entries.has(name),
+    readText,
+  };
+}
@@ -0,0 +1,292 @@
+/**
+ * Helpers for working with book objects in the library
+ */
+
+export const SHELVES = {
+  READ: 'read',
+  CURRENTLY_READING: 'currently-reading',
+  TO_READ: 'to-read',
+};
+
+export const SHELF_LABELS = {
+  [SHELVES.READ]: 'Read',
+  [SHELVES.CURRENTLY_READING]: 'Currently reading',
+  [SHELVES.TO_READ]: 'Want to read',
+};
+
+/**
+ * Get the normalized shelf for a book
+ * Custom exclusive shelves (e.g. "did-not-finish") count as read.
+ * @param {Object} book - Book object
+ * @returns {string} One of SHELVES
+ */
+export function getShelf(book) {
+  const shelf = (book?.exclusiveShelf || '').trim().toLowerCase();
+  if (shelf === SHELVES.TO_READ) return SHELVES.TO_READ;
+  if (shelf === SHELVES.CURRENTLY_READING) return SHELVES.CURRENTLY_READING;
+  return SHELVES.READ;
+}
+
+/**
+ * Check whether a book hasn't been finished yet (to-read or currently-reading)
+ * @param {Object} book - Book object
+ * @returns {boolean} True if the book is unread
+ */
+export function isUnread(book) {
+  return getShelf(book) !== SHELVES.READ;
+}
+
+/**
+ * Get a book's rating as a number
+ * Imports store ratings as strings like "4" or "4 stars".
+ * @param {Object} book - Book object
+ * @returns {number} Rating, or 0 if not rated
+ */
+export function getRating(book) {
+  return parseFloat(String(book?.rating ?? '').replace(/[^0-9.]/g, '')) || 0;
+}
+
+/**
+ * Get a book's themes with how central each one is to it
+ * Themes saved before analyses had weights (or as plain strings) count as fully central.
+ * @param {Object} book - Book object
+ * @returns {Map<string, number>} Theme name -> weight from 0 to 1
+ */
+export function getThemeWeights(book) {
+  return new Map((book?.themes || []).map(theme => (
+    typeof theme === 'string'
+      ? [theme, 1]
+      : [theme.theme, typeof theme.weight === 'number' ? theme.weight : 1]
+  )));
+}
+
+/**
+ * Score how alike two books are by their themes
+ * A shared theme counts as much as it matters to the book it matters less to,
+ * so books without weights score the number of themes they share.
+ * @param {Object} a - First book
+ * @param {Object} b - Second book
+ * @returns {{ score: number, sharedThemes: Array<string> }} Sum of shared theme weights
+ *   (0 = nothing shared) and the shared themes, strongest first
+ */
+export function getThemeSimilarity(a, b) {
+  const weightsA = getThemeWeights(a);
+  const weightsB = getThemeWeights(b);
+  const shared = [...weightsA.keys()]
+    .filter(theme => weightsB.has(theme))
+    .map(theme => [theme, Math.min(weightsA.get(theme), weightsB.get(theme))])
+    .sort((x, y) => y[1] - x[1]);
+
+  return {
+    score: shared.reduce((sum, [, weight]) => sum + weight, 0),
+    sharedThemes: shared.map(([theme]) => theme),
+  };
+}
+
+const LIBRARY_STORAGE_KEY = 'readingGraphBooks';
+
+/**
+ * Load the saved library from localStorage
+ * @returns {Array<Object>} Saved books, or [] if none
+ */
+export function loadSavedBooks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Error loading books from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the library to localStorage
+ * @param {Array<Object>} books - Books to save
+ */
+export function saveBooks(books) {
+  localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(books));
+}
+
+/**
+ * Normalize a title for matching: lowercase, no subtitle, series marker or punctuation
+ * e.g. "The Fellowship of the Ring (The Lord of the Rings, #1)" -> "fellowship of the ring"
+ * @param {string} title - Book title
+ * @returns {string} Normalized title
+ */
+export function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents
+    .replace(/\s*\([^)]*\)\s*$/, '') // Series marker
+    .replace(/\s*[:;].*$/, '') // Subtitle
+    .replace(/^(the|a|an)\s+/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize an author name for matching: lowercase, no initials punctuation or accents
+ * @param {string} author - Author name
+ * @returns {string} Normalized author
+ */
+export function normalizeAuthor(author) {
+  return (author || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a stable identity key from title and author
+ * @param {Object} book - Book object
+ * @returns {string} Key like "fellowship of the ring|j r r tolkien"
+ */
+export function getBookKey(book) {
+  return `${normalizeTitle(book.title)}|${normalizeAuthor(book.author)}`;
+}
+
+// Fields owned by the library export; everything else on a saved book (themes,
+// quotes, bookmarks, positions, other edits) is kept when re-importing
+const IMPORTED_FIELDS = [
+  'title', 'author', 'additionalAuthors', 'isbn', 'isbn13', 'rating', 'averageRating',
+  'publisher', 'binding', 'pages', 'yearPublished', 'originalPublicationYear',
+  'dateRead', 'dateAdded', 'bookshelves', 'exclusiveShelf', 'moods', 'review', 'readCount',
+];
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Merge a fresh import into the saved library
+ * Books are matched by id first, then by normalized title + author.
+ * @param {Array<Object>} existingBooks - Saved library
+ * @param {Array<Object>} importedBooks - Books from the new export
+ * @param {Object} options
+ * @param {boolean} options.keepMissing - Keep saved books that aren't in the import (default: false)
+ * @param {boolean} options.addOnly - Only add new books; saved books the import matches are kept
+ *   as they are, for sources that don't carry ratings, dates or shelves (default: false)
+ * @returns {{ books: Array<Object>, added: Array<Object>, updated: Array<Object>,
+ *   removed: Array<Object>, unchanged: number, toAnalyze: Array<Object>,
+ *   libraryBookFor: Map<Object, Object> }} Merged library, summary and the library
+ *   book each imported book ended up as
+ */
+export function mergeLibrary(existingBooks, importedBooks, { keepMissing = false, addOnly = false } = {}) {
+  const byId = new Map(existingBooks.filter(book => book.id).map(book => [book.id, book]));
+  const byKey = new Map(existingBooks.map(book => [getBookKey(book), book]));
+  const matched = new Set();
+
+  const books = [];
+  const added = [];
+  const updated = [];
+  const toAnalyze = [];
+  const libraryBookFor = new Map();
+  let unchanged = 0;
+
+  for (const imported of importedBooks) {
+    const existing = [byId.get(imported.id), byKey.get(getBookKey(imported))]
+      .find(book => book && !matched.has(book));
+
+    if (!existing) {
+      books.push(imported);
+      added.push(imported);
+      toAnalyze.push(imported);
+      libraryBookFor.set(imported, imported);
+      continue;
+    }
+
+    matched.add(existing);
+    if (addOnly) {
+      books.push(existing);
+      libraryBookFor.set(imported, existing);
+      unchanged++;
+      continue;
+    }
+
+    const changedFields = IMPORTED_FIELDS.filter(field =>
+      field in imported && !isSameValue(existing[field], imported[field])
+    );
+
+    const merged = { ...existing };
+    for (const field of changedFields) {
+      merged[field] = imported[field];
+    }
+    books.push(merged);
+    libraryBookFor.set(imported, merged);
+
+    if (changedFields.length > 0) {
+      updated.push({ book: merged, changedFields });
+    } else {
+      unchanged++;
+    }
+
+    // Re-analyze only when the identity changed or the last analysis failed
+    const identityChanged = changedFields.includes('title') || changedFields.includes('author');
+    if (identityChanged || !merged.themes || merged.themes.length === 0) {
+      toAnalyze.push(merged);
+    }
+  }
+
+  const removed = existingBooks.filter(book => !matched.has(book));
+  if (keepMissing) {
+    books.push(...removed);
+  }
+
+  return { books, added, updated, removed: keepMissing ? [] : removed, unchanged, toAnalyze, libraryBookFor };
+}
+
+const wordSet = (text) => new Set(text.split(' ').filter(Boolean));
+
+/**
+ * Score how alike two titles are, ignoring subtitles, series markers and word order
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (same words)
+ */
+export function getTitleSimilarity(a, b) {
+  const wordsA = wordSet(normalizeTitle(a));
+  const wordsB = wordSet(normalizeTitle(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Check whether two author strings share a name, so "Herbert, Frank",
+ * "Frank Herbert" and "F. Herbert" all match
+ * @param {string} a - First author
+ * @param {string} b - Second author
+ * @returns {boolean} True if a name of two or more letters appears in both
+ */
+export function isSameAuthor(a, b) {
+  const namesB = wordSet(normalizeAuthor(b));
+  return [...wordSet(normalizeAuthor(a))].some(name => name.length > 1 && namesB.has(name));
+}
+
+/**
+ * Find the library book that best matches a title and author from another source
+ * @param {Array<Object>} books - Library books
+ * @param {{ title: string, author: string }} target - Title and (optional) author to look up
+ * @param {number} minSimilarity - Lowest title similarity that counts as a match (default: 0.75)
+ * @returns {Object|null} Best matching book, or null
+ */
+export function findBookMatch(books, { title, author }, minSimilarity = 0.75) {
+  let bestBook = null;
+  let bestScore = 0;
+
+  for (const book of books) {
+    if (author && book.author && !isSameAuthor(author, book.author)) continue;
+    const score = getTitleSimilarity(title, book.title);
+    if (score > bestScore) {
+      bestBook = book;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= minSimilarity ? bestBook : null;
+}
@@ -0,0 +1,130 @@
+/**
+ * "Ask my library": picks the books a question is about and keeps the
+ * conversation for the browser session
+ */
+import { getRating, getShelf, getThemeWeights } from './library';
+
+const CHAT_STORAGE_KEY = 'readingGraphChat';
+
+// Books sent with each question; the server accepts up to 80
+const MAX_CONTEXT_BOOKS = 60;
+
+// Earlier turns sent with each question, so follow-ups make sense
+const MAX_HISTORY_TURNS = 10;
+
+// Words that say nothing about which books a question is about
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'any', 'are', 'book', 'books', 'by', 'deal', 'did', 'do', 'does', 'for',
+  'from', 'have', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'read', 'that', 'the', 'their',
+  'them', 'to', 'what', 'which', 'who', 'with',
+]);
+
+const getWords = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+
+// Suffix variants match: "memoirs" and "memoir", "dystopian" and "dystopia"
+const wordsMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 4 && (a.startsWith(b) || b.startsWith(a)));
+
+const countMatches = (questionWords, text) => {
+  const words = getWords(text);
+  return questionWords.filter(word => words.some(other => wordsMatch(word, other))).length;
+};
+
+/**
+ * Score how relevant a book is to a question
+ * Themes and genres count most, then title and author, then quotes and the review.
+ * A star count in the question ("rated 5 stars") favors books with that rating.
+ * @param {Object} book - Book object
+ * @param {Array<string>} questionWords - Words of the question
+ * @param {number|null} stars - Star rating the question mentions, or null
+ * @returns {number} Score (0 = unrelated)
+ */
+function scoreBook(book, questionWords, stars) {
+  const themes = [...getThemeWeights(book)];
+  let score = 0;
+  for (const [theme, weight] of themes) {
+    score += countMatches(questionWords, theme) * 3 * weight;
+  }
+  score += countMatches(questionWords, (book.details?.genres || []).join(' ')) * 2;
+  score += countMatches(questionWords, `${book.title} ${book.author} ${book.bookshelves || ''}`) * 2;
+  score += Math.min(countMatches(questionWords, [...(book.quotes || []), book.details?.synopsis, book.review].join(' ')), 2) * 0.5;
+  if (stars !== null && Math.round(getRating(book)) === stars) score += 2;
+  return score;
+}
+
+/**
+ * Pick and describe the books to send with a question
+ * The most relevant books go first; when nothing matches (broad questions like
+ * "what connects my books?") the best-rated and most recently read are sent instead.
+ * @param {Array<Object>} books - The whole library
+ * @param {string} question - The user's question
+ * @returns {{ books: Array<Object>, sources: Array<{ id: string, title: string, author: string }> }}
+ *   Compact books for /api/ask, and which library book each is (citation n refers to sources[n - 1])
+ */
+export function buildLibraryContext(books, question) {
+  const questionWords = getWords(question);
+  const starsMatch = question.match(/\b([1-5])(?:[- ]?stars?|\/5)\b/i);
+  const stars = starsMatch ? Number(starsMatch[1]) : null;
+
+  const ranked = books
+    .filter(book => book.title && book.title.trim())
+    .map(book => ({ book, score: scoreBook(book, questionWords, stars) }))
+    .sort((a, b) => (
+      b.score - a.score
+      || getRating(b.book) - getRating(a.book)
+      || String(b.book.dateRead || '').localeCompare(String(a.book.dateRead || ''))
+    ))
+    .slice(0, MAX_CONTEXT_BOOKS);
+
+  return {
+    books: ranked.map(({ book }) => ({
+      // The server rejects longer titles and authors; citations refer to books by number
+      title: book.title.slice(0, 300),
+      author: (book.author || '').slice(0, 200),
+      rating: Math.min(5, getRating(book)),
+      dateRead: book.dateRead ? String(book.dateRead).slice(0, 40) : '',
+      shelf: getShelf(book),
+      // Most central first
+      themes: [...getThemeWeights(book)].sort((a, b) => b[1] - a[1]).map(([theme]) => theme).slice(0, 20),
+      genres: (book.details?.genres || []).slice(0, 20),
+      quote: (book.quotes?.[0] || '').slice(0, 500),
+    })),
+    sources: ranked.map(({ book }) => ({ id: book.id || '', title: book.title, author: book.author || '' })),
+  };
+}
+
+/**
+ * Earlier turns to send with a question
+ * @param {Array<Object>} messages - Conversation so far
+ * @returns {Array<{ role: string, content: string }>} Most recent turns, oldest first
+ */
+export function getHistoryForRequest(messages) {
+  return messages
+    .filter(message => !message.error)
+    .slice(-MAX_HISTORY_TURNS)
+    .map(({ role, content }) => ({ role, content: content.slice(0, 4000) }));
+}
+
+/**
+ * Load this session's conversation
+ * @returns {Array<Object>} Messages with role, content and (for answers) citations
+ */
+export function loadChatHistory() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(CHAT_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Error loading chat history:', error);
+    return [];
+  }
+}
+
+/**
+ * Save this session's conversation; it is gone when the tab closes
+ * @param {Array<Object>} messages - Messages to save
+ */
+export function saveChatHistory(messages) {
+  sessionStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify(messages));
+}
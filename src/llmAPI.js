@@ -0,0 +1,181 @@
+import { isAbortError } from '../shared/abort';
+import { ERROR_TYPES, getErrorType, LLMError } from '../shared/errors';
+import { toPromptThemes } from '../shared/themes';
+import { getCachedAnalysis, setCachedAnalysis } from './analysisCache';
+import { buildRecommendationContext, dedupeSuggestions } from './recommendations';
+import { loadThemeTaxonomy } from './themeTaxonomy';
+import { recordUsage } from './usageLedger';
+
+// Analysis runs behind our own /api routes (api/ on Vercel, server/dev.js locally)
+// so the model key never reaches the browser
+
+/**
+ * POST a JSON payload to the API
+ * Model calls the server reports with the response are added to the usage ledger.
+ * @param {string} path - Route, e.g. "/api/analyze"
+ * @param {Object} payload - Request body
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<*>} Parsed response body, without its usage list
+ * @throws {LLMError} With the type the server reported (NETWORK if it couldn't be reached);
+ *   an AbortError if the signal aborted
+ */
+async function postJSON(path, payload, signal) {
+  let response;
+  try {
+    response = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal,
+    });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new LLMError(ERROR_TYPES.NETWORK, `Could not reach the analysis server: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => null);
+  const { usage, ...data } = body || {};
+  recordUsage(path.replace('/api/', ''), usage);
+  if (!response.ok) {
+    // Hosts in front of the API (proxies, gateways) answer without a type
+    const fallbackType = response.status === 429 ? ERROR_TYPES.RATE_LIMITED : ERROR_TYPES.SERVER;
+    throw new LLMError(
+      data.type || fallbackType,
+      data.error || `Analysis server error (${response.status})`,
+      // Seconds to wait before retrying, sent with 429s
+      { status: response.status, retryAfter: Number(response.headers.get('Retry-After')) || 0 }
+    );
+  }
+  if (body === null) {
+    throw new LLMError(ERROR_TYPES.SERVER, 'Analysis server returned an invalid response');
+  }
+  return data;
+}
+
+/**
+ * Analyze a book's themes and quotes
+ * Answers from the analysis cache when this book was already analyzed with the current prompt.
+ * @param {string} bookTitle - The title of the book
+ * @param {string} bookAuthor - The author of the book
+ * @param {Object} options - Options
+ * @param {string} options.isbn - ISBN-13 or ISBN-10, to match the cache across title variants
+ * @param {boolean} options.useCache - Read the cache before calling the API (default: true)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} Parsed JSON response with themes and quotes (fromCache: true if no request was made)
+ */
+export async function analyzeBook(bookTitle, bookAuthor, { isbn = '', useCache = true, signal } = {}) {
+  const book = { title: bookTitle, author: bookAuthor || '', isbn };
+  if (useCache) {
+    const cached = await getCachedAnalysis(book);
+    if (cached) return { ...cached, fromCache: true };
+  }
+
+  const { promptVersion, ...result } = await postJSON('/api/analyze', {
+    title: bookTitle,
+    author: bookAuthor || '',
+    themes: toPromptThemes(loadThemeTaxonomy()),
+  }, signal);
+  await setCachedAnalysis(book, { ...result, promptVersion });
+  return result;
+}
+
+/**
+ * Analyze several books in one request (batched mode)
+ * Results are cached per book. A book the model skipped comes back as null;
+ * retry it with analyzeBook.
+ * @param {Array<Object>} books - Books with title, author and optional isbn/isbn13
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array<Object|null>>} Results with themes, in the same order as books
+ */
+export async function analyzeBooks(books, { signal } = {}) {
+  const { results, promptVersion } = await postJSON('/api/analyze', {
+    books: books.map(book => ({ title: book.title, author: book.author || '' })),
+    themes: toPromptThemes(loadThemeTaxonomy()),
+  }, signal);
+  if (!Array.isArray(results) || results.length !== books.length) {
+    throw new LLMError(ERROR_TYPES.PARSE, 'Analysis server returned the wrong number of results');
+  }
+
+  await Promise.all(results.map((result, index) => result && setCachedAnalysis(
+    { title: books[index].title, author: books[index].author || '', isbn: books[index].isbn13 || books[index].isbn },
+    { ...result, promptVersion }
+  )));
+  return results;
+}
+
+/**
+ * Get a book's spoiler-free synopsis, setting, genres, main characters and content warnings
+ * @param {string} bookTitle - The title of the book
+ * @param {string} bookAuthor - The author of the book
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} { synopsis, setting: { place, era }, genres, characters, contentWarnings }
+ */
+export async function getBookDetails(bookTitle, bookAuthor, { signal } = {}) {
+  return postJSON('/api/details', { title: bookTitle, author: bookAuthor || '' }, signal);
+}
+
+/**
+ * Ask a question about the library
+ * @param {string} question - The user's question
+ * @param {Array<Object>} books - Books to answer from, from buildLibraryContext
+ * @param {Object} options - Options
+ * @param {Array<{ role: string, content: string }>} options.history - Earlier turns of the conversation
+ * @param {number} options.libraryCount - Books in the whole library
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{ answer: string, citations: Array<number> }>} Answer and the 1-based numbers of the books it cites
+ */
+export async function askLibrary(question, books, { history = [], libraryCount = books.length, signal } = {}) {
+  return postJSON('/api/ask', { question, books, history, libraryCount }, signal);
+}
+
+/**
+ * Recommend books like one in the library
+ * Sends the book's graph neighborhood and the reader's rating patterns, then drops
+ * suggestions already in the library under another edition or subtitle.
+ * @param {Object} book - The book to recommend from
+ * @param {Array} books - Array of all books in user's library
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{ suggestions: Array<{ title, author, reason, because: Array<string> }> }>}
+ *   Suggestions; because names the library books each one is most like
+ */
+export async function generateInsights(book, books = [], { signal } = {}) {
+  const { suggestions } = await postJSON('/api/insights', buildRecommendationContext(book, books), signal);
+  return { suggestions: dedupeSuggestions(suggestions, [book, ...books]) };
+}
+
+/**
+ * Message for the user saying what went wrong and what to do about it
+ * @param {Error} error - Error from analyzeBook, analyzeBooks or generateInsights
+ * @returns {string} Message
+ */
+export function describeApiError(error) {
+  switch (getErrorType(error)) {
+    case ERROR_TYPES.AUTH:
+      return 'The analysis server\'s API key was rejected. Check GROQ_API_KEY (or LLM_API_KEY) on the server.';
+    case ERROR_TYPES.CONFIG:
+    case ERROR_TYPES.INVALID_REQUEST:
+      // The server's message already says what to change
+      return error.message;
+    case ERROR_TYPES.RATE_LIMITED:
+      return error.retryAfter
+        ? `Too many requests right now. Try again in ${error.retryAfter} seconds.`
+        : 'Too many requests right now. Wait a minute and try again.';
+    case ERROR_TYPES.MODEL_UNAVAILABLE:
+      return 'None of the configured models are available. Update LLM_MODEL on the server.';
+    case ERROR_TYPES.NETWORK:
+      // With a status, the server answered but couldn't reach the model provider
+      if (error.status) return 'The analysis server could not reach the model provider. Try again in a moment.';
+      return 'Could not reach the analysis server. Check your connection (or that `npm run dev:api` is running) and try again.';
+    case ERROR_TYPES.PARSE:
+      return 'The model answered in an unexpected format. Trying again usually works.';
+    default:
+      // Errors from outside the API (e.g. a cancelled analysis) describe themselves
+      if (!(error instanceof LLMError) && error?.message) return error.message;
+      return 'The analysis server ran into a problem. Try again in a moment.';
+  }
+}
+
+export default { analyzeBook, generateInsights };
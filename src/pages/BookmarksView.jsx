@@ -181,9 +181,29 @@ function BookmarksView() {
                           )}
                           
                           {/* Quote text */}
-                          <p className="text-gray-200 text-sm md:text-base leading-relaxed flex-1 italic">
-                            "{bookmark.quote}"
-                          </p>
+                          <div className="flex-1 space-y-1">
+                            <p className="text-gray-200 text-sm md:text-base leading-relaxed italic">
+                              "{bookmark.quote}"
+                            </p>
+                            {bookmark.verified && (
+                              <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-green-500/20 text-green-400 border border-green-500/30">
+                                Verified in book
+                              </span>
+                            )}
+                            {bookmark.closeMatch && (
+                              <div className="space-y-1">
+                                <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-yellow-500/20 text-yellow-300 border border-yellow-500/30">
+                                  Close match in book
+                                </span>
+                                <p className="text-gray-400 text-xs leading-relaxed">In the book: "{bookmark.closeMatch}"</p>
+                              </div>
+                            )}
+                            {bookmark.notFound && (
+                              <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-semibold bg-red-500/20 text-red-400 border border-red-500/30">
+                                Not found in book
+                              </span>
+                            )}
+                          </div>
                           
                           {/* Delete button */}
                           <button
@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  clearAnalysisCache,
+  deleteCachedAnalysis,
+  getCacheStats,
+  listCachedAnalyses,
+  resetCacheStats
+} from '../analysisCache';
+
+const navButtonStyle = {
+  backgroundColor: '#9333ea',
+  color: '#ffffff',
+  boxShadow: '0 0 15px rgba(147, 51, 234, 0.4)'
+};
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="bg-gray-900/50 rounded-lg border border-purple-500/20 px-4 py-3">
+      <div className="text-2xl md:text-3xl font-bold text-white">{value}</div>
+      <div className="text-xs md:text-sm text-gray-400 mt-1">{label}</div>
+      {hint && <div className="text-xs text-gray-500 mt-0.5">{hint}</div>}
+    </div>
+  );
+}
+
+function CachePage() {
+  const [entries, setEntries] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [stats, setStats] = useState(getCacheStats);
+  const [search, setSearch] = useState('');
+  const [confirmingPurge, setConfirmingPurge] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const navigate = useNavigate();
+
+  // Load entries from IndexedDB
+  useEffect(() => {
+    let active = true;
+    listCachedAnalyses()
+      .then(result => {
+        if (active) setEntries(result);
+      })
+      .catch(error => {
+        console.error('Error loading analysis cache:', error);
+        if (active) setLoadError(error.message || 'Could not open the analysis cache');
+      });
+    return () => {
+      active = false;
+    };
+  }, [reloadKey]);
+
+  const reload = () => {
+    setStats(getCacheStats());
+    setReloadKey(key => key + 1);
+  };
+
+  const handleDelete = async (key) => {
+    await deleteCachedAnalysis(key);
+    reload();
+  };
+
+  const handleDeleteOutdated = async () => {
+    for (const entry of entries.filter(other => !other.isCurrent)) {
+      await deleteCachedAnalysis(entry.key);
+    }
+    reload();
+  };
+
+  const handlePurge = async () => {
+    await clearAnalysisCache();
+    setConfirmingPurge(false);
+    reload();
+  };
+
+  const handleResetStats = () => {
+    resetCacheStats();
+    setStats(getCacheStats());
+  };
+
+  const lookups = stats.hits + stats.misses;
+  const currentCount = entries ? entries.filter(entry => entry.isCurrent).length : 0;
+  const outdatedCount = entries ? entries.length - currentCount : 0;
+
+  const query = search.trim().toLowerCase();
+  const visibleEntries = (entries || []).filter(entry =>
+    !query || `${entry.title} ${entry.author}`.toLowerCase().includes(query)
+  );
+
+  return (
+    <div className="min-h-screen flex flex-col" style={{ backgroundColor: '#0a0e27' }}>
+      {/* Header */}
+      <div className="border-b px-4 py-4 md:px-6 md:py-6 lg:px-8 lg:py-8" style={{ borderColor: 'rgba(255, 255, 255, 0.1)' }}>
+        <div className="container mx-auto flex flex-col md:flex-row items-start md:items-center justify-between gap-4 md:gap-0">
+          <h1
+            className="text-2xl md:text-3xl lg:text-4xl font-bold tracking-wide"
+            style={{
+              color: '#ffffff',
+              textShadow: '0 0 20px rgba(147, 51, 234, 0.4)'
+            }}
+          >
+            Analysis Cache
+          </h1>
+          <div className="flex flex-wrap gap-3 md:gap-5 w-full md:w-auto md:justify-end ml-auto">
+            <button
+              onClick={() => navigate('/graph')}
+              className="min-h-[44px] px-4 py-2 rounded-lg font-semibold transition-all duration-300 text-sm md:text-base"
+              style={navButtonStyle}
+            >
+              Back to Graph
+            </button>
+            <button
+              onClick={() => navigate('/')}
+              className="min-h-[44px] px-4 py-2 rounded-lg font-semibold transition-all duration-300 text-sm md:text-base"
+              style={navButtonStyle}
+            >
+              Upload
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto px-4 py-6 md:px-6 md:py-8 lg:px-8">
+        <div className="container mx-auto max-w-4xl space-y-6 md:space-y-8">
+          <p className="text-sm md:text-base text-gray-400 leading-relaxed">
+            Book analyses are saved in this browser so re-importing your library doesn't analyze the same
+            books again. Entries made with an older version of the analysis prompt are no longer used.
+          </p>
+
+          {/* Stats */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4">
+            <StatCard label="Cached books" value={entries ? currentCount : '–'} />
+            <StatCard label="Outdated entries" value={entries ? outdatedCount : '–'} hint="older prompt" />
+            <StatCard label="Cache hits" value={stats.hits} hint={`${stats.misses} misses`} />
+            <StatCard
+              label="Hit rate"
+              value={lookups > 0 ? `${Math.round((stats.hits / lookups) * 100)}%` : '–'}
+              hint={`${lookups} lookups`}
+            />
+          </div>
+
+          {/* Actions */}
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleResetStats}
+              disabled={lookups === 0}
+              className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-medium text-gray-300 border border-purple-500/30 hover:border-purple-500/60 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Reset stats
+            </button>
+            <button
+              onClick={handleDeleteOutdated}
+              disabled={outdatedCount === 0}
+              className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-medium text-gray-300 border border-purple-500/30 hover:border-purple-500/60 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Remove outdated
+            </button>
+            {confirmingPurge ? (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-red-300">Delete all {entries.length} entries?</span>
+                <button
+                  onClick={handlePurge}
+                  className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-semibold text-white bg-red-600 hover:bg-red-700 transition-colors"
+                >
+                  Delete all
+                </button>
+                <button
+                  onClick={() => setConfirmingPurge(false)}
+                  className="min-h-[44px] px-3 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => setConfirmingPurge(true)}
+                disabled={!entries || entries.length === 0}
+                className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-medium text-red-400 hover:text-red-300 hover:bg-red-500/10 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Purge cache
+              </button>
+            )}
+          </div>
+
+          {loadError && (
+            <div className="p-4 rounded-lg bg-red-900/30 border border-red-500/50 text-red-300 text-sm">
+              {loadError}
+            </div>
+          )}
+
+          {/* Entries */}
+          {entries && entries.length > 0 && (
+            <div className="space-y-3">
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search cached books"
+                className="w-full px-3 py-2 rounded-lg bg-gray-900/70 border border-purple-500/30 text-gray-200 text-sm focus:outline-none focus:border-purple-500"
+              />
+              {visibleEntries.map(entry => (
+                <div
+                  key={entry.key}
+                  className="bg-gray-900/50 rounded-lg border border-purple-500/20 px-4 py-3 flex items-start gap-3"
+                >
+                  <div className="flex-1 min-w-0 space-y-1">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <h3 className="text-sm md:text-base font-semibold text-white truncate">{entry.title}</h3>
+                      {!entry.isCurrent && (
+                        <span className="px-2 py-0.5 rounded text-xs font-semibold bg-yellow-500/20 text-yellow-300 border border-yellow-500/30">
+                          Outdated prompt
+                        </span>
+                      )}
+                    </div>
+                    {entry.author && <p className="text-xs md:text-sm text-purple-300">by {entry.author}</p>}
+                    <div className="flex flex-wrap gap-1.5">
+                      {(entry.result.themes || []).map(({ theme }) => (
+                        <span
+                          key={theme}
+                          className="px-2 py-0.5 rounded-full text-xs bg-purple-500/20 text-purple-300 border border-purple-500/30"
+                        >
+                          {theme}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      Cached {formatDate(entry.createdAt)} · used {entry.hits} time{entry.hits !== 1 ? 's' : ''}
+                      {entry.hits > 0 && ` · last ${formatDate(entry.lastUsedAt)}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(entry.key)}
+                    className="min-h-[44px] px-3 py-2 flex-shrink-0 text-xs md:text-sm text-gray-500 hover:text-red-400 transition-colors"
+                    aria-label={`Remove cached analysis of ${entry.title}`}
+                  >
+                    Invalidate
+                  </button>
+                </div>
+              ))}
+              {visibleEntries.length === 0 && (
+                <p className="text-sm text-gray-500 text-center py-6">No cached books match "{search}"</p>
+              )}
+            </div>
+          )}
+
+          {entries && entries.length === 0 && (
+            <div className="text-center py-12 md:py-16 space-y-3">
+              <h2 className="text-xl md:text-2xl font-bold text-white">The cache is empty</h2>
+              <p className="text-sm md:text-base text-gray-400">Analyses will be saved here the next time you import books.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CachePage;
@@ -0,0 +1,262 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { downloadCSV } from '../csvExport';
+import {
+  clearUsageLedger,
+  getEntryCost,
+  getEntryDay,
+  loadUsageLedger,
+  summarizeUsage,
+  toUsageRows
+} from '../usageLedger';
+
+const navButtonStyle = {
+  backgroundColor: '#9333ea',
+  color: '#ffffff',
+  boxShadow: '0 0 15px rgba(147, 51, 234, 0.4)'
+};
+
+// Most recent calls listed below the totals
+const RECENT_CALL_COUNT = 50;
+
+const formatDateTime = (isoDate) => new Date(isoDate).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatNumber = (number) => number.toLocaleString();
+
+// Sub-cent costs still show up instead of rounding to $0.00
+const formatCost = (cost) => (cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`);
+
+// A total that includes calls of unknown cost isn't a real total
+const formatRowCost = (row) => (row.unknownCostCalls > 0 ? '—' : formatCost(row.cost));
+
+const formatIncomplete = (row) => `Incomplete: ${row.unknownCostCalls} call${row.unknownCostCalls !== 1 ? 's' : ''} with unknown cost`;
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="bg-gray-900/50 rounded-lg border border-purple-500/20 px-4 py-3">
+      <div className="text-2xl md:text-3xl font-bold text-white">{value}</div>
+      <div className="text-xs md:text-sm text-gray-400 mt-1">{label}</div>
+      {hint && <div className="text-xs text-gray-500 mt-0.5">{hint}</div>}
+    </div>
+  );
+}
+
+// Totals per import or per day
+function SummaryTable({ title, rows }) {
+  if (rows.length === 0) return null;
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg md:text-xl font-semibold text-white">{title}</h2>
+      <div className="overflow-x-auto rounded-lg border border-purple-500/20">
+        <table className="w-full text-left text-xs md:text-sm">
+          <thead className="bg-gray-900/70 text-gray-400">
+            <tr>
+              <th className="px-3 py-2 font-medium"></th>
+              <th className="px-3 py-2 font-medium text-right">Calls</th>
+              <th className="px-3 py-2 font-medium text-right">Failed</th>
+              <th className="px-3 py-2 font-medium text-right">Retries</th>
+              <th className="px-3 py-2 font-medium text-right">Fallbacks</th>
+              <th className="px-3 py-2 font-medium text-right">Tokens</th>
+              <th className="px-3 py-2 font-medium text-right">Avg latency</th>
+              <th className="px-3 py-2 font-medium text-right">Est. cost</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {rows.map(row => (
+              <tr key={row.key} className="border-t border-purple-500/10">
+                <td className="px-3 py-2 text-white">{row.label}</td>
+                <td className="px-3 py-2 text-right">{formatNumber(row.calls)}</td>
+                <td className={`px-3 py-2 text-right ${row.failed > 0 ? 'text-red-400' : ''}`}>{formatNumber(row.failed)}</td>
+                <td className={`px-3 py-2 text-right ${row.retries > 0 ? 'text-yellow-300' : ''}`}>{formatNumber(row.retries)}</td>
+                <td className={`px-3 py-2 text-right ${row.fallbacks > 0 ? 'text-yellow-300' : ''}`}>{formatNumber(row.fallbacks)}</td>
+                <td className="px-3 py-2 text-right">{formatNumber(row.tokens)}</td>
+                <td className="px-3 py-2 text-right">{(row.averageLatencyMs / 1000).toFixed(1)}s</td>
+                <td className="px-3 py-2 text-right" title={row.unknownCostCalls > 0 ? formatIncomplete(row) : undefined}>
+                  {formatRowCost(row)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function DiagnosticsPage() {
+  const [entries, setEntries] = useState(loadUsageLedger);
+  const [confirmingClear, setConfirmingClear] = useState(false);
+  const navigate = useNavigate();
+
+  const handleClear = () => {
+    clearUsageLedger();
+    setEntries([]);
+    setConfirmingClear(false);
+  };
+
+  const handleExport = () => {
+    downloadCSV('model-usage.csv', toUsageRows(entries));
+  };
+
+  const [total] = summarizeUsage(entries, () => ({ key: 'all', label: 'All' }));
+  const byImport = summarizeUsage(entries.filter(entry => entry.importId), entry => ({
+    key: entry.importId,
+    label: `${formatDateTime(entry.importId)} · ${entry.importLabel}`,
+  }));
+  const byDay = summarizeUsage(entries, entry => ({ key: getEntryDay(entry), label: getEntryDay(entry) }));
+  const recentCalls = entries.slice(-RECENT_CALL_COUNT).reverse();
+
+  return (
+    <div className="min-h-screen flex flex-col" style={{ backgroundColor: '#0a0e27' }}>
+      {/* Header */}
+      <div className="border-b px-4 py-4 md:px-6 md:py-6 lg:px-8 lg:py-8" style={{ borderColor: 'rgba(255, 255, 255, 0.1)' }}>
+        <div className="container mx-auto flex flex-col md:flex-row items-start md:items-center justify-between gap-4 md:gap-0">
+          <h1
+            className="text-2xl md:text-3xl lg:text-4xl font-bold tracking-wide"
+            style={{
+              color: '#ffffff',
+              textShadow: '0 0 20px rgba(147, 51, 234, 0.4)'
+            }}
+          >
+            Model Usage
+          </h1>
+          <div className="flex flex-wrap gap-3 md:gap-5 w-full md:w-auto md:justify-end ml-auto">
+            <button
+              onClick={() => navigate('/graph')}
+              className="min-h-[44px] px-4 py-2 rounded-lg font-semibold transition-all duration-300 text-sm md:text-base"
+              style={navButtonStyle}
+            >
+              Back to Graph
+            </button>
+            <button
+              onClick={() => navigate('/')}
+              className="min-h-[44px] px-4 py-2 rounded-lg font-semibold transition-all duration-300 text-sm md:text-base"
+              style={navButtonStyle}
+            >
+              Upload
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto px-4 py-6 md:px-6 md:py-8 lg:px-8">
+        <div className="container mx-auto max-w-4xl space-y-6 md:space-y-8">
+          <p className="text-sm md:text-base text-gray-400 leading-relaxed">
+            Every model call made for this browser is recorded here: the model, what it was for, tokens,
+            latency, retries and whether a fallback model answered. Costs are estimates from published Groq
+            prices; other models have no price, so totals that include them are marked incomplete. Calls
+            answered from the analysis cache cost nothing.
+          </p>
+
+          {/* Stats */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4">
+            <StatCard label="Model calls" value={total ? formatNumber(total.calls) : '–'} hint={total ? `${total.failed} failed` : null} />
+            <StatCard label="Tokens" value={total ? formatNumber(total.tokens) : '–'} />
+            <StatCard
+              label="Retries"
+              value={total ? formatNumber(total.retries) : '–'}
+              hint={total ? `${total.fallbacks} fallback${total.fallbacks !== 1 ? 's' : ''}` : null}
+            />
+            <StatCard
+              label="Estimated cost"
+              value={total ? formatRowCost(total) : '–'}
+              hint={total?.unknownCostCalls > 0 ? formatIncomplete(total) : 'US dollars'}
+            />
+          </div>
+
+          {/* Actions */}
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleExport}
+              disabled={entries.length === 0}
+              className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-medium text-gray-300 border border-purple-500/30 hover:border-purple-500/60 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Export CSV
+            </button>
+            {confirmingClear ? (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-red-300">Delete all {entries.length} calls?</span>
+                <button
+                  onClick={handleClear}
+                  className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-semibold text-white bg-red-600 hover:bg-red-700 transition-colors"
+                >
+                  Delete all
+                </button>
+                <button
+                  onClick={() => setConfirmingClear(false)}
+                  className="min-h-[44px] px-3 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={() => setConfirmingClear(true)}
+                disabled={entries.length === 0}
+                className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-medium text-red-400 hover:text-red-300 hover:bg-red-500/10 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Clear ledger
+              </button>
+            )}
+          </div>
+
+          <SummaryTable title="Per import" rows={byImport} />
+          <SummaryTable title="Per day" rows={byDay} />
+
+          {/* Recent calls */}
+          {recentCalls.length > 0 && (
+            <div className="space-y-3">
+              <h2 className="text-lg md:text-xl font-semibold text-white">Recent calls</h2>
+              {recentCalls.map((entry, index) => {
+                const cost = getEntryCost(entry);
+                return (
+                  <div
+                    key={`${entry.time}-${index}`}
+                    className="bg-gray-900/50 rounded-lg border border-purple-500/20 px-4 py-3 space-y-1"
+                  >
+                    <div className="flex flex-wrap items-center gap-2">
+                      <h3 className="text-sm md:text-base font-semibold text-white">{entry.task}</h3>
+                      <span className="text-xs md:text-sm text-purple-300">{entry.model}</span>
+                      {entry.fallback && (
+                        <span className="px-2 py-0.5 rounded text-xs font-semibold bg-yellow-500/20 text-yellow-300 border border-yellow-500/30">
+                          Fallback
+                        </span>
+                      )}
+                      {entry.error && (
+                        <span className="px-2 py-0.5 rounded text-xs font-semibold bg-red-500/20 text-red-300 border border-red-500/30">
+                          {entry.error}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {formatDateTime(entry.time)} · /api/{entry.route}
+                      {typeof entry.totalTokens === 'number' && ` · ${formatNumber(entry.totalTokens)} tokens`}
+                      {` · ${(entry.latencyMs / 1000).toFixed(1)}s`}
+                      {entry.retries > 0 && ` · ${entry.retries} retr${entry.retries !== 1 ? 'ies' : 'y'}`}
+                      {cost > 0 && ` · ${formatCost(cost)}`}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {entries.length === 0 && (
+            <div className="text-center py-12 md:py-16 space-y-3">
+              <h2 className="text-xl md:text-2xl font-bold text-white">No model calls yet</h2>
+              <p className="text-sm md:text-base text-gray-400">Calls will be recorded here the next time books are analyzed.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DiagnosticsPage;
@@ -1,7 +1,12 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import BookGraph from '../BookGraph';
 import FilterSidebar from '../FilterSidebar';
+import LibraryChat from '../components/LibraryChat';
+import { downloadCSV } from '../csvExport';
+import { findBookMatch, getThemeWeights, isUnread } from '../library';
+import { loadThemeTaxonomy } from '../themeTaxonomy';
+import { getWantToReadSuggestions, toGoodreadsRows } from '../wantToRead';
 
 function GraphPage() {
   const [books, setBooks] = useState([]);
@@ -17,6 +22,12 @@ function GraphPage() {
     selfHelp: false,
     memoirs: false
   });
+  const [showUnread, setShowUnread] = useState(() => localStorage.getItem('readingGraphShowUnread') !== 'false');
+  const [themeTaxonomy] = useState(loadThemeTaxonomy);
+  // Theme names to narrow the graph to; empty shows every theme
+  const [activeThemes, setActiveThemes] = useState(new Set());
+  const [chatOpen, setChatOpen] = useState(false);
+  const bookGraphRef = useRef(null);
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -103,13 +114,23 @@ function GraphPage() {
   };
 
   // Filter books based on active filters
-  const filterBooks = (booksList, filters) => {
+  const filterBooks = (booksList, filters, includeUnread, themes) => {
     if (!booksList || booksList.length === 0) {
       return [];
     }
 
     let filtered = [...booksList];
 
+    // Hide to-read and currently-reading ghost nodes unless toggled on
+    if (!includeUnread) {
+      filtered = filtered.filter(book => !isUnread(book));
+    }
+
+    // Keep books filed under any of the selected themes
+    if (themes.size > 0) {
+      filtered = filtered.filter(book => [...getThemeWeights(book).keys()].some(theme => themes.has(theme)));
+    }
+
     // If 'all' is true, return all books
     if (filters.all) {
       return filtered;
@@ -125,6 +146,7 @@ function GraphPage() {
 
     // Apply last 20 filter - sort by Date Read
     if (filters.last20) {
+      filtered = filtered.filter(book => !isUnread(book));
       filtered.sort((a, b) => {
         const dateA = parseDate(a.dateRead);
         const dateB = parseDate(b.dateRead);
@@ -158,8 +180,56 @@ function GraphPage() {
 
   // Calculate filtered books based on active filters
   const filteredBooks = useMemo(() => {
-    return filterBooks(books, activeFilters);
-  }, [books, activeFilters]);
+    return filterBooks(books, activeFilters, showUnread, activeThemes);
+  }, [books, activeFilters, showUnread, activeThemes]);
+
+  const handleShowUnreadChange = (checked) => {
+    setShowUnread(checked);
+    localStorage.setItem('readingGraphShowUnread', String(checked));
+  };
+
+  // Focus a book cited in the chat; if the filters hide it, clear them first
+  const handleCitationClick = (citation) => {
+    // The chat covers the whole screen on mobile
+    if (window.innerWidth < 768) setChatOpen(false);
+    if (bookGraphRef.current?.focusBook(citation)) return;
+
+    setActiveFilters({ all: true, topRated: false, last20: false, fiction: false, selfHelp: false, memoirs: false });
+    setActiveThemes(new Set());
+    setShowUnread(true);
+    // Give the graph a moment to rebuild with every book
+    setTimeout(() => bookGraphRef.current?.focusBook(citation), 300);
+  };
+
+  // Add a recommended book to the library; it's a ghost node, so make sure ghosts are shown.
+  // Returns false if the library already has it
+  const handleBookAdd = (newBook) => {
+    if (findBookMatch(books, newBook)) return false;
+    // Other updates to the library may be queued in this render
+    setBooks(prevBooks => {
+      const mergedBooks = [...prevBooks, newBook];
+      localStorage.setItem('readingGraphBooks', JSON.stringify(mergedBooks));
+      return mergedBooks;
+    });
+    handleShowUnreadChange(true);
+    return true;
+  };
+
+  const handleExportWantToRead = () => {
+    downloadCSV('want-to-read.csv', toGoodreadsRows(getWantToReadSuggestions(books)));
+  };
+
+  const handleThemeToggle = (themeName, checked) => {
+    setActiveThemes(prev => {
+      const next = new Set(prev);
+      if (checked) {
+        next.add(themeName);
+      } else {
+        next.delete(themeName);
+      }
+      return next;
+    });
+  };
 
   return (
     <div className="min-h-screen flex flex-col" style={{ backgroundColor: '#0a0e27' }}>
@@ -217,6 +287,34 @@ function GraphPage() {
               </svg>
             </button>
             <div className="flex items-center gap-2 md:gap-5 ml-auto">
+              <button
+                onClick={() => setChatOpen(!chatOpen)}
+                className="min-h-[44px] px-3 py-2 rounded-lg text-sm md:text-base text-gray-400 hover:text-white transition-colors"
+                title="Ask questions about your library"
+              >
+                Ask
+              </button>
+              <button
+                onClick={() => navigate('/themes')}
+                className="min-h-[44px] px-3 py-2 rounded-lg text-sm md:text-base text-gray-400 hover:text-white transition-colors"
+                title="Edit the themes books are grouped by"
+              >
+                Themes
+              </button>
+              <button
+                onClick={() => navigate('/cache')}
+                className="min-h-[44px] px-3 py-2 rounded-lg text-sm md:text-base text-gray-400 hover:text-white transition-colors"
+                title="Cached book analyses"
+              >
+                Cache
+              </button>
+              <button
+                onClick={() => navigate('/diagnostics')}
+                className="min-h-[44px] px-3 py-2 rounded-lg text-sm md:text-base text-gray-400 hover:text-white transition-colors"
+                title="Model calls, tokens and estimated cost"
+              >
+                Usage
+              </button>
               <button
                 onClick={() => navigate('/bookmarks')}
                 className="min-h-[44px] px-3 md:px-4 py-2 rounded-lg font-semibold transition-all duration-300 flex items-center gap-2 text-sm md:text-base"
@@ -294,6 +392,15 @@ function GraphPage() {
               filteredBooks={filteredBooks}
               onFilterChange={setActiveFilters}
               activeFilters={activeFilters}
+              showUnread={showUnread}
+              onShowUnreadChange={handleShowUnreadChange}
+              unreadCount={books.filter(isUnread).length}
+              wantToReadCount={getWantToReadSuggestions(books).length}
+              onExportWantToRead={handleExportWantToRead}
+              themes={themeTaxonomy}
+              activeThemes={activeThemes}
+              onThemeToggle={handleThemeToggle}
+              onClearThemes={() => setActiveThemes(new Set())}
               onClose={() => setSidebarOpen(false)}
             />
           </div>
@@ -329,20 +436,40 @@ function GraphPage() {
             <div className="flex-1 flex flex-col min-h-0">
               <div className="flex-1 min-h-0 w-full h-full">
                 <BookGraph 
+                  ref={bookGraphRef}
                   books={filteredBooks} 
+                  libraryBooks={books}
                   onReset={() => {
                     setIsNodeSelected(false);
                     setSelectedBook(null);
                     setQuotesPanelOpen(false);
                   }}
-                  onBookUpdate={(updatedBooks) => {
-                    // Update books state when a book is analyzed
-                    setBooks(updatedBooks);
+                  onBookAdd={handleBookAdd}
+                  onBookUpdate={(bookToUpdate, updatedData) => {
+                    // BookGraph only sees the filtered books, so patch the book in
+                    // the full library; several updates can land in the same render
+                    setBooks(prevBooks => {
+                      const mergedBooks = prevBooks.map(book => (
+                        (bookToUpdate.id ? book.id === bookToUpdate.id : book.title === bookToUpdate.title && book.author === bookToUpdate.author)
+                          ? { ...book, ...updatedData }
+                          : book
+                      ));
+                      localStorage.setItem('readingGraphBooks', JSON.stringify(mergedBooks));
+                      return mergedBooks;
+                    });
                   }}
                 />
               </div>
             </div>
           </div>
+
+          {/* Ask my library - answers from the whole library, not just the filtered books */}
+          <LibraryChat
+            books={books}
+            isOpen={chatOpen}
+            onClose={() => setChatOpen(false)}
+            onCitationClick={handleCitationClick}
+          />
         </div>
       ) : (
         <div className="flex-1 flex items-center justify-center" style={{ padding: '24px' }}>
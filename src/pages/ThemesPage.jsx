@@ -0,0 +1,215 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getTaxonomyError, TAXONOMY_LIMITS } from '../../shared/themes';
+import { loadSavedBooks, saveBooks } from '../library';
+import {
+  applyTaxonomyChange,
+  getDefaultTaxonomy,
+  loadThemeTaxonomy,
+  planTaxonomyChange,
+  saveThemeTaxonomy
+} from '../themeTaxonomy';
+
+const navButtonStyle = {
+  backgroundColor: '#9333ea',
+  color: '#ffffff',
+  boxShadow: '0 0 15px rgba(147, 51, 234, 0.4)'
+};
+
+// Colors handed out to new themes, in turn
+const NEW_THEME_COLORS = ['#F59E0B', '#10B981', '#EC4899', '#6366F1', '#14B8A6', '#EAB308'];
+
+const inputClassName = 'w-full px-3 py-2 rounded-lg bg-gray-900/70 border border-purple-500/30 text-gray-200 text-sm focus:outline-none focus:border-purple-500';
+
+function ThemesPage() {
+  const [savedThemes] = useState(loadThemeTaxonomy);
+  const [themes, setThemes] = useState(loadThemeTaxonomy);
+  const [books] = useState(loadSavedBooks);
+  const [recheckAll, setRecheckAll] = useState(false);
+  const navigate = useNavigate();
+
+  const updateTheme = (id, changes) => {
+    setThemes(prev => prev.map(theme => (theme.id === id ? { ...theme, ...changes } : theme)));
+  };
+
+  const handleAdd = () => {
+    setThemes(prev => [...prev, {
+      id: `theme-${Date.now().toString(36)}`,
+      name: '',
+      description: '',
+      color: NEW_THEME_COLORS[prev.length % NEW_THEME_COLORS.length],
+    }]);
+  };
+
+  const handleRemove = (id) => {
+    setThemes(prev => prev.filter(theme => theme.id !== id));
+  };
+
+  const error = getTaxonomyError(themes);
+  const plan = planTaxonomyChange(savedThemes, themes);
+  const { books: updatedBooks, flagged } = applyTaxonomyChange(books, plan, { recheckAll });
+  const hasChanges = JSON.stringify(themes) !== JSON.stringify(savedThemes);
+  const analyzedCount = books.filter(book => book.themes && book.themes.length > 0).length;
+
+  const handleSave = () => {
+    if (error) return;
+    saveBooks(updatedBooks);
+    saveThemeTaxonomy(themes);
+    navigate('/graph');
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col" style={{ backgroundColor: '#0a0e27' }}>
+      {/* Header */}
+      <div className="border-b px-4 py-4 md:px-6 md:py-6 lg:px-8 lg:py-8" style={{ borderColor: 'rgba(255, 255, 255, 0.1)' }}>
+        <div className="container mx-auto flex flex-col md:flex-row items-start md:items-center justify-between gap-4 md:gap-0">
+          <h1
+            className="text-2xl md:text-3xl lg:text-4xl font-bold tracking-wide"
+            style={{
+              color: '#ffffff',
+              textShadow: '0 0 20px rgba(147, 51, 234, 0.4)'
+            }}
+          >
+            Themes
+          </h1>
+          <div className="flex flex-wrap gap-3 md:gap-5 w-full md:w-auto md:justify-end ml-auto">
+            <button
+              onClick={() => navigate('/graph')}
+              className="min-h-[44px] px-4 py-2 rounded-lg font-semibold transition-all duration-300 text-sm md:text-base"
+              style={navButtonStyle}
+            >
+              Back to Graph
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto px-4 py-6 md:px-6 md:py-8 lg:px-8">
+        <div className="container mx-auto max-w-4xl space-y-6 md:space-y-8">
+          <p className="text-sm md:text-base text-gray-400 leading-relaxed">
+            Books are grouped by these themes. The model sees each name and description when it files a
+            book, and the graph and filters use the colors. Renaming a theme keeps its books; removing or
+            redefining one re-classifies the books filed under it.
+          </p>
+
+          {/* Theme rows */}
+          <div className="space-y-3">
+            {themes.map(theme => (
+              <div
+                key={theme.id}
+                className="bg-gray-900/50 rounded-lg border border-purple-500/20 px-4 py-3 flex items-start gap-3"
+              >
+                <input
+                  type="color"
+                  value={theme.color}
+                  onChange={(e) => updateTheme(theme.id, { color: e.target.value })}
+                  className="w-10 h-10 flex-shrink-0 rounded cursor-pointer bg-transparent"
+                  aria-label={`Color for ${theme.name || 'new theme'}`}
+                />
+                <div className="flex-1 min-w-0 space-y-2">
+                  <input
+                    type="text"
+                    value={theme.name}
+                    onChange={(e) => updateTheme(theme.id, { name: e.target.value })}
+                    maxLength={TAXONOMY_LIMITS.NAME_LENGTH}
+                    placeholder="Theme name"
+                    className={`${inputClassName} font-semibold`}
+                  />
+                  <input
+                    type="text"
+                    value={theme.description}
+                    onChange={(e) => updateTheme(theme.id, { description: e.target.value })}
+                    maxLength={TAXONOMY_LIMITS.DESCRIPTION_LENGTH}
+                    placeholder="What it covers (helps the model tell themes apart)"
+                    className={inputClassName}
+                  />
+                </div>
+                <button
+                  onClick={() => handleRemove(theme.id)}
+                  disabled={themes.length <= TAXONOMY_LIMITS.MIN_THEMES}
+                  className="min-h-[44px] px-3 py-2 flex-shrink-0 text-xs md:text-sm text-gray-500 hover:text-red-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  aria-label={`Remove ${theme.name || 'new theme'}`}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {/* Actions */}
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleAdd}
+              disabled={themes.length >= TAXONOMY_LIMITS.MAX_THEMES}
+              className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-medium text-gray-300 border border-purple-500/30 hover:border-purple-500/60 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              + Add theme
+            </button>
+            <button
+              onClick={() => setThemes(getDefaultTaxonomy())}
+              className="min-h-[44px] px-4 py-2 rounded-lg text-sm font-medium text-gray-300 border border-purple-500/30 hover:border-purple-500/60 transition-colors"
+            >
+              Reset to defaults
+            </button>
+          </div>
+
+          {error && (
+            <div className="p-4 rounded-lg bg-red-900/30 border border-red-500/50 text-red-300 text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* What saving does to the library */}
+          {hasChanges && !error && (
+            <div className="bg-gray-900/50 rounded-lg border border-purple-500/20 px-4 py-4 space-y-3">
+              <ul className="text-sm text-gray-300 space-y-1">
+                {plan.renamed.size > 0 && <li>{plan.renamed.size} theme{plan.renamed.size !== 1 ? 's' : ''} renamed (books keep them)</li>}
+                {plan.removed.size > 0 && <li>{plan.removed.size} theme{plan.removed.size !== 1 ? 's' : ''} removed</li>}
+                {plan.redescribed.size > 0 && <li>{plan.redescribed.size} description{plan.redescribed.size !== 1 ? 's' : ''} changed</li>}
+                {plan.added.length > 0 && <li>{plan.added.length} theme{plan.added.length !== 1 ? 's' : ''} added</li>}
+              </ul>
+              {analyzedCount > 0 && (
+                <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer min-h-[44px]">
+                  <input
+                    type="checkbox"
+                    checked={recheckAll}
+                    onChange={(e) => setRecheckAll(e.target.checked)}
+                    className="w-4 h-4 rounded cursor-pointer"
+                    style={{ accentColor: '#9333ea' }}
+                  />
+                  Re-check every analyzed book ({analyzedCount}), so new themes are picked up too
+                </label>
+              )}
+              <p className="text-sm text-gray-400">
+                {flagged > 0
+                  ? `${flagged} book${flagged !== 1 ? 's' : ''} will be re-classified in the background when you open the graph.`
+                  : 'No books need to be re-classified.'}
+              </p>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleSave}
+              disabled={!hasChanges || !!error}
+              className="min-h-[44px] px-5 py-2 rounded-lg font-semibold transition-all duration-300 text-sm md:text-base disabled:opacity-50 disabled:cursor-not-allowed"
+              style={navButtonStyle}
+            >
+              Save themes
+            </button>
+            <button
+              onClick={() => setThemes(savedThemes)}
+              disabled={!hasChanges}
+              className="min-h-[44px] px-3 py-2 text-sm text-gray-400 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Discard changes
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ThemesPage;
@@ -1,7 +1,33 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import LoadingScreen from '../components/LoadingScreen';
-import { analyzeBook } from '../geminiAPI';
+import { analysisQueue, PRIORITY, QUEUE_TAGS } from '../analysisQueue';
+import { describeApiError } from '../llmAPI';
+import { readCSVFile } from '../importers/streamCSV';
+import { parseLibraryRecords } from '../importers';
+import { parseLibraryJSON } from '../importers/json';
+import ColumnMappingWizard from '../components/ColumnMappingWizard';
+import ImportSummary from '../components/ImportSummary';
+import ImportReport from '../components/ImportReport';
+import HighlightsSummary from '../components/HighlightsSummary';
+import ReadingListPaste from '../components/ReadingListPaste';
+import { attachClippings, isKindleClippings, parseKindleClippings } from '../importers/kindleClippings';
+import { createAnalysisIssue, createImportReport, ISSUE_TYPES, validateImport } from '../importers/validation';
+import { loadSavedBooks, mergeLibrary } from '../library';
+import { beginImport, endImport } from '../usageLedger';
+
+// Attach an analysis result's themes and quotes to a book
+const withThemes = (book, analysisResult) => ({
+  ...book,
+  themes: analysisResult.themes || [],
+  quotes: analysisResult.themes?.flatMap(theme => theme.quotes || []) || []
+});
+
+// Run the theme analysis for one book the user is fixing and attach the results
+const withAnalysis = async (book) => withThemes(
+  book,
+  await analysisQueue.enqueue(book, { priority: PRIORITY.USER, tag: QUEUE_TAGS.IMPORT })
+);
 
 function UploadPage() {
   const [isDragging, setIsDragging] = useState(false);
@@ -10,181 +36,317 @@ function UploadPage() {
   const [error, setError] = useState(null);
   const [analysisProgress, setAnalysisProgress] = useState(0);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [parseProgress, setParseProgress] = useState(0);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [isPastingList, setIsPastingList] = useState(false);
+  // Re-imports merge into the saved library by default
+  const [savedBookCount] = useState(() => loadSavedBooks().length);
+  const [mergeMode, setMergeMode] = useState(true);
+  const [keepMissing, setKeepMissing] = useState(false);
+  // Analyzed library waiting on the import report / merge summary before opening the graph
+  const [importResult, setImportResult] = useState(null);
+  const [clippingsResult, setClippingsResult] = useState(null);
   const fileInputRef = useRef(null);
+  // False once the user has left the page, so a finishing import doesn't pull them back to the graph
+  const isMountedRef = useRef(true);
   const navigate = useNavigate();
 
-  // Parse CSV content
-  const parseCSV = (text) => {
-    const lines = text.split('\n');
-    if (lines.length < 2) {
-      throw new Error('CSV file appears to be empty or invalid');
+  // Leaving mid-import aborts its analysis, including requests already sent
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+      analysisQueue.cancel(QUEUE_TAGS.IMPORT);
+    };
+  }, []);
+
+  // Analyze parsed books and open the graph
+  // source holds the parsed records, column mapping and import report, so
+  // skipped rows can be re-parsed once the user fills them in; partial sources
+  // (a pasted list) only add books and never drop the rest of the library
+  const analyzeAndShowGraph = async (parsedBooks, source) => {
+    if (parsedBooks.length === 0) {
+      throw new Error('No valid books found in the file');
     }
 
-    // Get headers (first line)
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    
-    // Find column indices for Goodreads CSV columns
-    const bookIdIndex = headers.findIndex(h => h === 'Book Id' || h === 'Book ID');
-    const titleIndex = headers.findIndex(h => h === 'Title');
-    const authorIndex = headers.findIndex(h => h === 'Author');
-    const ratingIndex = headers.findIndex(h => h === 'My Rating');
-    const dateReadIndex = headers.findIndex(h => h === 'Date Read' || h === 'Date Added');
-    const bookshelvesIndex = headers.findIndex(h => h === 'Bookshelves' || h === 'Bookshelf');
-    const exclusiveShelfIndex = headers.findIndex(h => h === 'Exclusive Shelf');
-
-    if (titleIndex === -1 || authorIndex === -1) {
-      throw new Error('CSV file must contain Title and Author columns');
+    const issues = validateImport(parsedBooks, source.report);
+
+    // In merge mode only new books, renamed books and failed analyses are sent to the API;
+    // existing themes, quotes and anything else stored on a book are kept. A partial source
+    // always merges, whatever the checkbox says, and leaves the books it matches alone
+    let mergeResult = null;
+    let booksToAnalyze = parsedBooks;
+    if (source.partial && savedBookCount > 0) {
+      mergeResult = mergeLibrary(loadSavedBooks(), parsedBooks, { keepMissing: true, addOnly: true });
+      booksToAnalyze = mergeResult.toAnalyze;
+    } else if (mergeMode && savedBookCount > 0) {
+      mergeResult = mergeLibrary(loadSavedBooks(), parsedBooks, { keepMissing });
+      booksToAnalyze = mergeResult.toAnalyze;
     }
 
-    // Parse data rows
-    const parsedBooks = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-
-      // Handle CSV parsing with quoted fields
-      const row = [];
-      let currentField = '';
-      let insideQuotes = false;
-
-      for (let j = 0; j < line.length; j++) {
-        const char = line[j];
-        const nextChar = line[j + 1];
-
-        if (char === '"') {
-          if (insideQuotes && nextChar === '"') {
-            currentField += '"';
-            j++;
-          } else {
-            insideQuotes = !insideQuotes;
-          }
-        } else if (char === ',' && !insideQuotes) {
-          row.push(currentField.trim());
-          currentField = '';
-        } else {
-          currentField += char;
-        }
+    // Every shelf is kept: currently-reading and to-read books are analyzed too,
+    // so they can be placed among the themes of what's already been read.
+    // Store books for loading screen (shows book count)
+    setReadBooks(booksToAnalyze);
+    setIsAnalyzing(true);
+    setAnalysisProgress(0);
+    // Model calls made until the analysis finishes count towards this import in the usage ledger
+    beginImport(`${booksToAnalyze.length} book${booksToAnalyze.length !== 1 ? 's' : ''}`);
+
+    // Analyze through the shared queue, which handles concurrency and rate limits;
+    // cache hits come back right away
+    const analyzedBooks = new Map();
+    let finishedCount = 0;
+
+    await Promise.all(booksToAnalyze.map(book => analysisQueue.enqueue(book, { tag: QUEUE_TAGS.IMPORT })
+      .then(analysisResult => {
+        analyzedBooks.set(book, withThemes(book, analysisResult));
+      })
+      .catch(err => {
+        console.error(`Error analyzing book "${book.title}":`, err);
+        // Continue with book even if analysis fails or was cancelled; the report offers a retry
+        issues.push(createAnalysisIssue(book, describeApiError(err)));
+        analyzedBooks.set(book, {
+          ...book,
+          themes: book.themes || [],
+          quotes: book.quotes || []
+        });
+      })
+      .finally(() => {
+        finishedCount++;
+        setAnalysisProgress(Math.floor((finishedCount / booksToAnalyze.length) * 100));
+      })
+    ));
+    endImport();
+
+    if (!isMountedRef.current) return;
+
+    // Ensure progress is 100% and stop analyzing
+    setAnalysisProgress(100);
+    setIsAnalyzing(false);
+
+    const libraryBooks = (mergeResult ? mergeResult.books : parsedBooks)
+      .map(book => analyzedBooks.get(book) || book);
+
+    // Validation issues point at imported books; a merged book keeps the saved book's id
+    if (mergeResult) {
+      const importedById = new Map(parsedBooks.map(book => [book.id, book]));
+      for (const issue of issues) {
+        const imported = importedById.get(issue.bookId);
+        if (imported) issue.bookId = mergeResult.libraryBookFor.get(imported).id;
       }
-      row.push(currentField.trim());
-
-      // Extract book data
-      const bookId = bookIdIndex !== -1 ? (row[bookIdIndex]?.replace(/"/g, '') || '') : '';
-      const title = row[titleIndex]?.replace(/"/g, '') || '';
-      const author = row[authorIndex]?.replace(/"/g, '') || '';
-      const rating = ratingIndex !== -1 ? (row[ratingIndex]?.replace(/"/g, '') || '') : '';
-      const dateRead = dateReadIndex !== -1 ? (row[dateReadIndex]?.replace(/"/g, '') || '') : '';
-      const bookshelves = bookshelvesIndex !== -1 ? (row[bookshelvesIndex]?.replace(/"/g, '') || '') : '';
-      const exclusiveShelf = exclusiveShelfIndex !== -1 ? (row[exclusiveShelfIndex]?.replace(/"/g, '') || '') : '';
-
-      if (title && author) {
-        parsedBooks.push({
-          id: bookId || `${i}-${title}-${author}`,
-          title: title,
-          author: author,
-          rating: rating || 'Not rated',
-          dateRead: dateRead || '',
-          bookshelves: bookshelves || '',
-          exclusiveShelf: exclusiveShelf || '',
+    }
+
+    if (mergeResult || issues.length > 0) {
+      // Show problems and what changed before opening the graph
+      setImportResult({
+        books: libraryBooks,
+        issues,
+        summary: mergeResult ? { ...mergeResult, analyzedCount: booksToAnalyze.length } : null,
+        records: source.records,
+        mapping: source.mapping,
+      });
+      setIsLoading(false);
+      setReadBooks(null);
+      return;
+    }
+
+    // Navigate to graph with analyzed books
+    setTimeout(() => {
+      if (isMountedRef.current) navigate('/graph', { state: { books: libraryBooks } });
+    }, 500);
+  };
+
+  const updateImportResult = (update) => {
+    setImportResult(prev => (prev ? { ...prev, ...update(prev) } : prev));
+  };
+
+  const updateResultBook = (bookId, changes) => {
+    updateImportResult(prev => ({
+      books: prev.books.map(book => (book.id === bookId ? { ...book, ...changes } : book))
+    }));
+  };
+
+  const resolveIssue = (issue) => {
+    updateImportResult(prev => ({ issues: prev.issues.filter(other => other.id !== issue.id) }));
+  };
+
+  // Re-parse a skipped row with the title and author the user typed in, then analyze it
+  const addSkippedRow = async (issue, { title, author }) => {
+    const { records, mapping } = importResult;
+    const fields = [...issue.fields];
+    fields[issue.titleIndex] = title.trim();
+    fields[issue.authorIndex] = author.trim();
+
+    const { books: [book] } = parseLibraryRecords([records[0], { fields, line: issue.line }], mapping);
+
+    let addedBook;
+    let failure = null;
+    try {
+      addedBook = await withAnalysis(book);
+    } catch (err) {
+      console.error(`Error analyzing book "${book.title}":`, err);
+      addedBook = { ...book, themes: [], quotes: [] };
+      failure = createAnalysisIssue(book, describeApiError(err));
+    }
+
+    updateImportResult(prev => ({
+      books: [...prev.books, addedBook],
+      issues: [...prev.issues.filter(other => other.id !== issue.id), ...(failure ? [failure] : [])]
+    }));
+  };
+
+  // Inline fixes from the import report
+  const handleIssueFix = async (issue, value) => {
+    switch (issue.type) {
+      case ISSUE_TYPES.SKIPPED:
+        await addSkippedRow(issue, value);
+        return;
+      case ISSUE_TYPES.DUPLICATE:
+        // Drop this copy along with any other issues it had. The flagged copy comes
+        // after the book it repeats, so remove that one object and nothing else
+        updateImportResult(prev => {
+          const duplicate = prev.books.findLast(book => book.id === issue.bookId);
+          return {
+            books: prev.books.filter(book => book !== duplicate),
+            issues: prev.issues.filter(other => other.bookId !== issue.bookId)
+          };
         });
+        return;
+      case ISSUE_TYPES.DATE:
+        updateResultBook(issue.bookId, { [issue.field]: value });
+        break;
+      case ISSUE_TYPES.RATING: {
+        const stars = Math.min(5, Math.round(Number(value) * 4) / 4);
+        updateResultBook(issue.bookId, { rating: stars > 0 ? String(stars) : 'Not rated' });
+        break;
+      }
+      case ISSUE_TYPES.ANALYSIS: {
+        const book = importResult.books.find(other => other.id === issue.bookId);
+        try {
+          const { themes, quotes } = await withAnalysis(book);
+          updateResultBook(book.id, { themes, quotes });
+        } catch (err) {
+          console.error(`Error analyzing book "${book.title}":`, err);
+          // Keep the issue, with the latest error
+          updateImportResult(prev => ({
+            issues: prev.issues.map(other => (other.id === issue.id ? createAnalysisIssue(book, describeApiError(err)) : other))
+          }));
+          return;
+        }
+        break;
       }
+      default:
+        break;
     }
+    resolveIssue(issue);
+  };
 
-    return parsedBooks;
+  const openGraph = () => {
+    navigate('/graph', { state: { books: importResult.books } });
+  };
+
+  // Attach Kindle highlights to the saved library as verified quotes
+  const importClippings = (text) => {
+    if (!isKindleClippings(text)) {
+      throw new Error('Text files must be a Kindle "My Clippings.txt" file');
+    }
+
+    const savedBooks = loadSavedBooks();
+    if (savedBooks.length === 0) {
+      throw new Error('Import your Goodreads or StoryGraph library before adding Kindle highlights');
+    }
+
+    setClippingsResult(attachClippings(savedBooks, parseKindleClippings(text)));
+    setIsLoading(false);
+  };
+
+  const handleImportError = (err) => {
+    setError(err.message || 'Error parsing file');
+    setIsLoading(false);
+    setIsAnalyzing(false);
+    setAnalysisProgress(0);
+    setReadBooks(null);
   };
 
   const processFile = async (file) => {
     if (!file) return;
 
-    if (!file.name.endsWith('.csv') && file.type !== 'text/csv') {
-      setError('Please upload a CSV file');
+    const isJSON = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+    const isText = file.name.toLowerCase().endsWith('.txt') || file.type === 'text/plain';
+    if (!isJSON && !isText && !file.name.toLowerCase().endsWith('.csv') && file.type !== 'text/csv') {
+      setError('Please upload a CSV or JSON library file, or a Kindle "My Clippings.txt"');
       return;
     }
 
     setError(null);
+    setPendingImport(null);
+    setImportResult(null);
+    setClippingsResult(null);
     setIsLoading(true);
+    setParseProgress(0);
 
     try {
-      const text = await file.text();
-      const parsedBooks = parseCSV(text);
-      
-      if (parsedBooks.length === 0) {
-        throw new Error('No valid books found in the CSV file');
+      if (isText) {
+        importClippings(await file.text());
+        return;
       }
 
-      // Filter out unread books (rating = 0)
-      const filteredReadBooks = parsedBooks.filter(book => {
-        const rating = parseFloat(book.rating) || 0;
-        return rating > 0;
-      });
+      // Parse CSV in a Web Worker so large exports don't block the page
+      const records = isJSON
+        ? parseLibraryJSON(await file.text())
+        : await readCSVFile(file, setParseProgress);
 
-      if (filteredReadBooks.length === 0) {
-        throw new Error('No read books found. Please upload a CSV with books that have ratings.');
-      }
+      // Goodreads or StoryGraph, detected from the header row
+      const report = createImportReport();
+      const { format, books: parsedBooks } = parseLibraryRecords(records, null, report);
 
-      // Store books for loading screen (shows book count)
-      setReadBooks(filteredReadBooks);
-      setIsAnalyzing(true);
-      setAnalysisProgress(0);
-
-      // Analyze each book with Groq API
-      const analyzedBooks = [];
-      const totalBooks = filteredReadBooks.length;
-
-      for (let i = 0; i < filteredReadBooks.length; i++) {
-        const book = filteredReadBooks[i];
-        
-        try {
-          // Call analyzeBook API
-          const analysisResult = await analyzeBook(book.title, book.author);
-          
-          // Add themes and quotes to book object
-          const enrichedBook = {
-            ...book,
-            themes: analysisResult.themes || [],
-            quotes: analysisResult.themes?.flatMap(theme => theme.quotes || []) || []
-          };
-          
-          analyzedBooks.push(enrichedBook);
-        } catch (err) {
-          console.error(`Error analyzing book "${book.title}":`, err);
-          // Continue with book even if analysis fails
-          analyzedBooks.push({
-            ...book,
-            themes: [],
-            quotes: []
-          });
-        }
+      if (!format) {
+        // Unknown layout - let the user map the columns
+        setPendingImport({ records, fileName: file.name });
+        setIsLoading(false);
+        return;
+      }
 
-        // Update progress after each book is processed
-        setAnalysisProgress(Math.floor(((i + 1) / totalBooks) * 100));
+      await analyzeAndShowGraph(parsedBooks, { records, mapping: null, report });
+    } catch (err) {
+      handleImportError(err);
+    }
+  };
 
-        // Small delay to avoid rate limiting (except for last book)
-        if (i < filteredReadBooks.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      }
+  // Import using the columns chosen in the mapping wizard
+  const handleMappingConfirm = async (mapping) => {
+    const { records } = pendingImport;
+    setPendingImport(null);
+    setError(null);
+    setIsLoading(true);
 
-      // Ensure progress is 100% and stop analyzing
-      setAnalysisProgress(100);
-      setIsAnalyzing(false);
+    try {
+      const report = createImportReport();
+      const { books: parsedBooks } = parseLibraryRecords(records, mapping, report);
+      await analyzeAndShowGraph(parsedBooks, { records, mapping, report });
+    } catch (err) {
+      handleImportError(err);
+    }
+  };
 
-      // Navigate to graph with analyzed books
-      setTimeout(() => {
-        navigate('/graph', { state: { books: analyzedBooks } });
-      }, 500);
+  // Import books typed or pasted as a plain-text list
+  const handleReadingListConfirm = async (parsedBooks) => {
+    setIsPastingList(false);
+    setError(null);
+    setIsLoading(true);
 
+    try {
+      await analyzeAndShowGraph(parsedBooks, { records: null, mapping: null, report: createImportReport(), partial: true });
     } catch (err) {
-      setError(err.message || 'Error parsing CSV file');
-      setIsLoading(false);
-      setIsAnalyzing(false);
-      setAnalysisProgress(0);
-      setReadBooks(null);
+      handleImportError(err);
     }
   };
 
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
+    // Reset so picking the same file again (e.g. after cancelling the mapping) re-triggers
+    event.target.value = '';
     if (file) {
       processFile(file);
     }
@@ -202,7 +364,7 @@ function UploadPage() {
     setIsDragging(false);
   }, []);
 
-  const handleDrop = useCallback((e) => {
+  const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
@@ -211,7 +373,7 @@ function UploadPage() {
     if (file) {
       processFile(file);
     }
-  }, []);
+  };
 
   const handleClick = () => {
     fileInputRef.current?.click();
@@ -239,11 +401,12 @@ function UploadPage() {
   return (
     <>
       {/* Loading Screen Overlay */}
-      {isLoading && readBooks && (
+      {isLoading && (
         <LoadingScreen 
-          bookCount={readBooks.length} 
+          bookCount={readBooks ? readBooks.length : 0} 
           analysisProgress={analysisProgress}
           isAnalyzing={isAnalyzing}
+          parseProgress={parseProgress}
         />
       )}
 
@@ -378,7 +541,7 @@ function UploadPage() {
 
           {/* Steps */}
           <div className="flex flex-col md:flex-row items-center justify-center gap-4 md:gap-6 lg:gap-10 xl:gap-12 mt-8 md:mt-12">
-            <Step number="1" text="Export your Goodreads library" />
+            <Step number="1" text="Export your Goodreads or StoryGraph library" />
             <svg 
               className="w-6 h-6 hidden md:block"
               fill="none"
@@ -403,8 +566,44 @@ function UploadPage() {
 
           {/* Upload Card */}
           <div className="flex justify-center px-4 mt-12">
-            <div className="w-full max-w-2xl">
-              {!isLoading && (
+            <div className={`w-full ${pendingImport || importResult || clippingsResult || isPastingList ? 'max-w-4xl' : 'max-w-2xl'}`}>
+              {!isLoading && pendingImport && (
+                <ColumnMappingWizard
+                  records={pendingImport.records}
+                  fileName={pendingImport.fileName}
+                  onConfirm={handleMappingConfirm}
+                  onCancel={() => setPendingImport(null)}
+                />
+              )}
+              {!isLoading && importResult && (
+                <div className="space-y-6">
+                  {(importResult.issues.length > 0 || !importResult.summary) && (
+                    <ImportReport
+                      issues={importResult.issues}
+                      books={importResult.books}
+                      onFix={handleIssueFix}
+                      onIgnore={resolveIssue}
+                      onContinue={importResult.summary ? null : openGraph}
+                    />
+                  )}
+                  {importResult.summary && (
+                    <ImportSummary summary={importResult.summary} onContinue={openGraph} />
+                  )}
+                </div>
+              )}
+              {!isLoading && isPastingList && (
+                <ReadingListPaste
+                  onConfirm={handleReadingListConfirm}
+                  onCancel={() => setIsPastingList(false)}
+                />
+              )}
+              {!isLoading && clippingsResult && (
+                <HighlightsSummary
+                  result={clippingsResult}
+                  onContinue={() => navigate('/graph', { state: { books: clippingsResult.books } })}
+                />
+              )}
+              {!isLoading && !pendingImport && !importResult && !clippingsResult && !isPastingList && (
                 <div 
                   className="bg-blue-900/20 backdrop-blur-lg rounded-2xl border border-blue-800/30 p-6 md:p-12 lg:p-20 w-full relative z-10 cursor-pointer transition-all duration-500"
                   onClick={handleClick}
@@ -435,7 +634,7 @@ function UploadPage() {
                   <input
                     ref={fileInputRef}
                     type="file"
-                    accept=".csv,text/csv"
+                    accept=".csv,text/csv,.json,application/json,.txt,text/plain"
                     onChange={handleFileSelect}
                     className="hidden"
                   />
@@ -473,7 +672,7 @@ function UploadPage() {
                       textShadow: '0 2px 10px rgba(0, 0, 0, 0.5)'
                     }}
                   >
-                    {isDragging ? 'Drop your CSV file here' : 'Drag & drop your CSV file'}
+                    {isDragging ? 'Drop your library file here' : 'Drag & drop your CSV or JSON file'}
                   </h2>
 
                   {/* Or text */}
@@ -514,6 +713,51 @@ function UploadPage() {
                   </div>
                 </div>
               )}
+
+              {!isLoading && !pendingImport && !importResult && !clippingsResult && !isPastingList && (
+                <p className="text-sm md:text-base text-gray-400 text-center leading-normal mt-4">
+                  No export handy?{' '}
+                  <button
+                    onClick={() => setIsPastingList(true)}
+                    className="text-purple-300 hover:text-purple-200 underline underline-offset-2 transition-colors"
+                  >
+                    Paste a reading list
+                  </button>
+                </p>
+              )}
+
+              {/* Re-import options - only when a library is already saved */}
+              {!isLoading && !pendingImport && !importResult && !clippingsResult && !isPastingList && savedBookCount > 0 && (
+                <>
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-center gap-2 md:gap-6 mt-4">
+                    <label className="flex items-center gap-2 text-sm md:text-base text-gray-300 cursor-pointer min-h-[44px]">
+                      <input
+                        type="checkbox"
+                        checked={mergeMode}
+                        onChange={(e) => setMergeMode(e.target.checked)}
+                        className="w-4 h-4 cursor-pointer"
+                        style={{ accentColor: '#9333ea' }}
+                      />
+                      Merge into my library ({savedBookCount} books)
+                    </label>
+                    {mergeMode && (
+                      <label className="flex items-center gap-2 text-sm md:text-base text-gray-300 cursor-pointer min-h-[44px]">
+                        <input
+                          type="checkbox"
+                          checked={keepMissing}
+                          onChange={(e) => setKeepMissing(e.target.checked)}
+                          className="w-4 h-4 cursor-pointer"
+                          style={{ accentColor: '#9333ea' }}
+                        />
+                        Keep books missing from this file
+                      </label>
+                    )}
+                  </div>
+                  <p className="text-xs md:text-sm text-gray-500 text-center leading-normal mt-2">
+                    Drop your Kindle "My Clippings.txt" here to add your highlights to these books.
+                  </p>
+                </>
+              )}
             </div>
           </div>
 
@@ -0,0 +1,136 @@
+/**
+ * Recommendations: what the reader's library says about a book, and keeping
+ * suggestions they already own out of the list
+ */
+import { findBookMatch, getBookKey, getRating, getThemeSimilarity, getThemeWeights, isUnread } from './library';
+
+// Library books sent as the selected book's neighborhood; the server accepts up to 15
+const MAX_NEIGHBORS = 10;
+
+// A theme or author needs this many rated books before it says anything about taste
+const MIN_RATED_BOOKS = 2;
+
+const MAX_TOP_THEMES = 5;
+const MAX_FAVORITE_AUTHORS = 3;
+const FAVORITE_AUTHOR_RATING = 4;
+
+// Suggestions shown after duplicates are dropped
+const MAX_SUGGESTIONS = 5;
+
+// Looser than findBookMatch's default: authors must still match, but titles may
+// differ by an edition word or two ("Dune" and "Dune Deluxe Edition")
+const SUGGESTION_MATCH_SIMILARITY = 0.6;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Themes the reader rates highest, weighted by how central each is to the rated books
+ * @param {Array<Object>} ratedBooks - Finished books with a rating
+ * @returns {Array<{ theme: string, averageRating: number, count: number }>} Best first
+ */
+function getTopThemes(ratedBooks) {
+  const totals = new Map();
+  for (const book of ratedBooks) {
+    const rating = getRating(book);
+    for (const [theme, weight] of getThemeWeights(book)) {
+      const total = totals.get(theme) || { weighted: 0, weight: 0, count: 0 };
+      total.weighted += rating * weight;
+      total.weight += weight;
+      total.count++;
+      totals.set(theme, total);
+    }
+  }
+
+  return [...totals]
+    .filter(([, total]) => total.count >= MIN_RATED_BOOKS && total.weight > 0)
+    .map(([theme, total]) => ({ theme, averageRating: round(total.weighted / total.weight), count: total.count }))
+    .sort((a, b) => b.averageRating - a.averageRating || b.count - a.count)
+    .slice(0, MAX_TOP_THEMES);
+}
+
+/**
+ * Authors with several books the reader rated highly
+ * @param {Array<Object>} ratedBooks - Finished books with a rating
+ * @returns {Array<string>} Best first
+ */
+function getFavoriteAuthors(ratedBooks) {
+  const totals = new Map();
+  for (const book of ratedBooks) {
+    const author = (book.author || '').trim();
+    if (!author) continue;
+    const total = totals.get(author) || { sum: 0, count: 0 };
+    total.sum += getRating(book);
+    total.count++;
+    totals.set(author, total);
+  }
+
+  return [...totals]
+    .map(([author, total]) => ({ author, average: total.sum / total.count, count: total.count }))
+    .filter(({ average, count }) => count >= MIN_RATED_BOOKS && average >= FAVORITE_AUTHOR_RATING)
+    .sort((a, b) => b.average - a.average || b.count - a.count)
+    .slice(0, MAX_FAVORITE_AUTHORS)
+    .map(({ author }) => author);
+}
+
+/**
+ * Describe a book's place in the library for /api/insights
+ * Neighbors are the finished books sharing the most of its themes (the ones it
+ * links to in the graph), best rated first among equals; rating patterns come from the
+ * books the reader has finished and rated.
+ * @param {Object} book - The selected book
+ * @param {Array<Object>} books - The whole library
+ * @returns {{ title: string, author: string, themes: Array<string>, neighbors: Array<Object>,
+ *   topThemes: Array<Object>, favoriteAuthors: Array<string>, averageRating: number }} Insights payload
+ */
+export function buildRecommendationContext(book, books) {
+  // The panel's book may be a copy of the library's, so match it by id or title and author
+  const isSelected = (other) => (book.id && other.id === book.id) || getBookKey(other) === getBookKey(book);
+  // Unread books can't explain a suggestion ("because you liked ...")
+  const others = books.filter(other => !isSelected(other) && !isUnread(other) && other.title && other.title.trim());
+
+  const neighbors = others
+    .map(other => ({ other, ...getThemeSimilarity(book, other) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || getRating(b.other) - getRating(a.other))
+    .slice(0, MAX_NEIGHBORS)
+    .map(({ other, sharedThemes }) => ({
+      title: other.title.trim(),
+      author: (other.author || '').trim(),
+      rating: Math.min(5, getRating(other)),
+      sharedThemes: sharedThemes.slice(0, 20),
+    }));
+
+  const ratedBooks = books.filter(other => !isUnread(other) && getRating(other) > 0);
+  const averageRating = ratedBooks.length > 0
+    ? Math.min(5, round(ratedBooks.reduce((sum, other) => sum + getRating(other), 0) / ratedBooks.length))
+    : 0;
+
+  return {
+    title: book.title,
+    author: book.author || '',
+    // Most central first
+    themes: [...getThemeWeights(book)].sort((a, b) => b[1] - a[1]).map(([theme]) => theme).slice(0, 20),
+    neighbors,
+    topThemes: getTopThemes(ratedBooks),
+    favoriteAuthors: getFavoriteAuthors(ratedBooks),
+    averageRating,
+  };
+}
+
+/**
+ * Drop suggestions the reader already has, in any edition or with a different subtitle,
+ * and repeats of an earlier suggestion
+ * @param {Array<Object>} suggestions - Suggestions from /api/insights
+ * @param {Array<Object>} books - The whole library (the selected book included)
+ * @returns {Array<Object>} At most 5 new suggestions, in the model's order
+ */
+export function dedupeSuggestions(suggestions, books) {
+  const kept = [];
+  for (const suggestion of suggestions) {
+    if (findBookMatch(books, suggestion, SUGGESTION_MATCH_SIMILARITY)) continue;
+    if (findBookMatch(kept, suggestion, SUGGESTION_MATCH_SIMILARITY)) continue;
+    kept.push(suggestion);
+    if (kept.length === MAX_SUGGESTIONS) break;
+  }
+  return kept;
+}
@@ -0,0 +1,288 @@
+/**
+ * Check a book's AI-generated quotes against the real text of the book
+ * and pull real passages for its themes
+ */
+import { readEpub } from './importers/epub';
+
+export const QUOTE_STATUS = {
+  VERIFIED: 'verified',
+  CLOSE_MATCH: 'close-match',
+  NOT_FOUND: 'not-found',
+};
+
+// Share of a quote's words that must line up with the text to count as a close match
+const CLOSE_MATCH_THRESHOLD = 0.8;
+
+// Skip very common anchors so a fuzzy search stays fast on long books
+const MAX_ANCHOR_POSITIONS = 500;
+
+const PASSAGES_PER_THEME = 3;
+
+// Words in theme names that say nothing about the content
+const THEME_STOPWORDS = new Set(['and', 'the', 'of', 'in', 'with', 'for', 'to', 'a', 'an', 'vs', 'versus']);
+
+const BOOKMARKS_STORAGE_KEY = 'bookmarkedQuotes';
+
+/**
+ * Normalize a word for comparison: lowercase, no accents, curly quotes or punctuation
+ * @param {string} token - Word as written
+ * @returns {string} Normalized word, or '' for pure punctuation
+ */
+const normalizeWord = (token) => token
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // Accents
+  .replace(/[\u2018\u2019]/g, "'") // Curly apostrophes
+  .replace(/[^a-z0-9']/g, '')
+  .replace(/^'+|'+$/g, '');
+
+const toWords = (text) => text.split(/\s+/).map(normalizeWord).filter(Boolean);
+
+/**
+ * Index chapter text for quote lookups
+ * @param {Array<{ title: string, text: string }>} chapters - Chapters in reading order
+ * @returns {{ chapters: Array<Object>, totalWords: number }} Word-level index
+ */
+export function buildTextIndex(chapters) {
+  let totalWords = 0;
+
+  const indexed = chapters.map(chapter => {
+    const words = [];
+    const tokens = [];
+    for (const token of chapter.text.split(/\s+/)) {
+      const word = normalizeWord(token);
+      if (!word) continue;
+      words.push(word);
+      tokens.push(token);
+    }
+
+    const positions = new Map();
+    words.forEach((word, i) => {
+      if (!positions.has(word)) positions.set(word, []);
+      positions.get(word).push(i);
+    });
+
+    const entry = {
+      title: chapter.title,
+      words,
+      tokens,
+      positions,
+      joined: ` ${words.join(' ')} `,
+      startWord: totalWords,
+    };
+    totalWords += words.length;
+    return entry;
+  });
+
+  return { chapters: indexed, totalWords };
+}
+
+/**
+ * Describe where a word sits in the book
+ * @param {Object} index - Result of buildTextIndex
+ * @param {Object} chapter - Indexed chapter
+ * @param {number} wordIndex - Word position within the chapter
+ * @returns {{ chapter: string, percent: number }} Chapter title and % through the book
+ */
+const getLocation = (index, chapter, wordIndex) => ({
+  chapter: chapter.title,
+  percent: Math.round(((chapter.startWord + wordIndex) / Math.max(1, index.totalWords)) * 100),
+});
+
+/**
+ * Share of words two word lists have in common (Dice coefficient over multisets)
+ * @param {Array<string>} a - First word list
+ * @param {Array<string>} b - Second word list
+ * @returns {number} Overlap from 0 to 1
+ */
+function getWordOverlap(a, b) {
+  const counts = new Map();
+  for (const word of a) counts.set(word, (counts.get(word) || 0) + 1);
+
+  let shared = 0;
+  for (const word of b) {
+    const count = counts.get(word);
+    if (count) {
+      shared++;
+      counts.set(word, count - 1);
+    }
+  }
+  return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Look for a quote in the book text
+ * Exact matches (ignoring case and punctuation) are verified; otherwise the
+ * closest passage around the quote's rarest-looking words is used if enough
+ * of the words line up.
+ * @param {Object} index - Result of buildTextIndex
+ * @param {string} quote - Quote text
+ * @returns {{ status: string, chapter?: string, percent?: number, passage?: string }} Check result
+ */
+export function findQuote(index, quote) {
+  const words = toWords(quote);
+  if (words.length === 0) return { status: QUOTE_STATUS.NOT_FOUND };
+
+  const phrase = ` ${words.join(' ')} `;
+  for (const chapter of index.chapters) {
+    const at = chapter.joined.indexOf(phrase);
+    if (at !== -1) {
+      const before = chapter.joined.slice(0, at).trim();
+      const wordIndex = before ? before.split(' ').length : 0;
+      return { status: QUOTE_STATUS.VERIFIED, ...getLocation(index, chapter, wordIndex) };
+    }
+  }
+
+  // Longer words are more likely to be distinctive
+  const anchors = [...new Set(words)].sort((a, b) => b.length - a.length).slice(0, 3);
+  let best = null;
+
+  for (const chapter of index.chapters) {
+    for (const anchor of anchors) {
+      const positions = chapter.positions.get(anchor) || [];
+      if (positions.length > MAX_ANCHOR_POSITIONS) continue;
+
+      const offset = words.indexOf(anchor);
+      for (const position of positions) {
+        const start = Math.max(0, position - offset);
+        const score = getWordOverlap(words, chapter.words.slice(start, start + words.length));
+        if (!best || score > best.score) {
+          best = { score, chapter, start };
+        }
+      }
+    }
+  }
+
+  if (!best || best.score < CLOSE_MATCH_THRESHOLD) {
+    return { status: QUOTE_STATUS.NOT_FOUND };
+  }
+
+  return {
+    status: QUOTE_STATUS.CLOSE_MATCH,
+    ...getLocation(index, best.chapter, best.start),
+    passage: best.chapter.tokens.slice(best.start, best.start + words.length).join(' '),
+  };
+}
+
+/**
+ * Turn a theme name into word stems, e.g. "Love & Relationships" -> ["love", "relationsh"]
+ * @param {string} themeName - Theme name
+ * @returns {Array<string>} Stems to match at the start of words
+ */
+function getThemeStems(themeName) {
+  return toWords(themeName.replace(/[&/-]/g, ' '))
+    .filter(word => word.length >= 3 && !THEME_STOPWORDS.has(word))
+    .map(word => word.slice(0, Math.max(4, Math.ceil(word.length * 0.7))));
+}
+
+/**
+ * Find real passages that mention a theme's keywords
+ * Sentences mentioning more distinct keywords rank first.
+ * @param {Object} index - Result of buildTextIndex
+ * @param {string} themeName - Theme name
+ * @param {number} limit - Maximum passages (default: 3)
+ * @returns {Array<{ text: string, chapter: string, percent: number }>} Passages in ranked order
+ */
+export function findThemePassages(index, themeName, limit = PASSAGES_PER_THEME) {
+  const stems = getThemeStems(themeName);
+  if (stems.length === 0) return [];
+
+  const candidates = [];
+  for (const chapter of index.chapters) {
+    let start = 0;
+    chapter.tokens.forEach((token, i) => {
+      // Sentence ends at terminal punctuation, optionally followed by closing quotes
+      if (!/[.!?]["'\u201d\u2019)]*$/.test(token) && i !== chapter.tokens.length - 1) return;
+
+      const sentenceWords = chapter.words.slice(start, i + 1);
+      if (sentenceWords.length >= 8 && sentenceWords.length <= 80) {
+        const score = stems.filter(stem => sentenceWords.some(word => word.startsWith(stem))).length;
+        if (score > 0) {
+          candidates.push({
+            score,
+            text: chapter.tokens.slice(start, i + 1).join(' '),
+            ...getLocation(index, chapter, start),
+          });
+        }
+      }
+      start = i + 1;
+    });
+  }
+
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ text, chapter, percent }) => ({ text, chapter, percent }));
+}
+
+/**
+ * Check a book's quotes and find theme passages using an EPUB of the book
+ * @param {Object} book - Book object with themes
+ * @param {File} file - DRM-free .epub file
+ * @returns {Promise<Object>} sourceCheck to store on the book:
+ *   { fileName, checkedAt, quotes: [{ text, theme, status, ... }], passages: [{ theme, text, ... }] }
+ */
+export async function checkBookWithEpub(book, file) {
+  const { chapters } = await readEpub(file);
+  const index = buildTextIndex(chapters);
+
+  const themes = (book.themes || []).map(theme => (typeof theme === 'string' ? { theme, quotes: [] } : theme));
+  const quotes = [];
+  const seen = new Set();
+  for (const { theme, quotes: themeQuotes = [] } of themes) {
+    for (const text of themeQuotes) {
+      if (seen.has(text)) continue;
+      seen.add(text);
+      quotes.push({ text, theme, ...findQuote(index, text) });
+    }
+  }
+  for (const text of book.quotes || []) {
+    if (seen.has(text)) continue;
+    seen.add(text);
+    quotes.push({ text, theme: '', ...findQuote(index, text) });
+  }
+
+  const passages = themes.flatMap(({ theme }) =>
+    findThemePassages(index, theme).map(passage => ({ theme, ...passage }))
+  );
+
+  return {
+    fileName: file.name,
+    checkedAt: new Date().toISOString(),
+    quotes,
+    passages,
+  };
+}
+
+/**
+ * Mark saved bookmarks of a book as verified, close matches or not found after a source check
+ * @param {Object} book - Book object
+ * @param {Object} sourceCheck - Result of checkBookWithEpub
+ */
+export function applySourceCheckToBookmarks(book, sourceCheck) {
+  let bookmarks;
+  try {
+    bookmarks = JSON.parse(localStorage.getItem(BOOKMARKS_STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Error loading bookmarks:', error);
+    return;
+  }
+
+  const results = new Map(sourceCheck.quotes.map(result => [result.text, result]));
+  const updated = bookmarks.map(bookmark => {
+    const result = bookmark.bookTitle === book.title && bookmark.bookAuthor === book.author
+      ? results.get(bookmark.quote)
+      : null;
+    if (!result) return bookmark;
+
+    // A close match keeps the book's own wording, since the bookmarked quote differs from it
+    return {
+      ...bookmark,
+      verified: result.status === QUOTE_STATUS.VERIFIED,
+      closeMatch: result.status === QUOTE_STATUS.CLOSE_MATCH ? result.passage : null,
+      notFound: result.status === QUOTE_STATUS.NOT_FOUND,
+    };
+  });
+
+  localStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(updated));
+}
@@ -0,0 +1,140 @@
+/**
+ * The user's theme taxonomy: names and descriptions the model files books
+ * under, and the colors the graph and filters show them in
+ */
+import { DEFAULT_THEMES, getTaxonomyError } from '../shared/themes';
+
+const THEMES_STORAGE_KEY = 'readingGraphThemes';
+
+// Link color for themes the taxonomy doesn't know (e.g. from an older taxonomy)
+export const FALLBACK_THEME_COLOR = '#00CED1';
+
+/**
+ * The default taxonomy, with the ids the editor uses to track renames
+ * @returns {Array<{ id: string, name: string, description: string, color: string }>} Default themes
+ */
+export function getDefaultTaxonomy() {
+  return DEFAULT_THEMES.map((theme, index) => ({ id: `theme-${index}`, ...theme }));
+}
+
+/**
+ * Load the saved taxonomy from localStorage
+ * @returns {Array<{ id: string, name: string, description: string, color: string }>} Saved themes,
+ *   or the default taxonomy if none is saved or it is invalid
+ */
+export function loadThemeTaxonomy() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THEMES_STORAGE_KEY));
+    if (saved && !getTaxonomyError(saved)) return saved;
+  } catch (error) {
+    console.error('Error loading theme taxonomy:', error);
+  }
+  return getDefaultTaxonomy();
+}
+
+/**
+ * Save the taxonomy; new analyses use it from the next request on
+ * @param {Array<Object>} themes - Themes with id, name, description and color
+ */
+export function saveThemeTaxonomy(themes) {
+  const clean = themes.map(({ id, name, description, color }) => ({
+    id,
+    name: name.trim(),
+    description: (description || '').trim(),
+    color,
+  }));
+  localStorage.setItem(THEMES_STORAGE_KEY, JSON.stringify(clean));
+}
+
+/**
+ * Map theme names to their colors
+ * @param {Array<Object>} themes - Themes with name and color
+ * @returns {Map<string, string>} Theme name -> color
+ */
+export function getThemeColors(themes) {
+  return new Map(themes.map(theme => [theme.name, theme.color]));
+}
+
+/**
+ * Work out what a taxonomy edit means for analyzed books
+ * Themes are matched by id, so a renamed theme keeps its books.
+ * @param {Array<Object>} previous - Saved themes
+ * @param {Array<Object>} next - Edited themes
+ * @returns {{ renamed: Map<string, string>, removed: Set<string>, redescribed: Set<string>, added: Array<string> }}
+ *   Old name -> new name, removed names, names whose description changed, and new names
+ */
+export function planTaxonomyChange(previous, next) {
+  const nextById = new Map(next.map(theme => [theme.id, theme]));
+  const previousIds = new Set(previous.map(theme => theme.id));
+  const renamed = new Map();
+  const removed = new Set();
+  const redescribed = new Set();
+
+  for (const theme of previous) {
+    const edited = nextById.get(theme.id);
+    if (!edited) {
+      removed.add(theme.name);
+      continue;
+    }
+    if (edited.name.trim() !== theme.name) renamed.set(theme.name, edited.name.trim());
+    if ((edited.description || '').trim() !== (theme.description || '')) redescribed.add(theme.name);
+  }
+
+  const added = next.filter(theme => !previousIds.has(theme.id)).map(theme => theme.name.trim());
+  return { renamed, removed, redescribed, added };
+}
+
+const getThemeName = (theme) => (typeof theme === 'string' ? theme : theme.theme);
+
+/**
+ * Apply a taxonomy change to the library
+ * Renamed themes are renamed in place. Books that lose a theme or have one whose
+ * description changed are flagged needsReanalysis so the graph re-classifies them;
+ * with recheckAll every analyzed book is, so added themes get a chance too.
+ * @param {Array<Object>} books - Saved books
+ * @param {Object} plan - Result of planTaxonomyChange
+ * @param {Object} options - Options
+ * @param {boolean} options.recheckAll - Flag every analyzed book (default: false)
+ * @returns {{ books: Array<Object>, flagged: number }} Updated books and how many were flagged
+ */
+export function applyTaxonomyChange(books, { renamed, removed, redescribed }, { recheckAll = false } = {}) {
+  let flagged = 0;
+
+  const updated = books.map(book => {
+    if (!book.themes || book.themes.length === 0) return book;
+
+    const names = book.themes.map(getThemeName);
+    const isAffected = recheckAll || names.some(name => removed.has(name) || redescribed.has(name));
+    const themes = book.themes
+      .filter(theme => !removed.has(getThemeName(theme)))
+      .map(theme => {
+        const newName = renamed.get(getThemeName(theme));
+        if (!newName) return theme;
+        return typeof theme === 'string' ? newName : { ...theme, theme: newName };
+      });
+
+    if (!isAffected && themes.length === book.themes.length && !names.some(name => renamed.has(name))) {
+      return book;
+    }
+    if (isAffected) flagged++;
+
+    // Quotes belong to themes, so a removed theme takes its quotes along; books with
+    // plain theme names only have the flat list, and it stays as it is
+    const removedQuotes = new Set(book.themes
+      .filter(theme => removed.has(getThemeName(theme)))
+      .flatMap(theme => theme.quotes || []));
+    // The same quote may also back a theme that stays
+    themes.forEach(theme => (theme.quotes || []).forEach(quote => removedQuotes.delete(quote)));
+
+    return {
+      ...book,
+      themes,
+      quotes: removedQuotes.size > 0 && book.quotes
+        ? book.quotes.filter(quote => !removedQuotes.has(quote))
+        : book.quotes,
+      ...(isAffected ? { needsReanalysis: true } : {}),
+    };
+  });
+
+  return { books: updated, flagged };
+}
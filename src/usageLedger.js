@@ -0,0 +1,210 @@
+/**
+ * Local ledger of model calls: every /api response reports the calls it made
+ * (model, task, tokens, latency, retries, fallback), and they're kept in this
+ * browser for the diagnostics page
+ */
+
+const LEDGER_STORAGE_KEY = 'readingGraphUsageLedger';
+
+// Oldest calls are dropped beyond this, so localStorage doesn't fill up
+const MAX_ENTRIES = 5000;
+
+// Published prices in US dollars per million tokens; the cost of calls to other
+// models (local servers, the mock) is unknown
+const MODEL_PRICES = {
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+};
+
+// Recorded calls are written in one go this long after the last one (an import's calls
+// keep coming, so those are written when it ends), instead of rewriting the whole
+// ledger after every request
+const FLUSH_DELAY_MS = 2000;
+
+// Import the calls recorded right now belong to, set while an import runs
+let currentImport = null;
+
+// Calls not written to localStorage yet
+let pendingEntries = [];
+let flushTimer = null;
+
+/**
+ * Read the entries already in localStorage
+ * @returns {Array<Object>} Entries, oldest first
+ */
+function loadSavedEntries() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LEDGER_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Error loading usage ledger:', error);
+    return [];
+  }
+}
+
+/**
+ * Write buffered calls to localStorage
+ */
+function flushUsage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (pendingEntries.length === 0) return;
+
+  const entries = pendingEntries;
+  pendingEntries = [];
+  try {
+    localStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify([...loadSavedEntries(), ...entries].slice(-MAX_ENTRIES)));
+  } catch (error) {
+    // A full localStorage shouldn't break the requests that were just answered
+    console.error('Error saving usage ledger:', error);
+  }
+}
+
+// Don't lose the last calls when the tab is closed before the timer fires
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', flushUsage);
+}
+
+/**
+ * Load the ledger, including calls not written yet
+ * @returns {Array<Object>} Entries, oldest first
+ */
+export function loadUsageLedger() {
+  flushUsage();
+  return loadSavedEntries();
+}
+
+/**
+ * Delete every entry
+ */
+export function clearUsageLedger() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  pendingEntries = [];
+  localStorage.removeItem(LEDGER_STORAGE_KEY);
+}
+
+/**
+ * Attribute calls to an import until endImport is called
+ * @param {string} label - What is being imported, e.g. "120 books"
+ */
+export function beginImport(label) {
+  currentImport = { id: new Date().toISOString(), label };
+}
+
+/**
+ * Stop attributing calls to the current import and save its calls
+ */
+export function endImport() {
+  currentImport = null;
+  flushUsage();
+}
+
+/**
+ * Add the calls one API request made
+ * @param {string} route - API route, e.g. "analyze"
+ * @param {*} calls - The response's usage list; anything else is ignored
+ */
+export function recordUsage(route, calls) {
+  if (!Array.isArray(calls) || calls.length === 0) return;
+
+  const time = new Date().toISOString();
+  const entries = calls.map(call => ({
+    ...call,
+    time,
+    route,
+    importId: currentImport?.id || null,
+    importLabel: currentImport?.label || null,
+  }));
+
+  pendingEntries.push(...entries);
+  clearTimeout(flushTimer);
+  flushTimer = setTimeout(flushUsage, FLUSH_DELAY_MS);
+}
+
+/**
+ * Estimated cost of one call
+ * @param {Object} entry - Ledger entry
+ * @returns {number|null} US dollars, or null for models without a price or if tokens weren't reported
+ */
+export function getEntryCost(entry) {
+  const price = MODEL_PRICES[entry.model];
+  if (!price) return null;
+  if (typeof entry.promptTokens !== 'number' || typeof entry.completionTokens !== 'number') return null;
+  return (entry.promptTokens * price.input + entry.completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Local calendar day of an entry
+ * @param {Object} entry - Ledger entry
+ * @returns {string} YYYY-MM-DD
+ */
+export function getEntryDay(entry) {
+  const date = new Date(entry.time);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Total the ledger by some key
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {Function} getKey - (entry) => { key, label }
+ * @returns {Array<{ key: string, label: string, calls: number, failed: number, retries: number,
+ *   fallbacks: number, tokens: number, cost: number, unknownCostCalls: number, averageLatencyMs: number,
+ *   firstTime: string }>} One row per key, most recent first; cost leaves out calls whose cost is unknown
+ */
+export function summarizeUsage(entries, getKey) {
+  const rows = new Map();
+  for (const entry of entries) {
+    const { key, label } = getKey(entry);
+    const row = rows.get(key) || {
+      key, label, calls: 0, failed: 0, retries: 0, fallbacks: 0, tokens: 0, cost: 0, unknownCostCalls: 0, latencyMs: 0,
+      firstTime: entry.time,
+    };
+    row.calls++;
+    if (entry.error) row.failed++;
+    row.retries += entry.retries || 0;
+    if (entry.fallback) row.fallbacks++;
+    row.tokens += entry.totalTokens || 0;
+    const cost = getEntryCost(entry);
+    if (cost === null) row.unknownCostCalls++;
+    else row.cost += cost;
+    row.latencyMs += entry.latencyMs || 0;
+    rows.set(key, row);
+  }
+
+  return [...rows.values()]
+    .map(({ latencyMs, ...row }) => ({ ...row, averageLatencyMs: Math.round(latencyMs / row.calls) }))
+    .sort((a, b) => b.firstTime.localeCompare(a.firstTime));
+}
+
+/**
+ * Rows for a CSV export of the ledger
+ * @param {Array<Object>} entries - Ledger entries
+ * @returns {Array<Array<*>>} Header row and one row per call
+ */
+export function toUsageRows(entries) {
+  return [
+    ['Time', 'Route', 'Task', 'Model', 'Prompt tokens', 'Completion tokens', 'Total tokens', 'Latency (ms)',
+      'Retries', 'Fallback model', 'Error', 'Estimated cost (USD)', 'Import started', 'Import'],
+    ...entries.map(entry => {
+      const cost = getEntryCost(entry);
+      return [
+        entry.time,
+        entry.route,
+        entry.task,
+        entry.model,
+        entry.promptTokens ?? '',
+        entry.completionTokens ?? '',
+        entry.totalTokens ?? '',
+        entry.latencyMs,
+        entry.retries,
+        entry.fallback ? 'yes' : 'no',
+        entry.error || '',
+        cost === null ? '' : cost.toFixed(6),
+        entry.importId || '',
+        entry.importLabel || '',
+      ];
+    }),
+  ];
+}
@@ -0,0 +1,76 @@
+/**
+ * Want-to-read books added from recommendations, and exporting them for Goodreads
+ */
+import { hashString } from '../shared/hash';
+import { getBookKey, getShelf, SHELVES } from './library';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Create a library book for a suggestion the reader wants to read
+ * It is unrated, on the to-read shelf and remembers the book that suggested it,
+ * so the graph can link the two.
+ * @param {{ title: string, author: string, reason?: string }} suggestion - Suggestion from generateInsights
+ * @param {Object} sourceBook - The library book the suggestion came from
+ * @returns {Object} Book object, not yet analyzed
+ */
+export function createSuggestedBook(suggestion, sourceBook) {
+  const now = new Date();
+  return {
+    id: `suggested-${hashString(getBookKey(suggestion))}`,
+    title: suggestion.title,
+    author: suggestion.author,
+    additionalAuthors: [],
+    rating: 'Not rated',
+    dateRead: '',
+    dateAdded: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    bookshelves: SHELVES.TO_READ,
+    exclusiveShelf: SHELVES.TO_READ,
+    readCount: 0,
+    suggestedBy: { id: sourceBook.id || '', title: sourceBook.title, author: sourceBook.author || '' },
+    suggestionReason: suggestion.reason || '',
+  };
+}
+
+/**
+ * Find the library book a suggested book came from
+ * @param {Object} book - Book with suggestedBy
+ * @param {Array<Object>} books - Books to search
+ * @returns {Object|null} Source book, or null if it isn't among them
+ */
+export function findSuggestionSource(book, books) {
+  const source = book.suggestedBy;
+  if (!source) return null;
+  const sourceKey = getBookKey(source);
+  return books.find(other => (source.id && other.id === source.id) || getBookKey(other) === sourceKey) || null;
+}
+
+/**
+ * Books added from recommendations that are still on the to-read shelf
+ * @param {Array<Object>} books - The whole library
+ * @returns {Array<Object>} Suggested books, in library order
+ */
+export function getWantToReadSuggestions(books) {
+  return books.filter(book => book.suggestedBy && getShelf(book) === SHELVES.TO_READ);
+}
+
+/**
+ * Rows for a CSV that Goodreads' "Import books" page (and this app's importer) accepts
+ * @param {Array<Object>} books - Books to export
+ * @returns {Array<Array<string>>} Header row and one row per book
+ */
+export function toGoodreadsRows(books) {
+  return [
+    ['Title', 'Author', 'ISBN', 'ISBN13', 'My Rating', 'Date Added', 'Bookshelves', 'Exclusive Shelf'],
+    ...books.map(book => [
+      book.title,
+      book.author || '',
+      book.isbn || '',
+      book.isbn13 || '',
+      '0',
+      (book.dateAdded || '').replace(/-/g, '/'),
+      SHELVES.TO_READ,
+      SHELVES.TO_READ,
+    ]),
+  ];
+}
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // API routes are served by `npm run dev:api` (server/dev.js) during development
+    proxy: {
+      '/api': `http://localhost:${process.env.API_PORT || 3001}`,
+    },
+  },
 })